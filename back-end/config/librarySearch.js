@@ -0,0 +1,99 @@
+// ─────────────────────────────────────────────
+// Library search queries. What users type is parsed into:
+//   words            — matched against the text index (any of them)
+//   "quoted phrase"  — must appear as written
+//   tag:name  #name  — entry must carry the tag (tag:"two words" works too)
+//   by:name          — author name starts with this
+// Nothing here builds a RegExp from user text without escaping it first.
+// ─────────────────────────────────────────────
+
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_LENGTH = 200;
+
+const TOKEN = /(?:(tag|by):)?(?:"([^"]*)"|(\S+))/gi;
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// → { terms, phrases, tags, authors }
+const parse = (query) => {
+    const parsed = { terms: [], phrases: [], tags: [], authors: [] };
+    const input = String(query || '').slice(0, MAX_QUERY_LENGTH);
+
+    for (const [, key, quoted, bare] of input.matchAll(TOKEN)) {
+        const value = (quoted !== undefined ? quoted : bare).trim();
+        if (!value) continue;
+
+        const field = key && key.toLowerCase();
+        if (field === 'tag') parsed.tags.push(value.replace(/^#/, ''));
+        else if (field === 'by') parsed.authors.push(value);
+        else if (quoted !== undefined) parsed.phrases.push(value.replace(/"/g, ''));
+        else if (value.startsWith('#') && value.length > 1) parsed.tags.push(value.slice(1));
+        else parsed.terms.push(value);
+    }
+    return parsed;
+};
+
+// $text search string for the words and phrases, or null when there are none
+const textSearch = ({ terms, phrases }) => {
+    const parts = [...terms, ...phrases.map(phrase => `"${phrase}"`)];
+    return parts.length > 0 ? parts.join(' ') : null;
+};
+
+// Query conditions for the tag: and by: filters
+const filterConditions = ({ tags, authors }) => [
+    ...tags.map(tag => ({ tags: new RegExp(`^${escapeRegex(tag)}$`, 'i') })),
+    ...authors.map(author => ({ username: new RegExp(`^${escapeRegex(author)}`, 'i') }))
+];
+
+// Short stretch of `text` around the first match, HTML-escaped with the
+// matches in <mark>; null when none of the words occur in it
+const highlight = ({ terms, phrases }, text) => {
+    const words = [...phrases, ...terms.map(term => term.replace(/^-/, ''))]
+        .map(word => word.toLowerCase())
+        .filter(Boolean);
+    const source = String(text || '');
+    const lower = source.toLowerCase();
+
+    const first = words
+        .map(word => lower.indexOf(word))
+        .filter(index => index !== -1)
+        .sort((a, b) => a - b)[0];
+    if (first === undefined) return null;
+
+    const start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 4));
+    const end = Math.min(source.length, start + SNIPPET_LENGTH);
+    const stretch = source.slice(start, end);
+    const stretchLower = stretch.toLowerCase();
+
+    // Every match inside the stretch, overlaps merged
+    const ranges = [];
+    words.forEach(word => {
+        for (let at = stretchLower.indexOf(word); at !== -1; at = stretchLower.indexOf(word, at + word.length)) {
+            ranges.push([at, at + word.length]);
+        }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    ranges.forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else merged.push(range.slice());
+    });
+
+    let html = start > 0 ? '…' : '';
+    let cursor = 0;
+    merged.forEach(([from, to]) => {
+        html += escapeHtml(stretch.slice(cursor, from)) + '<mark>' + escapeHtml(stretch.slice(from, to)) + '</mark>';
+        cursor = to;
+    });
+    html += escapeHtml(stretch.slice(cursor)) + (end < source.length ? '…' : '');
+    return html;
+};
+
+module.exports = { parse, textSearch, filterConditions, highlight, escapeRegex };
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+// ─────────────────────────────────────────────
+// Outgoing mail through a pluggable transport, picked by MAIL_TRANSPORT:
+//   console — print messages to the server log (default without SMTP_HOST,
+//             except in production, where mail fails until one is chosen)
+//   file    — write each message as a .json file into MAIL_DIR
+//   smtp    — deliver through SMTP_HOST (default when it is set)
+// Every transport takes { to, subject, text, html }.
+// ─────────────────────────────────────────────
+
+const consoleTransport = {
+    async send(message) {
+        console.log('');
+        console.log('📧 ─── Outgoing mail ───────────────────────');
+        console.log(`   To:      ${message.to}`);
+        console.log(`   Subject: ${message.subject}`);
+        console.log('');
+        console.log(message.text);
+        console.log('───────────────────────────────────────────');
+    }
+};
+
+const fileTransport = {
+    async send(message) {
+        const dir = process.env.MAIL_DIR || path.join(process.cwd(), 'mail-outbox');
+        await fs.promises.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+        await fs.promises.writeFile(file, JSON.stringify({ ...message, date: new Date() }, null, 2));
+        console.log(`📧 Mail to ${message.to} written to ${file}`);
+    }
+};
+
+// Created on first use so the console/file transports don't need nodemailer
+let smtp = null;
+const smtpTransport = {
+    async send(message) {
+        if (!smtp) {
+            const nodemailer = require('nodemailer');
+            const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+            smtp = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port,
+                secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    : undefined
+            });
+        }
+        await smtp.sendMail({ from: process.env.MAIL_FROM || 'Academic Notebook <no-reply@localhost>', ...message });
+    }
+};
+
+const transports = { console: consoleTransport, file: fileTransport, smtp: smtpTransport };
+
+const getTransport = () => {
+    // Reset links printed to a production log are readable by whoever reads the log
+    if (!process.env.MAIL_TRANSPORT && !process.env.SMTP_HOST && process.env.NODE_ENV === 'production') {
+        throw new Error('Mail is not configured: set SMTP_HOST or MAIL_TRANSPORT');
+    }
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+    const transport = transports[name];
+    if (!transport) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    return transport;
+};
+
+const sendMail = async (message) => getTransport().send(message);
+
+module.exports = { sendMail };
@@ -0,0 +1,60 @@
+// ─────────────────────────────────────────────
+// Password strength policy, applied wherever a password is chosen
+// (register, change, reset). Tunable through the environment:
+//   PASSWORD_MIN_LENGTH   — default 8
+//   PASSWORD_MIN_CLASSES  — how many of lowercase / uppercase / digits /
+//                           symbols must appear, default 2
+// Well-known passwords and ones containing the username or email are refused.
+// ─────────────────────────────────────────────
+
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+const MIN_CLASSES = Math.min(parseInt(process.env.PASSWORD_MIN_CLASSES, 10) || 2, 4);
+const MAX_LENGTH = 128;
+
+const CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/];
+
+// The most common leaked passwords that would otherwise pass the rules above
+const COMMON = new Set([
+    'password1', 'password123', 'passw0rd', 'qwerty123', 'qwertyuiop1', 'abc12345', 'abcd1234',
+    'iloveyou1', 'welcome1', 'welcome123', 'letmein1', 'admin123', 'monkey123', 'dragon123',
+    'football1', 'baseball1', 'sunshine1', 'princess1', 'trustno1', '1q2w3e4r', '1qaz2wsx',
+    'zaq12wsx', 'qwe123456', 'asdf1234', 'p@ssw0rd', 'p@ssword', 'changeme1', 'notebook1'
+]);
+
+// What the sign-up form shows
+const describe = () => ({
+    minLength: MIN_LENGTH,
+    minClasses: MIN_CLASSES,
+    summary: `At least ${MIN_LENGTH} characters` +
+        (MIN_CLASSES > 1 ? `, mixing ${MIN_CLASSES} of: lowercase, uppercase, digits, symbols` : '')
+});
+
+// → error message, or null when the password is acceptable
+const check = (password, { username, email } = {}) => {
+    if (typeof password !== 'string' || password.length < MIN_LENGTH) {
+        return `Password must be at least ${MIN_LENGTH} characters`;
+    }
+    if (password.length > MAX_LENGTH) {
+        return `Password must be at most ${MAX_LENGTH} characters`;
+    }
+
+    const classes = CLASSES.filter(re => re.test(password)).length;
+    if (classes < MIN_CLASSES) {
+        return `Password must mix at least ${MIN_CLASSES} of: lowercase, uppercase, digits, symbols`;
+    }
+
+    const lower = password.toLowerCase();
+    if (COMMON.has(lower)) {
+        return 'That password is too common — please choose another';
+    }
+    const personal = [username, email && email.split('@')[0]]
+        .filter(part => part && part.length >= 3)
+        .map(part => part.toLowerCase());
+    if (personal.some(part => lower.includes(part))) {
+        return 'Password must not contain your username or email';
+    }
+
+    return null;
+};
+
+module.exports = { check, describe };
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const SharedNote = require('./SharedNote');
+
+// One user's star rating of a library entry. The entry keeps the average and
+// count (ratingAverage, ratingCount) so listings can sort by them.
+const STARS_MIN = 1;
+const STARS_MAX = 5;
+
+const libraryRatingSchema = new mongoose.Schema({
+    sharedNoteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SharedNote',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    stars: {
+        type: Number,
+        required: true,
+        min: STARS_MIN,
+        max: STARS_MAX
+    }
+}, {
+    timestamps: true
+});
+
+libraryRatingSchema.index({ sharedNoteId: 1, userId: 1 }, { unique: true });
+
+libraryRatingSchema.statics.STARS_MIN = STARS_MIN;
+libraryRatingSchema.statics.STARS_MAX = STARS_MAX;
+
+// Recount an entry's ratings onto it → { ratingAverage, ratingCount }
+libraryRatingSchema.statics.summarize = async function (sharedNoteId) {
+    const [totals] = await this.aggregate([
+        { $match: { sharedNoteId: new mongoose.Types.ObjectId(String(sharedNoteId)) } },
+        { $group: { _id: null, average: { $avg: '$stars' }, count: { $sum: 1 } } }
+    ]);
+    const summary = {
+        ratingAverage: totals ? Math.round(totals.average * 100) / 100 : 0,
+        ratingCount: totals ? totals.count : 0
+    };
+    await SharedNote.updateOne({ _id: sharedNoteId }, { $set: summary });
+    return summary;
+};
+
+// Drop everything a deleted account rated and recount those entries
+libraryRatingSchema.statics.forgetUser = async function (userId) {
+    const rated = await this.find({ userId }).distinct('sharedNoteId');
+    await this.deleteMany({ userId });
+    await Promise.all(rated.map(id => this.summarize(id)));
+};
+
+module.exports = mongoose.model('LibraryRating', libraryRatingSchema);
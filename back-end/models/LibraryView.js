@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const SharedNote = require('./SharedNote');
+
+// Who has viewed a library entry lately, so viewCount counts people rather than
+// page loads: each viewer counts once per entry per VIEW_WINDOW_HOURS. Signed-in
+// viewers are told apart by account, everyone else by a hash of their IP and
+// browser. MongoDB drops the records once the window is over.
+const VIEW_WINDOW_HOURS = parseInt(process.env.LIBRARY_VIEW_WINDOW_HOURS, 10) || 24;
+
+const libraryViewSchema = new mongoose.Schema({
+    sharedNoteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SharedNote',
+        required: true
+    },
+    viewer: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+libraryViewSchema.index({ sharedNoteId: 1, viewer: 1 }, { unique: true });
+libraryViewSchema.index({ createdAt: 1 }, { expireAfterSeconds: VIEW_WINDOW_HOURS * 60 * 60 });
+
+const userViewer = (userId) => `user:${userId}`;
+const viewerOf = (req) => (req.user
+    ? userViewer(req.user._id)
+    : 'anon:' + crypto.createHash('sha256')
+        .update(`${req.ip || ''}|${req.get('user-agent') || ''}`)
+        .digest('hex'));
+
+// Count a view of an entry unless this viewer was already counted within the
+// window → true when it was counted
+libraryViewSchema.statics.record = async function (sharedNoteId, req) {
+    try {
+        await this.create({ sharedNoteId, viewer: viewerOf(req) });
+    } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+    }
+    await SharedNote.updateOne({ _id: sharedNoteId }, { $inc: { viewCount: 1 } });
+    return true;
+};
+
+// Drop the views a deleted account left behind
+libraryViewSchema.statics.forgetUser = function (userId) {
+    return this.deleteMany({ viewer: userViewer(userId) });
+};
+
+module.exports = mongoose.model('LibraryView', libraryViewSchema);
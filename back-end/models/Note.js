@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const NoteRevision = require('./NoteRevision');
+const NoteShare = require('./NoteShare');
+const NoteComment = require('./NoteComment');
 
 const sectionSchema = new mongoose.Schema({
     title: { type: String, default: '' },
@@ -6,6 +9,16 @@ const sectionSchema = new mongoose.Schema({
     tags: [String]
 }, { _id: false });
 
+// Unlisted read-only link to a note, opened without an account (GET /api/share/:token)
+const shareLinkSchema = new mongoose.Schema({
+    token: { type: String, required: true },
+    expiresAt: { type: Date, default: null },
+    passwordHash: { type: String, default: null },
+    views: { type: Number, default: 0 }
+}, {
+    timestamps: true
+});
+
 const noteSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -35,6 +48,27 @@ const noteSchema = new mongoose.Schema({
     frontEndData: {
         type: mongoose.Schema.Types.Mixed,
         default: {}
+    },
+    // Bumped on every update; clients send it back to detect conflicting edits
+    revision: {
+        type: Number,
+        default: 0
+    },
+    // Id the creating device gave the note, so a create it retries after a
+    // lost response finds this note instead of making a second one
+    clientNoteId: {
+        type: String,
+        default: undefined
+    },
+    // Set when the note is moved to the trash; null for live notes
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    // Left out of queries unless asked for with .select('+shareLinks')
+    shareLinks: {
+        type: [shareLinkSchema],
+        select: false
     }
 }, {
     timestamps: true
@@ -43,5 +77,80 @@ const noteSchema = new mongoose.Schema({
 // Index for efficient querying
 noteSchema.index({ userId: 1, updatedAt: -1 });
 noteSchema.index({ userId: 1, category: 1 });
+noteSchema.index({ userId: 1, deletedAt: 1 });
+noteSchema.index(
+    { userId: 1, clientNoteId: 1 },
+    { unique: true, partialFilterExpression: { clientNoteId: { $type: 'string' } } }
+);
+noteSchema.index(
+    { 'shareLinks.token': 1 },
+    { unique: true, partialFilterExpression: { 'shareLinks.token': { $exists: true } } }
+);
+
+// Days a trashed note is kept before it is purged for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// Permanently remove notes (and their revision history) matching `filters`
+noteSchema.statics.purge = async function (filters) {
+    const notes = await this.find(filters).select('_id').lean();
+    if (notes.length === 0) return 0;
+
+    const ids = notes.map(n => n._id);
+    await NoteRevision.forgetNotes(ids);
+    await NoteShare.deleteMany({ noteId: { $in: ids } });
+    await NoteComment.deleteMany({ noteId: { $in: ids } });
+    const result = await this.deleteMany({ _id: { $in: ids } });
+    return result.deletedCount;
+};
+
+// Purge a user's notes that have sat in the trash past the retention window
+noteSchema.statics.purgeExpiredTrash = function (userId) {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    return this.purge({ userId, deletedAt: { $ne: null, $lt: cutoff } });
+};
+
+noteSchema.statics.TRASH_RETENTION_DAYS = TRASH_RETENTION_DAYS;
+
+// Fields a client may change on an existing note
+noteSchema.statics.UPDATABLE_FIELDS = ['title', 'content', 'sections', 'tags', 'category', 'metadata', 'frontEndData'];
+
+// Apply `updates` only while the note is still at `expectedRevision` (null skips
+// the check), bumping the revision in the same atomic write. Resolves to
+// { note } on success, { current } when someone else got there first, or {}.
+noteSchema.statics.updateIfRevision = async function (filters, updates, expectedRevision) {
+    const match = { ...filters };
+    if (expectedRevision !== null && expectedRevision !== undefined) {
+        // Notes saved before revisions existed have no field yet — treat as 0
+        match.revision = expectedRevision === 0 ? { $in: [0, null] } : expectedRevision;
+    }
+
+    const note = await this.findOneAndUpdate(
+        match,
+        { $set: updates, $inc: { revision: 1 } },
+        { new: true, runValidators: true }
+    );
+    if (note) return { note };
+
+    const current = await this.findOne(filters).lean();
+    return current ? { current } : {};
+};
+
+// What `userId` may do with a note: resolves to { note, role, share } or null.
+// Owners get 'owner' (trashed notes included); collaborators get their share's
+// role on live notes; anyone else has no access.
+noteSchema.statics.accessFor = async function (noteId, userId) {
+    const note = await this.findById(noteId).select('userId title deletedAt').lean();
+    if (!note) return null;
+    if (String(note.userId) === String(userId)) return { note, role: 'owner', share: null };
+    if (note.deletedAt) return null;
+
+    const share = await NoteShare.findOne({ noteId, userId }).lean();
+    return share ? { note, role: share.role, share } : null;
+};
+
+// Roles that may change a note's content
+noteSchema.statics.EDIT_ROLES = ['owner', 'editor'];
+// Roles that may comment on it (everyone with access can read the comments)
+noteSchema.statics.COMMENT_ROLES = ['owner', 'editor', 'commenter'];
 
 module.exports = mongoose.model('Note', noteSchema);
@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const sectionSchema = new mongoose.Schema({
+    title: { type: String, default: '' },
+    content: { type: String, default: '' },
+    tags: [String]
+}, { _id: false });
+
+const noteRevisionSchema = new mongoose.Schema({
+    noteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Note',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Note.revision this snapshot was taken at
+    revision: {
+        type: Number,
+        default: 0
+    },
+    title: {
+        type: String,
+        default: 'Untitled'
+    },
+    content: {
+        type: String,
+        default: ''
+    },
+    sections: [sectionSchema],
+    tags: [String],
+    // frontEndData can carry embedded files, so it is stored once per distinct
+    // value in NoteRevisionData and referenced by hash. Revisions from before
+    // that still hold it inline.
+    frontEndData: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+    },
+    frontEndDataHash: {
+        type: String,
+        default: null
+    }
+}, {
+    // createdAt starts the snapshot's merge window, updatedAt is the state it holds
+    timestamps: true
+});
+
+noteRevisionSchema.index({ noteId: 1, createdAt: -1 });
+
+const noteRevisionDataSchema = new mongoose.Schema({
+    noteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Note',
+        required: true
+    },
+    hash: {
+        type: String,
+        required: true
+    },
+    frontEndData: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    // updatedAt is refreshed on every snapshot that uses it
+    timestamps: true
+});
+
+noteRevisionDataSchema.index({ noteId: 1, hash: 1 }, { unique: true });
+
+const NoteRevisionData = mongoose.model('NoteRevisionData', noteRevisionDataSchema);
+
+// Saves within this long of a snapshot's start update it instead of adding one
+const MERGE_MS = 5 * 60 * 1000;
+
+// Thinning buckets: snapshots younger than `maxAge` keep at most one per `every`
+// window. Anything older than the last bucket keeps one per day.
+const THINNING = [
+    { maxAge: 60 * 60 * 1000, every: MERGE_MS },               // last hour: one per 5 min
+    { maxAge: 24 * 60 * 60 * 1000, every: 10 * 60 * 1000 },    // last day: one per 10 min
+    { maxAge: 7 * 24 * 60 * 60 * 1000, every: 60 * 60 * 1000 } // last week: one per hour
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashOf = (value) => crypto.createHash('sha256').update(JSON.stringify(value || {})).digest('hex');
+
+// Snapshot a note's current state, then thin out older history for that note.
+// A save soon after the latest snapshot folds into it; pass { merge: false }
+// to always start a new one (restores do, so the state they replace stays).
+noteRevisionSchema.statics.snapshot = async function (note, { merge = true } = {}) {
+    const frontEndDataHash = hashOf(note.frontEndData);
+    try {
+        await NoteRevisionData.updateOne(
+            { noteId: note._id, hash: frontEndDataHash },
+            { $setOnInsert: { frontEndData: note.frontEndData || {} } },
+            { upsert: true }
+        );
+    } catch (error) {
+        // A concurrent snapshot stored the same data first
+        if (error.code !== 11000) throw error;
+    }
+
+    const state = {
+        revision: note.revision || 0,
+        title: note.title,
+        content: note.content,
+        sections: note.sections,
+        tags: note.tags,
+        frontEndDataHash
+    };
+
+    const latest = merge
+        ? await this.findOne({ noteId: note._id, createdAt: { $gt: new Date(Date.now() - MERGE_MS) } })
+            .sort({ createdAt: -1 })
+        : null;
+
+    let revision;
+    if (latest) {
+        latest.set(state);
+        latest.frontEndData = undefined;
+        revision = await latest.save();
+    } else {
+        revision = await this.create({ noteId: note._id, userId: note.userId, ...state });
+    }
+    await this.thin(note._id);
+    return revision;
+};
+
+// One revision as a plain object with its frontEndData filled in, or null
+noteRevisionSchema.statics.load = async function (filters) {
+    const revision = await this.findOne(filters).lean();
+    if (!revision) return null;
+
+    if (revision.frontEndDataHash) {
+        const data = await NoteRevisionData.findOne({ noteId: revision.noteId, hash: revision.frontEndDataHash }).lean();
+        revision.frontEndData = data ? data.frontEndData : {};
+    }
+    delete revision.frontEndDataHash;
+    return revision;
+};
+
+// Drop the history of the given notes
+noteRevisionSchema.statics.forgetNotes = async function (noteIds) {
+    await this.deleteMany({ noteId: { $in: noteIds } });
+    await NoteRevisionData.deleteMany({ noteId: { $in: noteIds } });
+};
+
+noteRevisionSchema.statics.thin = async function (noteId) {
+    const now = Date.now();
+    const revisions = await this.find({ noteId })
+        .select('_id createdAt')
+        .sort({ createdAt: -1 })
+        .lean();
+
+    // Walking newest → oldest, keep the newest snapshot in each time slot
+    const seenSlots = new Set();
+    const toDelete = [];
+    revisions.forEach(rev => {
+        const age = now - new Date(rev.createdAt).getTime();
+        const bucket = THINNING.findIndex(b => age < b.maxAge);
+        const every = bucket === -1 ? DAY_MS : THINNING[bucket].every;
+        const slot = `${bucket}:${Math.floor(new Date(rev.createdAt).getTime() / every)}`;
+        if (seenSlots.has(slot)) toDelete.push(rev._id);
+        else seenSlots.add(slot);
+    });
+
+    if (toDelete.length > 0) {
+        await this.deleteMany({ _id: { $in: toDelete } });
+    }
+
+    // Stored frontEndData no revision points at any more. Recently used data is
+    // left alone: a snapshot in flight may have stored it without its revision yet.
+    const used = await this.distinct('frontEndDataHash', { noteId });
+    await NoteRevisionData.deleteMany({
+        noteId,
+        hash: { $nin: used },
+        updatedAt: { $lt: new Date(now - MERGE_MS) }
+    });
+};
+
+module.exports = mongoose.model('NoteRevision', noteRevisionSchema);
@@ -0,0 +1,207 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+// One signed-in device. Access tokens are short-lived JWTs naming the session
+// (`sid`); the device trades its refresh token for a new pair before they run
+// out. Every refresh rotates the refresh token, and presenting an already
+// rotated one revokes the session — someone else has a copy of it.
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // SHA-256 of the current refresh token, and of the one it replaced
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    previousTokenHash: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Expired sessions are cleaned up by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Tabs of one browser share a refresh token and may race to rotate it; a
+// just-rotated token coming back this soon is one of them, not a thief
+const REUSE_GRACE_MS = 10 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens read "<sessionId>.<secret>" so the session is found without a scan
+const newRefreshToken = (sessionId) => {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+};
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+    { id: userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const deviceOf = (req) => ({
+    userAgent: (req.get('user-agent') || '').slice(0, 300),
+    ip: req.ip || ''
+});
+
+// Sign a user in on the requesting device → { accessToken, refreshToken }
+sessionSchema.statics.start = async function (userId, req) {
+    const session = new this({
+        userId,
+        ...deviceOf(req),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS)
+    });
+    const refresh = newRefreshToken(session._id);
+    session.tokenHash = refresh.hash;
+    await session.save();
+
+    return { accessToken: signAccessToken(userId, session._id), refreshToken: refresh.token, session };
+};
+
+// Sign-ins that still owe a second factor get a short-lived challenge instead
+// of a session; it names the user and can't be used as an access token
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const TWO_FACTOR_PURPOSE = '2fa';
+
+sessionSchema.statics.twoFactorChallenge = function (userId) {
+    return jwt.sign({ id: userId, purpose: TWO_FACTOR_PURPOSE }, process.env.JWT_SECRET, {
+        expiresIn: TWO_FACTOR_CHALLENGE_TTL
+    });
+};
+
+// The user id a challenge was issued for, or null once expired or forged
+sessionSchema.statics.verifyTwoFactorChallenge = function (challenge) {
+    try {
+        const decoded = jwt.verify(String(challenge || ''), process.env.JWT_SECRET);
+        return decoded.purpose === TWO_FACTOR_PURPOSE ? decoded.id : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// In-process notice that sessions ended, emitted as 'ended' with the userId, so
+// live connections (the collaboration sockets) can drop the ones signed out
+const sessionEvents = new EventEmitter();
+sessionEvents.setMaxListeners(0);
+sessionSchema.statics.events = sessionEvents;
+
+const announceEnded = (userId) => sessionEvents.emit('ended', String(userId));
+sessionSchema.statics.announceEnded = announceEnded;
+
+// Trade a refresh token for a new pair → { accessToken, refreshToken, session } or null
+sessionSchema.statics.rotate = async function (refreshToken, req) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+
+    const hash = hashToken(secret);
+    const refresh = newRefreshToken(sessionId);
+    const now = new Date();
+
+    // Matching on the current hash makes two racing refreshes with one token
+    // resolve to a single winner
+    const session = await this.findOneAndUpdate(
+        { _id: sessionId, tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: {
+                tokenHash: refresh.hash,
+                previousTokenHash: hash,
+                ...deviceOf(req),
+                lastUsedAt: now,
+                expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * DAY_MS)
+            }
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        // A rotated-out token came back: treat the session as stolen
+        const stolen = await this.findOneAndUpdate(
+            {
+                _id: sessionId,
+                previousTokenHash: hash,
+                revokedAt: null,
+                lastUsedAt: { $lt: new Date(now.getTime() - REUSE_GRACE_MS) }
+            },
+            { $set: { revokedAt: now } }
+        ).select('userId').lean();
+        if (stolen) announceEnded(stolen.userId);
+        return null;
+    }
+
+    return { accessToken: signAccessToken(session.userId, session._id), refreshToken: refresh.token, session };
+};
+
+// Sign out the device holding `refreshToken`
+sessionSchema.statics.revokeByToken = async function (refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!secret || !mongoose.isValidObjectId(sessionId)) return false;
+
+    const session = await this.findOneAndUpdate(
+        { _id: sessionId, tokenHash: hashToken(secret), revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    ).select('userId').lean();
+    if (!session) return false;
+
+    announceEnded(session.userId);
+    return true;
+};
+
+// Sign out every device of a user, optionally keeping one → number of sessions ended
+sessionSchema.statics.revokeAll = async function (userId, exceptSessionId = null) {
+    const filters = { userId, revokedAt: null };
+    if (exceptSessionId) filters._id = { $ne: exceptSessionId };
+
+    const result = await this.updateMany(filters, { $set: { revokedAt: new Date() } });
+    if (result.modifiedCount > 0) announceEnded(userId);
+    return result.modifiedCount;
+};
+
+// The live session an access token names, or null once revoked or expired
+sessionSchema.statics.findActive = function (sessionId, userId) {
+    if (!mongoose.isValidObjectId(sessionId)) return null;
+    return this.findOne({ _id: sessionId, userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Last-seen times only need minute precision; skip the write otherwise
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+sessionSchema.methods.touch = function () {
+    const now = Date.now();
+    if (now - this.lastUsedAt.getTime() < TOUCH_INTERVAL_MS) return Promise.resolve();
+    this.lastUsedAt = new Date(now);
+    return this.constructor.updateOne({ _id: this._id }, { $set: { lastUsedAt: this.lastUsedAt } });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
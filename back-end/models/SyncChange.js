@@ -0,0 +1,174 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const Note = require('./Note');
+const NoteShare = require('./NoteShare');
+
+// One change record per note: the latest thing that happened to it. Each write
+// moves the record to the end of the user's log by giving it a fresh `seq`, so
+// a client that remembers the last seq it saw (its cursor) only ever pulls
+// notes that changed since — including deletes, which stay as tombstones.
+const syncChangeSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    noteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Note',
+        required: true
+    },
+    seq: {
+        type: Number,
+        required: true
+    },
+    op: {
+        type: String,
+        enum: ['upsert', 'delete'],
+        required: true
+    },
+    // Device that pushed the change, so it isn't echoed back to it
+    origin: {
+        type: String,
+        default: null
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+syncChangeSchema.index({ userId: 1, noteId: 1 }, { unique: true });
+syncChangeSchema.index({ userId: 1, seq: 1 });
+
+// Per-user monotonic counter the seqs are handed out from. A seq is reserved
+// before its record is written, so the counter also lists the reservations
+// still being written (`inFlight`, by first seq); pulls stop short of the
+// oldest one and pick it up once it lands.
+const syncCounterSchema = new mongoose.Schema({
+    _id: mongoose.Schema.Types.ObjectId, // userId
+    seq: { type: Number, default: 0 },
+    inFlight: [{ first: Number, at: Date, _id: false }]
+});
+const SyncCounter = mongoose.model('SyncCounter', syncCounterSchema);
+
+// A reservation this old belongs to a write that died before releasing it
+const IN_FLIGHT_TIMEOUT_MS = 60 * 1000;
+
+// In-process fan-out of recorded changes, one channel per userId (see GET /api/sync/stream)
+const syncEvents = new EventEmitter();
+syncEvents.setMaxListeners(0); // One listener per open tab
+syncChangeSchema.statics.events = syncEvents;
+
+// Record `op` for `noteIds` in everyone's log who can see them: the owner and
+// each collaborator the note is shared with
+syncChangeSchema.statics.record = async function (op, noteIds, origin = null) {
+    if (!noteIds || noteIds.length === 0) return;
+
+    const [notes, shares] = await Promise.all([
+        Note.find({ _id: { $in: noteIds } }).select('userId').lean(),
+        NoteShare.find({ noteId: { $in: noteIds } }).select('noteId userId').lean()
+    ]);
+
+    const audience = new Map(); // userId → noteIds
+    const add = (userId, noteId) => {
+        const key = String(userId);
+        if (!audience.has(key)) audience.set(key, { userId, noteIds: [] });
+        audience.get(key).noteIds.push(noteId);
+    };
+    notes.forEach(n => add(n.userId, n._id));
+    shares.forEach(s => add(s.userId, s.noteId));
+
+    for (const { userId, noteIds: ids } of audience.values()) {
+        await this.recordFor(userId, op, ids, origin);
+    }
+};
+
+// Record `op` for every note in `noteIds`, in order, in one user's log
+syncChangeSchema.statics.recordFor = async function (userId, op, noteIds, origin = null) {
+    if (!noteIds || noteIds.length === 0) return;
+
+    // Take the seqs and list them as in flight in one atomic write, dropping
+    // reservations abandoned by dead writes on the way
+    const changedAt = new Date();
+    const reserve = () => SyncCounter.findOneAndUpdate({ _id: userId }, [
+        { $set: { seq: { $add: ['$seq', noteIds.length] } } },
+        {
+            $set: {
+                inFlight: {
+                    $concatArrays: [
+                        {
+                            $filter: {
+                                input: { $ifNull: ['$inFlight', []] },
+                                cond: { $gt: ['$$this.at', new Date(changedAt.getTime() - IN_FLIGHT_TIMEOUT_MS)] }
+                            }
+                        },
+                        [{ first: { $subtract: ['$seq', noteIds.length - 1] }, at: changedAt }]
+                    ]
+                }
+            }
+        }
+    ], { new: true }).lean();
+
+    let counter = await reserve();
+    if (!counter) {
+        await this.seed(userId);
+        counter = await reserve();
+    }
+
+    const first = counter.seq - noteIds.length + 1;
+    try {
+        await this.bulkWrite(noteIds.map((noteId, i) => ({
+            updateOne: {
+                filter: { userId, noteId },
+                update: { $set: { seq: first + i, op, origin, changedAt } },
+                upsert: true
+            }
+        })));
+    } finally {
+        await SyncCounter.updateOne({ _id: userId }, { $pull: { inFlight: { first } } });
+    }
+
+    syncEvents.emit(String(userId), { seq: counter.seq, op, noteIds: noteIds.map(String), origin });
+};
+
+// The highest seq below which every record of the user's log is written, so a
+// pull that stops there can never skip one still in flight
+syncChangeSchema.statics.settledSeq = async function (userId) {
+    const counter = await SyncCounter.findById(userId).lean();
+    if (!counter) return 0;
+
+    const liveAfter = Date.now() - IN_FLIGHT_TIMEOUT_MS;
+    const pending = (counter.inFlight || [])
+        .filter(r => new Date(r.at).getTime() > liveAfter)
+        .map(r => r.first);
+    return pending.length > 0 ? Math.min(...pending) - 1 : counter.seq;
+};
+
+// The first time a user's log is touched, start it with every note they already
+// have, including the ones shared with them
+syncChangeSchema.statics.seed = async function (userId) {
+    const existing = await SyncCounter.findOneAndUpdate(
+        { _id: userId },
+        { $setOnInsert: { seq: 0 } },
+        { upsert: true, new: false }
+    ).lean();
+    if (existing) return; // Someone else seeded it first
+
+    const notes = await Note.find({ userId })
+        .select('_id deletedAt')
+        .sort({ updatedAt: 1 })
+        .lean();
+    const shares = await NoteShare.find({ userId }).select('noteId').lean();
+    await this.recordFor(userId, 'upsert', notes.filter(n => !n.deletedAt).map(n => n._id));
+    await this.recordFor(userId, 'upsert', shares.map(s => s.noteId));
+    await this.recordFor(userId, 'delete', notes.filter(n => n.deletedAt).map(n => n._id));
+};
+
+// Drop a user's whole log and counter (account deletion)
+syncChangeSchema.statics.forget = async function (userId) {
+    await this.deleteMany({ userId });
+    await SyncCounter.deleteOne({ _id: userId });
+};
+
+module.exports = mongoose.model('SyncChange', syncChangeSchema);
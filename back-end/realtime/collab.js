@@ -0,0 +1,380 @@
+const { WebSocketServer } = require('ws');
+const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const SyncChange = require('../models/SyncChange');
+const Session = require('../models/Session');
+const { verifyToken } = require('../middleware/auth');
+const ot = require('./ot');
+
+// ─────────────────────────────────────────────
+// Collaborative editing — one WebSocket channel per note at /api/collab/:noteId
+//
+// The server holds the authoritative copy of a note's content while anyone has
+// it open, numbered by version. Clients send operations made against a version;
+// the server transforms them past anything that landed since, widens them to
+// whole HTML tags, applies them, acks the sender and relays the result to
+// everyone else.
+//
+// Saves go through the note's revision like any other write. When something
+// else saved the note in between (a device's outbox, a restore), its change is
+// folded into the live copy as a server op (clientId 0) and the save retried.
+// Access is checked again whenever the user's sessions end or the note's
+// change log says their access may have changed.
+//
+// Client → server:  { type: 'auth', token }
+//                   { type: 'op', version, op }
+//                   { type: 'selection', selection: { start, end } | null }
+// Server → client:  { type: 'joined', clientId, role, version, content, peers }
+//                   { type: 'ack', version }
+//                   { type: 'op', clientId, version, op }
+//                   { type: 'presence', peers }
+//                   { type: 'selection', clientId, selection }
+//                   { type: 'saved', revision }
+//                   { type: 'resync' } — too far behind; rejoin
+// Close codes:      4401 signed out, 4403 no access, 4409 role changed (rejoin),
+//                   4410 note moved to the trash
+// ─────────────────────────────────────────────
+
+const PATH = /^\/api\/collab\/([a-f0-9]{24})$/;
+const AUTH_TIMEOUT_MS = 10000;
+const SAVE_DEBOUNCE_MS = 2000;
+// Wait before retrying a save that failed; the session stays open until it lands
+const SAVE_RETRY_MS = 30000;
+const HISTORY_LIMIT = 500;
+const SAVE_ATTEMPTS = 3;
+// Change-log origin of our own saves; they never change anyone's access
+const COLLAB_ORIGIN = 'collab';
+// Big enough for a pasted image; the client saves anything larger the regular way
+const MAX_PAYLOAD = 4 * 1024 * 1024;
+
+const sessions = new Map(); // noteId → session
+let nextClientId = 1;
+
+const send = (socket, message) => {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+};
+
+const broadcast = (session, message, except = null) => {
+    session.clients.forEach((client, socket) => {
+        if (socket !== except) send(socket, message);
+    });
+};
+
+const peersOf = (session) => [...session.clients.values()].map(c => ({
+    clientId: c.clientId,
+    userId: c.user._id,
+    displayName: c.user.displayName || c.user.username,
+    avatarColor: c.user.avatarColor,
+    role: c.role,
+    selection: c.selection
+}));
+
+// Load (or share) the live session for a note
+const openSession = async (noteId) => {
+    if (sessions.has(noteId)) return sessions.get(noteId);
+
+    const loading = (async () => {
+        const note = await Note.findById(noteId).select('content revision').lean();
+        return {
+            noteId,
+            content: note.content || '',
+            version: 0,
+            history: [], // history[i] took version (historyStart + i) to the next one
+            historyStart: 0,
+            // What the note holds in the database: `content` at `revision`, which
+            // `baseOps` and then history from `version` turn into the live content
+            saved: { content: note.content || '', revision: note.revision || 0, version: 0, baseOps: [] },
+            clients: new Map(), // socket → { clientId, user, sessionId, role, selection }
+            saveTimer: null,
+            dirty: false
+        };
+    })();
+    sessions.set(noteId, loading);
+    try {
+        const session = await loading;
+        sessions.set(noteId, session);
+        return session;
+    } catch (error) {
+        sessions.delete(noteId);
+        throw error;
+    }
+};
+
+// Apply a server-made op to the live content and relay it to everyone
+const applyServerOp = (session, op) => {
+    op = ot.alignToTags(session.content, op);
+    session.content = ot.apply(session.content, op);
+    pushHistory(session, op);
+    broadcast(session, { type: 'op', clientId: 0, version: session.version, op });
+};
+
+const pushHistory = (session, op) => {
+    session.history.push(op);
+    session.version++;
+    if (session.history.length > HISTORY_LIMIT) {
+        session.history.shift();
+        session.historyStart++;
+    }
+};
+
+// Someone saved `current` outside this session: merge their change into the
+// live content, keeping what the session has not saved yet
+const rebase = (session, current) => {
+    const { saved } = session;
+    const theirs = current.content || '';
+
+    if (saved.version < session.historyStart) {
+        // Our unsaved ops are no longer all in history; their save wins
+        console.error(`Collab: unsaved history lost for note ${session.noteId}, taking the saved copy`);
+        applyServerOp(session, ot.diff(session.content, theirs));
+        session.saved = { content: theirs, revision: current.revision || 0, version: session.version, baseOps: [] };
+        return;
+    }
+
+    // Carry their change past ours, and ours past theirs for the next rebase
+    let external = ot.diff(saved.content, theirs);
+    const ours = [...saved.baseOps, ...session.history.slice(saved.version - session.historyStart)];
+    const oursOnTheirs = ours.map(op => {
+        const [opPrime, externalPrime] = ot.transform(op, external);
+        external = externalPrime;
+        return opPrime;
+    });
+
+    applyServerOp(session, external);
+    session.saved = { content: theirs, revision: current.revision || 0, version: session.version, baseOps: oursOnTheirs };
+};
+
+// Drop everyone from a session, e.g. when its note goes to the trash
+const closeSession = (session, code, reason) => {
+    session.clients.forEach((client, socket) => socket.close(code, reason));
+};
+
+// Write the live content back to the note; other devices pick it up through sync
+const saveSession = async (session) => {
+    if (session.saveTimer) clearTimeout(session.saveTimer);
+    session.saveTimer = null;
+    if (!session.dirty || session.saving) return; // A save in flight picks it up after
+    session.dirty = false;
+    session.saving = true;
+    let failed = false;
+
+    try {
+        for (let attempt = 0; attempt < SAVE_ATTEMPTS; attempt++) {
+            const content = session.content;
+            const version = session.version;
+            const { note, current } = await Note.updateIfRevision(
+                { _id: session.noteId, deletedAt: null },
+                { content, 'frontEndData.content': content },
+                session.saved.revision
+            );
+
+            if (note) {
+                session.saved = { content, revision: note.revision, version, baseOps: [] };
+                await NoteRevision.snapshot(note);
+                await SyncChange.record('upsert', [note._id], COLLAB_ORIGIN);
+                broadcast(session, { type: 'saved', revision: note.revision });
+                return;
+            }
+            if (!current) {
+                // Trashed or deleted while open
+                closeSession(session, 4410, 'Note was moved to the trash');
+                return;
+            }
+            rebase(session, current);
+        }
+        // Lost the race every time; keep the content and try again shortly
+        session.dirty = true;
+    } catch (error) {
+        // Stays dirty and is retried, even after everyone has left
+        console.error('Collab save error:', error);
+        session.dirty = true;
+        failed = true;
+    } finally {
+        session.saving = false;
+        // Changes that came in while we were writing, a lost race or a failure
+        if (session.dirty) scheduleSave(session, failed ? SAVE_RETRY_MS : SAVE_DEBOUNCE_MS);
+        else releaseIfIdle(session);
+    }
+};
+
+const scheduleSave = (session, delay = SAVE_DEBOUNCE_MS) => {
+    session.dirty = true;
+    if (session.saveTimer) clearTimeout(session.saveTimer);
+    session.saveTimer = setTimeout(() => saveSession(session), delay);
+};
+
+// Forget a session nobody has open once everything in it is saved
+const releaseIfIdle = (session) => {
+    if (session.clients.size > 0 || session.dirty || session.saving) return;
+    if (sessions.get(session.noteId) === session) sessions.delete(session.noteId);
+};
+
+const handleOp = (session, socket, client, message) => {
+    if (!Note.EDIT_ROLES.includes(client.role)) return;
+    if (!ot.isValid(message.op) || !Number.isInteger(message.version) || message.version > session.version) {
+        return send(socket, { type: 'resync' });
+    }
+    if (message.version < session.historyStart) {
+        return send(socket, { type: 'resync' });
+    }
+
+    // Bring the op up to date with everything applied since the client's version
+    let op = message.op;
+    try {
+        session.history.slice(message.version - session.historyStart).forEach(applied => {
+            op = ot.transform(op, applied)[0];
+        });
+        op = ot.alignToTags(session.content, op);
+        session.content = ot.apply(session.content, op);
+    } catch (error) {
+        return send(socket, { type: 'resync' });
+    }
+
+    pushHistory(session, op);
+
+    send(socket, { type: 'ack', version: session.version });
+    broadcast(session, { type: 'op', clientId: client.clientId, version: session.version, op }, socket);
+    scheduleSave(session);
+};
+
+// A selection is character offsets into the content's text, or null
+const isSelection = (selection, session) => selection === null || (
+    typeof selection === 'object' &&
+    Number.isInteger(selection.start) && Number.isInteger(selection.end) &&
+    selection.start >= 0 && selection.start <= selection.end && selection.end <= session.content.length
+);
+
+// Check a connected client's session and access again, dropping or
+// re-admitting it when either has changed
+const recheck = async (session, socket, client) => {
+    try {
+        const [active, access] = await Promise.all([
+            Session.findActive(client.sessionId, client.user._id),
+            Note.accessFor(session.noteId, client.user._id)
+        ]);
+        if (!active) return socket.close(4401, 'Signed out');
+        if (!access) return socket.close(4403, 'No access to this note');
+        if (access.note.deletedAt) return socket.close(4410, 'Note was moved to the trash');
+        if (access.role !== client.role) socket.close(4409, 'Access changed');
+    } catch (error) {
+        console.error('Collab access check error:', error.message);
+    }
+};
+
+// Sessions still loading are promises; they check access as they join
+const onSessionsEnded = (userId) => {
+    sessions.forEach(session => {
+        if (!session.clients) return;
+        session.clients.forEach((client, socket) => {
+            if (String(client.user._id) === userId) recheck(session, socket, client);
+        });
+    });
+};
+
+const leave = async (session, socket) => {
+    session.clients.delete(socket);
+    if (session.clients.size > 0) {
+        broadcast(session, { type: 'presence', peers: peersOf(session) });
+        return;
+    }
+    // Last one out saves; the session closes once nothing is left unsaved
+    await saveSession(session);
+    releaseIfIdle(session);
+};
+
+const handleConnection = (socket, noteId) => {
+    let session = null;
+    let client = null;
+    let authenticating = false;
+    let onSyncChange = null;
+
+    const authTimer = setTimeout(() => socket.close(4401, 'Authentication timed out'), AUTH_TIMEOUT_MS);
+
+    socket.on('message', async (raw) => {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            return;
+        }
+
+        if (!client) {
+            if (message.type !== 'auth' || authenticating) return;
+            authenticating = true;
+            clearTimeout(authTimer);
+            try {
+                const verified = await verifyToken(message.token);
+                if (!verified) return socket.close(4401, 'Not authorized');
+                const { user } = verified;
+
+                const access = await Note.accessFor(noteId, user._id);
+                if (!access) return socket.close(4403, 'No access to this note');
+                if (access.note.deletedAt) return socket.close(4410, 'Note was moved to the trash');
+
+                session = await openSession(noteId);
+                if (socket.readyState !== socket.OPEN) {
+                    // Gave up while we were loading; don't leave the session behind
+                    releaseIfIdle(session);
+                    return;
+                }
+
+                client = { clientId: nextClientId++, user, sessionId: verified.session._id, role: access.role, selection: null };
+                session.clients.set(socket, client);
+
+                // Shares, role changes and trashing all land in the user's change log
+                onSyncChange = (change) => {
+                    if (change.origin !== COLLAB_ORIGIN && change.noteIds.includes(noteId)) {
+                        recheck(session, socket, client);
+                    }
+                };
+                SyncChange.events.on(String(user._id), onSyncChange);
+
+                send(socket, {
+                    type: 'joined',
+                    clientId: client.clientId,
+                    role: client.role,
+                    version: session.version,
+                    content: session.content,
+                    peers: peersOf(session)
+                });
+                broadcast(session, { type: 'presence', peers: peersOf(session) }, socket);
+            } catch (error) {
+                console.error('Collab join error:', error.message);
+                socket.close(4401, 'Not authorized');
+            }
+            return;
+        }
+
+        if (message.type === 'op') {
+            handleOp(session, socket, client, message);
+        } else if (message.type === 'selection') {
+            const selection = message.selection === undefined ? null : message.selection;
+            if (!isSelection(selection, session)) return;
+            client.selection = selection ? { start: selection.start, end: selection.end } : null;
+            broadcast(session, { type: 'selection', clientId: client.clientId, selection: client.selection }, socket);
+        }
+    });
+
+    socket.on('close', () => {
+        clearTimeout(authTimer);
+        if (onSyncChange) SyncChange.events.removeListener(String(client.user._id), onSyncChange);
+        if (session && client) leave(session, socket).catch(err => console.error('Collab leave error:', err));
+    });
+};
+
+// Attach the collaboration endpoint to the HTTP server
+const attachCollaboration = (server) => {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD });
+    Session.events.on('ended', onSessionsEnded);
+
+    server.on('upgrade', (req, socket, head) => {
+        const match = PATH.exec(req.url.split('?')[0]);
+        if (!match) return socket.destroy();
+
+        wss.handleUpgrade(req, socket, head, (ws) => handleConnection(ws, match[1]));
+    });
+
+    return wss;
+};
+
+module.exports = { attachCollaboration };
@@ -0,0 +1,206 @@
+// Operational transformation over a document string, in the style of ot.js.
+// An operation is a list of components walked left to right over the document:
+//   positive number → keep that many characters
+//   negative number → delete that many characters
+//   string          → insert it
+// The front-end keeps an identical copy of these helpers (script.js, otApply…).
+
+const isRetain = (c) => typeof c === 'number' && c > 0;
+const isDelete = (c) => typeof c === 'number' && c < 0;
+const isInsert = (c) => typeof c === 'string';
+
+// Builders merge adjacent components of the same kind and keep inserts before deletes
+const retain = (ops, n) => {
+    if (n === 0) return;
+    if (isRetain(ops[ops.length - 1])) ops[ops.length - 1] += n;
+    else ops.push(n);
+};
+
+const insert = (ops, str) => {
+    if (str === '') return;
+    const last = ops[ops.length - 1];
+    if (isInsert(last)) {
+        ops[ops.length - 1] += str;
+    } else if (isDelete(last)) {
+        if (isInsert(ops[ops.length - 2])) ops[ops.length - 2] += str;
+        else ops.splice(ops.length - 1, 0, str);
+    } else {
+        ops.push(str);
+    }
+};
+
+const del = (ops, n) => {
+    if (n === 0) return;
+    if (isDelete(ops[ops.length - 1])) ops[ops.length - 1] -= n;
+    else ops.push(-n);
+};
+
+const baseLength = (op) => op.reduce((len, c) => len + (isInsert(c) ? 0 : Math.abs(c)), 0);
+
+// Well-formed: a non-empty-component array of integers and strings
+const isValid = (op) => Array.isArray(op) && op.every(c =>
+    (typeof c === 'number' && Number.isInteger(c) && c !== 0) || (typeof c === 'string' && c !== ''));
+
+const apply = (doc, op) => {
+    if (baseLength(op) !== doc.length) {
+        throw new Error('Operation does not match the document length');
+    }
+    let index = 0;
+    const parts = [];
+    op.forEach(c => {
+        if (isRetain(c)) {
+            parts.push(doc.slice(index, index + c));
+            index += c;
+        } else if (isDelete(c)) {
+            index -= c;
+        } else {
+            parts.push(c);
+        }
+    });
+    return parts.join('');
+};
+
+// Given a and b made against the same document, return [a', b'] so that
+// apply(apply(doc, a), b') === apply(apply(doc, b), a'). Inserts from `a` win ties.
+const transform = (a, b) => {
+    if (baseLength(a) !== baseLength(b)) {
+        throw new Error('Both operations must start from the same document');
+    }
+    const aPrime = [];
+    const bPrime = [];
+    let i = 0;
+    let j = 0;
+    let c1 = a[i++];
+    let c2 = b[j++];
+
+    while (c1 !== undefined || c2 !== undefined) {
+        if (isInsert(c1)) {
+            insert(aPrime, c1);
+            retain(bPrime, c1.length);
+            c1 = a[i++];
+            continue;
+        }
+        if (isInsert(c2)) {
+            retain(aPrime, c2.length);
+            insert(bPrime, c2);
+            c2 = b[j++];
+            continue;
+        }
+        if (c1 === undefined || c2 === undefined) {
+            throw new Error('Operations are not compatible');
+        }
+
+        let min;
+        if (isRetain(c1) && isRetain(c2)) {
+            min = Math.min(c1, c2);
+            retain(aPrime, min);
+            retain(bPrime, min);
+            c1 = c1 === min ? a[i++] : c1 - min;
+            c2 = c2 === min ? b[j++] : c2 - min;
+        } else if (isDelete(c1) && isDelete(c2)) {
+            // Both deleted the same characters — nothing left to do for either
+            min = Math.min(-c1, -c2);
+            c1 = -c1 === min ? a[i++] : c1 + min;
+            c2 = -c2 === min ? b[j++] : c2 + min;
+        } else if (isDelete(c1) && isRetain(c2)) {
+            min = Math.min(-c1, c2);
+            del(aPrime, min);
+            c1 = -c1 === min ? a[i++] : c1 + min;
+            c2 = c2 === min ? b[j++] : c2 - min;
+        } else {
+            min = Math.min(c1, -c2);
+            del(bPrime, min);
+            c1 = c1 === min ? a[i++] : c1 - min;
+            c2 = -c2 === min ? b[j++] : c2 + min;
+        }
+    }
+    return [aPrime, bPrime];
+};
+
+// Single replace taking `from` to `to`: keep the common prefix and suffix,
+// swap what lies between
+const diff = (from, to) => {
+    let prefix = 0;
+    while (prefix < from.length && prefix < to.length && from[prefix] === to[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < from.length - prefix && suffix < to.length - prefix &&
+        from[from.length - 1 - suffix] === to[to.length - 1 - suffix]) suffix++;
+
+    const ops = [];
+    retain(ops, prefix);
+    insert(ops, to.slice(prefix, to.length - suffix));
+    del(ops, from.length - prefix - suffix);
+    retain(ops, suffix);
+    return ops;
+};
+
+// Documents are HTML, so a position between '<' and '>' sits inside a tag
+const insideTag = (doc, pos) => {
+    if (pos <= 0) return false;
+    const open = doc.lastIndexOf('<', pos - 1);
+    return open !== -1 && open > doc.lastIndexOf('>', pos - 1);
+};
+
+const tagEnd = (doc, pos) => {
+    const close = doc.indexOf('>', pos);
+    return close === -1 ? doc.length : close + 1;
+};
+
+// Server-side only: rewrite `op` so that none of its edits starts or ends inside
+// a tag of `doc`, by widening them to whole tags. The result applies to the same
+// document with the same outcome, but once every applied op is aligned,
+// transforming concurrent ops can no longer leave half a tag behind.
+const alignToTags = (doc, op) => {
+    // Each edit as [start, end] in `doc` plus its offset into the result
+    const edits = [];
+    let pos = 0;
+    let shift = 0;
+    op.forEach(c => {
+        if (isRetain(c)) {
+            pos += c;
+            return;
+        }
+        let edit = edits[edits.length - 1];
+        if (!edit || edit.end !== pos || edit.shiftAfter !== shift) {
+            edit = { start: pos, end: pos, shiftBefore: shift, shiftAfter: shift };
+            edits.push(edit);
+        }
+        if (isDelete(c)) {
+            pos -= c;
+            shift += c;
+        } else {
+            shift += c.length;
+        }
+        edit.end = pos;
+        edit.shiftAfter = shift;
+    });
+    if (edits.length === 0) return op;
+
+    const result = apply(doc, op);
+    const aligned = [];
+    edits.forEach(edit => {
+        const start = insideTag(doc, edit.start) ? doc.lastIndexOf('<', edit.start - 1) : edit.start;
+        const end = insideTag(doc, edit.end) ? tagEnd(doc, edit.end) : edit.end;
+        const last = aligned[aligned.length - 1];
+        if (last && start <= last.end) {
+            // Widening ran into the previous edit: one edit covers both
+            last.end = Math.max(last.end, end);
+            last.shiftAfter = edit.shiftAfter;
+        } else {
+            aligned.push({ start, end, shiftBefore: edit.shiftBefore, shiftAfter: edit.shiftAfter });
+        }
+    });
+
+    const ops = [];
+    let done = 0;
+    aligned.forEach(edit => {
+        retain(ops, edit.start - done);
+        insert(ops, result.slice(edit.start + edit.shiftBefore, edit.end + edit.shiftAfter));
+        del(ops, edit.end - edit.start);
+        done = edit.end;
+    });
+    retain(ops, doc.length - done);
+    return ops;
+};
+
+module.exports = { apply, transform, isValid, baseLength, diff, alignToTags };
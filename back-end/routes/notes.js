@@ -1,5 +1,12 @@
+const crypto = require('crypto');
 const express = require('express');
+const bcrypt = require('bcryptjs');
 const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const SyncChange = require('../models/SyncChange');
+const NoteShare = require('../models/NoteShare');
+const NoteComment = require('../models/NoteComment');
+const User = require('../models/User');
 const { protect } = require('../middleware/auth');
 
 const router = express.Router();
@@ -7,6 +14,54 @@ const router = express.Router();
 // All note routes are protected
 router.use(protect);
 
+// Expected revision from an If-Match header ("3" or W/"3") or a body `revision` field
+const getExpectedRevision = (req) => {
+    const ifMatch = req.get('If-Match');
+    if (ifMatch && ifMatch !== '*') {
+        const parsed = parseInt(ifMatch.replace(/^W\//, '').replace(/"/g, ''), 10);
+        return Number.isNaN(parsed) ? null : parsed;
+    }
+    if (req.body.revision !== undefined && req.body.revision !== null) {
+        const parsed = parseInt(req.body.revision, 10);
+        return Number.isNaN(parsed) ? null : parsed;
+    }
+    return null;
+};
+
+// Resolve the caller's access to note :id. Answers 404 (no access at all) or
+// 403 (role not in `roles`) itself and resolves null in that case.
+const requireAccess = async (req, res, roles = null) => {
+    const access = await Note.accessFor(req.params.id, req.user._id);
+    if (!access) {
+        res.status(404).json({ error: 'Note not found' });
+        return null;
+    }
+    if (roles && !roles.includes(access.role)) {
+        res.status(403).json({ error: 'You do not have permission to do that with this note' });
+        return null;
+    }
+    return access;
+};
+
+// Public profile fields shown next to shared notes
+const PROFILE_FIELDS = 'username displayName avatarColor';
+
+// Unlisted share links
+const LINK_MAX_EXPIRY_DAYS = 365;
+const LINK_MIN_PASSWORD_LENGTH = 4;
+
+// What owners see of a link — never the password hash
+const linkToPublic = (link, note) => ({
+    _id: link._id,
+    noteId: note._id,
+    noteTitle: note.title,
+    token: link.token,
+    expiresAt: link.expiresAt,
+    hasPassword: !!link.passwordHash,
+    views: link.views,
+    createdAt: link.createdAt
+});
+
 // ─────────────────────────────────────────────
 // GET /api/notes — List user's notes
 // ─────────────────────────────────────────────
@@ -14,6 +69,9 @@ router.get('/', async (req, res) => {
     try {
         const filters = { userId: req.user._id };
 
+        // Trashed notes are only listed when explicitly asked for
+        if (req.query.includeDeleted !== 'true') filters.deletedAt = null;
+
         // Optional query filters
         if (req.query.category) filters.category = req.query.category;
         if (req.query.tag) filters.tags = req.query.tag;
@@ -30,20 +88,152 @@ router.get('/', async (req, res) => {
 });
 
 // ─────────────────────────────────────────────
-// GET /api/notes/:id — Get single note
+// GET /api/notes/trash — List trashed notes
 // ─────────────────────────────────────────────
-router.get('/:id', async (req, res) => {
+router.get('/trash', async (req, res) => {
     try {
-        const note = await Note.findOne({
-            _id: req.params.id,
-            userId: req.user._id
-        }).lean();
+        await Note.purgeExpiredTrash(req.user._id);
+
+        const notes = await Note.find({
+            userId: req.user._id,
+            deletedAt: { $ne: null }
+        })
+            .select('title tags category deletedAt updatedAt')
+            .sort({ deletedAt: -1 })
+            .lean();
+
+        res.json({ notes, retentionDays: Note.TRASH_RETENTION_DAYS });
+    } catch (error) {
+        console.error('Get trash error:', error);
+        res.status(500).json({ error: 'Failed to retrieve trash' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/notes/trash/:id/restore — Move a note out of the trash
+// ─────────────────────────────────────────────
+router.post('/trash/:id/restore', async (req, res) => {
+    try {
+        const note = await Note.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user._id, deletedAt: { $ne: null } },
+            { $set: { deletedAt: null }, $inc: { revision: 1 } },
+            { new: true }
+        );
 
         if (!note) {
-            return res.status(404).json({ error: 'Note not found' });
+            return res.status(404).json({ error: 'Note not found in trash' });
         }
 
+        await SyncChange.record('upsert', [note._id]);
+
         res.json({ note });
+    } catch (error) {
+        console.error('Restore note error:', error);
+        res.status(500).json({ error: 'Failed to restore note' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// DELETE /api/notes/trash/:id — Permanently delete one trashed note
+// ─────────────────────────────────────────────
+router.delete('/trash/:id', async (req, res) => {
+    try {
+        const purged = await Note.purge({
+            _id: req.params.id,
+            userId: req.user._id,
+            deletedAt: { $ne: null }
+        });
+
+        if (!purged) {
+            return res.status(404).json({ error: 'Note not found in trash' });
+        }
+
+        res.json({ message: 'Note permanently deleted' });
+    } catch (error) {
+        console.error('Purge note error:', error);
+        res.status(500).json({ error: 'Failed to delete note' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// DELETE /api/notes/trash — Empty the trash
+// ─────────────────────────────────────────────
+router.delete('/trash', async (req, res) => {
+    try {
+        const deletedCount = await Note.purge({
+            userId: req.user._id,
+            deletedAt: { $ne: null }
+        });
+
+        res.json({ message: `${deletedCount} note(s) permanently deleted`, deletedCount });
+    } catch (error) {
+        console.error('Empty trash error:', error);
+        res.status(500).json({ error: 'Failed to empty trash' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// GET /api/notes/shared-with-me — Notes other users shared with me
+// ─────────────────────────────────────────────
+router.get('/shared-with-me', async (req, res) => {
+    try {
+        const shares = await NoteShare.find({ userId: req.user._id })
+            .populate('noteId', 'title tags updatedAt deletedAt')
+            .populate('ownerId', PROFILE_FIELDS)
+            .sort({ updatedAt: -1 })
+            .lean();
+
+        const notes = shares
+            .filter(s => s.noteId && !s.noteId.deletedAt)
+            .map(s => ({
+                _id: s.noteId._id,
+                title: s.noteId.title,
+                tags: s.noteId.tags,
+                updatedAt: s.noteId.updatedAt,
+                share: { _id: s._id, role: s.role, owner: s.ownerId }
+            }));
+
+        res.json({ notes });
+    } catch (error) {
+        console.error('Get shared notes error:', error);
+        res.status(500).json({ error: 'Failed to retrieve shared notes' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// GET /api/notes/links — All unlisted share links on my notes
+// ─────────────────────────────────────────────
+router.get('/links', async (req, res) => {
+    try {
+        const notes = await Note.find({
+            userId: req.user._id,
+            deletedAt: null,
+            'shareLinks.0': { $exists: true }
+        }).select('title +shareLinks').lean();
+
+        const links = notes
+            .flatMap(note => note.shareLinks.map(link => linkToPublic(link, note)))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        res.json({ links });
+    } catch (error) {
+        console.error('Get share links error:', error);
+        res.status(500).json({ error: 'Failed to retrieve share links' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// GET /api/notes/:id — Get single note
+// ─────────────────────────────────────────────
+router.get('/:id', async (req, res) => {
+    try {
+        const access = await requireAccess(req, res);
+        if (!access) return;
+
+        const note = await Note.findById(req.params.id).lean();
+
+        res.set('ETag', `"${note.revision || 0}"`);
+        res.json({ note, role: access.role });
     } catch (error) {
         console.error('Get note error:', error);
         res.status(500).json({ error: 'Failed to retrieve note' });
@@ -68,6 +258,9 @@ router.post('/', async (req, res) => {
             frontEndData: frontEndData || {}
         });
 
+        await NoteRevision.snapshot(note);
+        await SyncChange.record('upsert', [note._id]);
+
         res.status(201).json({ note });
     } catch (error) {
         console.error('Create note error:', error);
@@ -80,25 +273,36 @@ router.post('/', async (req, res) => {
 // ─────────────────────────────────────────────
 router.put('/:id', async (req, res) => {
     try {
-        const note = await Note.findOne({
-            _id: req.params.id,
-            userId: req.user._id
-        });
+        const access = await requireAccess(req, res, Note.EDIT_ROLES);
+        if (!access) return;
 
-        if (!note) {
-            return res.status(404).json({ error: 'Note not found' });
-        }
+        const filters = { _id: req.params.id };
 
         // Update allowed fields
-        const updatableFields = ['title', 'content', 'sections', 'tags', 'category', 'metadata', 'frontEndData'];
-        updatableFields.forEach(field => {
+        const updates = {};
+        Note.UPDATABLE_FIELDS.forEach(field => {
             if (req.body[field] !== undefined) {
-                note[field] = req.body[field];
+                updates[field] = req.body[field];
             }
         });
 
-        await note.save();
+        const { note, current } = await Note.updateIfRevision(filters, updates, getExpectedRevision(req));
 
+        if (current) {
+            res.set('ETag', `"${current.revision || 0}"`);
+            return res.status(409).json({
+                error: 'Note was changed on another device',
+                note: current
+            });
+        }
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        await NoteRevision.snapshot(note);
+        await SyncChange.record('upsert', [note._id]);
+
+        res.set('ETag', `"${note.revision}"`);
         res.json({ note });
     } catch (error) {
         console.error('Update note error:', error);
@@ -107,20 +311,406 @@ router.put('/:id', async (req, res) => {
 });
 
 // ─────────────────────────────────────────────
-// DELETE /api/notes/:id — Delete note
+// GET /api/notes/:id/revisions — List a note's saved versions (newest first)
 // ─────────────────────────────────────────────
-router.delete('/:id', async (req, res) => {
+router.get('/:id/revisions', async (req, res) => {
     try {
-        const note = await Note.findOneAndDelete({
-            _id: req.params.id,
-            userId: req.user._id
+        const access = await requireAccess(req, res);
+        if (!access) return;
+
+        const revisions = await NoteRevision.find({ noteId: access.note._id })
+            .select('revision title createdAt updatedAt')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.json({ revisions });
+    } catch (error) {
+        console.error('Get revisions error:', error);
+        res.status(500).json({ error: 'Failed to retrieve revisions' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// GET /api/notes/:id/revisions/:revisionId — Get one saved version
+// ─────────────────────────────────────────────
+router.get('/:id/revisions/:revisionId', async (req, res) => {
+    try {
+        const access = await requireAccess(req, res);
+        if (!access) return;
+
+        const revision = await NoteRevision.load({
+            _id: req.params.revisionId,
+            noteId: access.note._id
+        });
+
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        res.json({ revision });
+    } catch (error) {
+        console.error('Get revision error:', error);
+        res.status(500).json({ error: 'Failed to retrieve revision' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/notes/:id/revisions/:revisionId/restore — Roll a note back
+// ─────────────────────────────────────────────
+router.post('/:id/revisions/:revisionId/restore', async (req, res) => {
+    try {
+        const access = await requireAccess(req, res, Note.EDIT_ROLES);
+        if (!access) return;
+
+        const revision = await NoteRevision.load({
+            _id: req.params.revisionId,
+            noteId: access.note._id
+        });
+
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        // Restoring is a regular edit: it bumps the revision and is snapshotted too
+        const note = await Note.findOneAndUpdate(
+            { _id: access.note._id },
+            {
+                $set: {
+                    title: revision.title,
+                    content: revision.content,
+                    sections: revision.sections,
+                    tags: revision.tags,
+                    frontEndData: revision.frontEndData
+                },
+                $inc: { revision: 1 }
+            },
+            { new: true }
+        );
+
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        await NoteRevision.snapshot(note, { merge: false });
+        await SyncChange.record('upsert', [note._id]);
+
+        res.set('ETag', `"${note.revision}"`);
+        res.json({ note });
+    } catch (error) {
+        console.error('Restore revision error:', error);
+        res.status(500).json({ error: 'Failed to restore revision' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// GET /api/notes/:id/shares — Who has access to a note
+// ─────────────────────────────────────────────
+router.get('/:id/shares', async (req, res) => {
+    try {
+        const access = await requireAccess(req, res);
+        if (!access) return;
+
+        const [owner, shares] = await Promise.all([
+            User.findById(access.note.userId).select(PROFILE_FIELDS).lean(),
+            NoteShare.find({ noteId: access.note._id })
+                .populate('userId', PROFILE_FIELDS)
+                .sort({ createdAt: 1 })
+                .lean()
+        ]);
+
+        res.json({
+            role: access.role,
+            owner,
+            shares: shares.map(s => ({ _id: s._id, role: s.role, user: s.userId, createdAt: s.createdAt }))
+        });
+    } catch (error) {
+        console.error('Get shares error:', error);
+        res.status(500).json({ error: 'Failed to retrieve collaborators' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/notes/:id/shares — Invite a user by username or email (owner only)
+// ─────────────────────────────────────────────
+router.post('/:id/shares', async (req, res) => {
+    try {
+        const access = await requireAccess(req, res, ['owner']);
+        if (!access) return;
+
+        const identifier = (req.body.identifier || '').trim();
+        const role = req.body.role || 'viewer';
+
+        if (!identifier) {
+            return res.status(400).json({ error: 'Please provide a username or email' });
+        }
+        if (!NoteShare.ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${NoteShare.ROLES.join(', ')}` });
+        }
+
+        const invitee = await User.findOne({
+            $or: [{ username: identifier }, { email: identifier.toLowerCase() }]
+        }).select(PROFILE_FIELDS);
+
+        if (!invitee) {
+            return res.status(404).json({ error: 'No user with that username or email' });
+        }
+        if (invitee._id.equals(req.user._id)) {
+            return res.status(400).json({ error: 'You already own this note' });
+        }
+
+        const existing = await NoteShare.findOne({ noteId: access.note._id, userId: invitee._id });
+        if (existing) {
+            return res.status(409).json({ error: 'This note is already shared with that user' });
+        }
+
+        const share = await NoteShare.create({
+            noteId: access.note._id,
+            ownerId: req.user._id,
+            userId: invitee._id,
+            role
+        });
+
+        // The note shows up on the collaborator's devices with their next sync
+        await SyncChange.recordFor(invitee._id, 'upsert', [access.note._id]);
+
+        res.status(201).json({
+            share: { _id: share._id, role: share.role, user: invitee, createdAt: share.createdAt }
+        });
+    } catch (error) {
+        console.error('Share note error:', error);
+        res.status(500).json({ error: 'Failed to share note' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// PUT /api/notes/:id/shares/:shareId — Change a collaborator's role (owner only)
+// ─────────────────────────────────────────────
+router.put('/:id/shares/:shareId', async (req, res) => {
+    try {
+        const access = await requireAccess(req, res, ['owner']);
+        if (!access) return;
+
+        const { role } = req.body;
+        if (!NoteShare.ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${NoteShare.ROLES.join(', ')}` });
+        }
+
+        const share = await NoteShare.findOneAndUpdate(
+            { _id: req.params.shareId, noteId: access.note._id },
+            { $set: { role } },
+            { new: true }
+        ).populate('userId', PROFILE_FIELDS);
+
+        if (!share) {
+            return res.status(404).json({ error: 'Collaborator not found' });
+        }
+
+        // Resend the note so the collaborator's devices pick up the new role
+        await SyncChange.recordFor(share.userId._id, 'upsert', [access.note._id]);
+
+        res.json({
+            share: { _id: share._id, role: share.role, user: share.userId, createdAt: share.createdAt }
         });
+    } catch (error) {
+        console.error('Update share error:', error);
+        res.status(500).json({ error: 'Failed to change access' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// DELETE /api/notes/:id/shares/:shareId — Revoke access (owner, or the collaborator leaving)
+// ─────────────────────────────────────────────
+router.delete('/:id/shares/:shareId', async (req, res) => {
+    try {
+        const access = await requireAccess(req, res);
+        if (!access) return;
+
+        const filters = { _id: req.params.shareId, noteId: access.note._id };
+        if (access.role !== 'owner') filters.userId = req.user._id;
+
+        const share = await NoteShare.findOneAndDelete(filters);
+        if (!share) {
+            return res.status(404).json({ error: 'Collaborator not found' });
+        }
+
+        // Drops the note from the former collaborator's devices
+        await SyncChange.recordFor(share.userId, 'delete', [access.note._id]);
+
+        res.json({ message: 'Access revoked' });
+    } catch (error) {
+        console.error('Revoke share error:', error);
+        res.status(500).json({ error: 'Failed to revoke access' });
+    }
+});
+
+// What everyone with access sees of a comment; the note's owner may delete any
+const commentToPublic = (comment, user, access) => ({
+    _id: comment._id,
+    userId: comment.userId,
+    username: comment.username,
+    body: comment.body,
+    createdAt: comment.createdAt,
+    canDelete: comment.userId.equals(user._id) || access.role === 'owner'
+});
+
+// ─────────────────────────────────────────────
+// GET /api/notes/:id/comments — Comments on a note, oldest first (anyone with access)
+// ─────────────────────────────────────────────
+router.get('/:id/comments', async (req, res) => {
+    try {
+        const access = await requireAccess(req, res);
+        if (!access) return;
+
+        const comments = await NoteComment.find({ noteId: access.note._id })
+            .sort({ createdAt: 1 })
+            .lean();
+
+        res.json({
+            comments: comments.map(c => commentToPublic(c, req.user, access)),
+            canComment: Note.COMMENT_ROLES.includes(access.role)
+        });
+    } catch (error) {
+        console.error('Get note comments error:', error);
+        res.status(500).json({ error: 'Failed to retrieve comments' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/notes/:id/comments — Comment on a note (owner, editors and commenters)
+// Body: { body }
+// ─────────────────────────────────────────────
+router.post('/:id/comments', async (req, res) => {
+    try {
+        const access = await requireAccess(req, res, Note.COMMENT_ROLES);
+        if (!access) return;
+
+        const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+        if (!body) {
+            return res.status(400).json({ error: 'Please write a comment' });
+        }
+        if (body.length > NoteComment.MAX_LENGTH) {
+            return res.status(400).json({ error: `Comments can be at most ${NoteComment.MAX_LENGTH} characters` });
+        }
+
+        const comment = await NoteComment.create({
+            noteId: access.note._id,
+            userId: req.user._id,
+            username: req.user.username,
+            body
+        });
+
+        res.status(201).json({ comment: commentToPublic(comment, req.user, access) });
+    } catch (error) {
+        console.error('Add note comment error:', error);
+        res.status(500).json({ error: 'Failed to add comment' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// DELETE /api/notes/:id/comments/:commentId — Delete a comment (its author or the owner)
+// ─────────────────────────────────────────────
+router.delete('/:id/comments/:commentId', async (req, res) => {
+    try {
+        const access = await requireAccess(req, res);
+        if (!access) return;
+
+        const filters = { _id: req.params.commentId, noteId: access.note._id };
+        if (access.role !== 'owner') filters.userId = req.user._id;
+
+        const comment = await NoteComment.findOneAndDelete(filters);
+        if (!comment) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+
+        res.json({ message: 'Comment deleted' });
+    } catch (error) {
+        console.error('Delete note comment error:', error);
+        res.status(500).json({ error: 'Failed to delete comment' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/notes/:id/links — Create an unlisted read-only link (owner only)
+// Body: { expiresInDays, password } — both optional
+// ─────────────────────────────────────────────
+router.post('/:id/links', async (req, res) => {
+    try {
+        const access = await requireAccess(req, res, ['owner']);
+        if (!access) return;
+
+        const { expiresInDays, password } = req.body;
+        const link = { token: crypto.randomBytes(16).toString('base64url') };
+
+        if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+            const days = Number(expiresInDays);
+            if (!(days > 0 && days <= LINK_MAX_EXPIRY_DAYS)) {
+                return res.status(400).json({ error: `Expiry must be between 1 and ${LINK_MAX_EXPIRY_DAYS} days` });
+            }
+            link.expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+        }
+
+        if (password !== undefined && password !== null && password !== '') {
+            if (typeof password !== 'string' || password.length < LINK_MIN_PASSWORD_LENGTH) {
+                return res.status(400).json({ error: `Link password must be at least ${LINK_MIN_PASSWORD_LENGTH} characters` });
+            }
+            link.passwordHash = await bcrypt.hash(password, 10);
+        }
+
+        const note = await Note.findOneAndUpdate(
+            { _id: access.note._id },
+            { $push: { shareLinks: link } },
+            { new: true }
+        ).select('title +shareLinks').lean();
+
+        res.status(201).json({ link: linkToPublic(note.shareLinks[note.shareLinks.length - 1], note) });
+    } catch (error) {
+        console.error('Create share link error:', error);
+        res.status(500).json({ error: 'Failed to create share link' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// DELETE /api/notes/:id/links/:linkId — Revoke an unlisted link (owner only)
+// ─────────────────────────────────────────────
+router.delete('/:id/links/:linkId', async (req, res) => {
+    try {
+        const access = await requireAccess(req, res, ['owner']);
+        if (!access) return;
+
+        const result = await Note.updateOne(
+            { _id: access.note._id, 'shareLinks._id': req.params.linkId },
+            { $pull: { shareLinks: { _id: req.params.linkId } } }
+        );
+
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+
+        res.json({ message: 'Share link revoked' });
+    } catch (error) {
+        console.error('Revoke share link error:', error);
+        res.status(500).json({ error: 'Failed to revoke share link' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// DELETE /api/notes/:id — Move note to the trash
+// ─────────────────────────────────────────────
+router.delete('/:id', async (req, res) => {
+    try {
+        const note = await Note.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user._id, deletedAt: null },
+            { $set: { deletedAt: new Date() }, $inc: { revision: 1 } },
+            { new: true }
+        );
 
         if (!note) {
             return res.status(404).json({ error: 'Note not found' });
         }
 
-        res.json({ message: 'Note deleted successfully' });
+        await SyncChange.record('delete', [note._id]);
+
+        res.json({ message: 'Note moved to trash' });
     } catch (error) {
         console.error('Delete note error:', error);
         res.status(500).json({ error: 'Failed to delete note' });
@@ -128,7 +718,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // ─────────────────────────────────────────────
-// POST /api/notes/bulk-delete — Delete multiple notes
+// POST /api/notes/bulk-delete — Move multiple notes to the trash
 // ─────────────────────────────────────────────
 router.post('/bulk-delete', async (req, res) => {
     try {
@@ -138,14 +728,21 @@ router.post('/bulk-delete', async (req, res) => {
             return res.status(400).json({ error: 'Please provide an array of note IDs' });
         }
 
-        const result = await Note.deleteMany({
-            _id: { $in: noteIds },
-            userId: req.user._id
-        });
+        // Resolve the ids first so only the caller's own live notes get change records
+        const owned = await Note.find({ _id: { $in: noteIds }, userId: req.user._id, deletedAt: null })
+            .select('_id')
+            .lean();
+        const ownedIds = owned.map(n => n._id);
+
+        const result = await Note.updateMany(
+            { _id: { $in: ownedIds }, deletedAt: null },
+            { $set: { deletedAt: new Date() }, $inc: { revision: 1 } }
+        );
+        await SyncChange.record('delete', ownedIds);
 
         res.json({
-            message: `${result.deletedCount} note(s) deleted`,
-            deletedCount: result.deletedCount
+            message: `${result.modifiedCount} note(s) moved to trash`,
+            deletedCount: result.modifiedCount
         });
     } catch (error) {
         console.error('Bulk delete error:', error);
@@ -0,0 +1,62 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const Note = require('../models/Note');
+
+const router = express.Router();
+
+// ─────────────────────────────────────────────
+// GET /api/share/:token — Read-only copy of a note behind an unlisted link (public)
+// Header: X-Share-Password for password-protected links
+// ─────────────────────────────────────────────
+router.get('/:token', async (req, res) => {
+    try {
+        const { token } = req.params;
+
+        const note = await Note.findOne({ 'shareLinks.token': token, deletedAt: null })
+            .select('title content sections tags updatedAt frontEndData.sections +shareLinks')
+            .populate('userId', 'username displayName')
+            .lean();
+        const link = note && note.shareLinks.find(l => l.token === token);
+
+        if (!link) {
+            return res.status(404).json({ error: 'This link does not exist or was revoked' });
+        }
+        if (link.expiresAt && link.expiresAt < new Date()) {
+            return res.status(410).json({ error: 'This link has expired' });
+        }
+        if (link.passwordHash) {
+            const password = req.get('X-Share-Password');
+            if (!password || !(await bcrypt.compare(password, link.passwordHash))) {
+                return res.status(403).json({
+                    error: password ? 'Wrong password' : 'This link is password protected',
+                    passwordRequired: true
+                });
+            }
+        }
+
+        await Note.updateOne(
+            { _id: note._id, 'shareLinks._id': link._id },
+            { $inc: { 'shareLinks.$.views': 1 } }
+        );
+
+        const author = note.userId || {};
+        res.json({
+            note: {
+                title: note.title,
+                author: author.displayName || author.username || 'Unknown',
+                content: note.content,
+                sections: note.sections && note.sections.length > 0
+                    ? note.sections
+                    : (note.frontEndData && note.frontEndData.sections) || [],
+                tags: note.tags,
+                updatedAt: note.updatedAt
+            },
+            link: { expiresAt: link.expiresAt, views: link.views + 1 }
+        });
+    } catch (error) {
+        console.error('Open share link error:', error);
+        res.status(500).json({ error: 'Failed to open shared note' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+// ─────────────────────────────────────────────
+// Fill in the derived fields (discipline, template, excerpt, search text and
+// the counters) on library entries published before they existed, so they
+// show up under filters, facets, search and every sort order.
+// Safe to run more than once.
+//   npm run backfill-library
+// ─────────────────────────────────────────────
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const SharedNote = require('../models/SharedNote');
+
+const main = async () => {
+    await connectDB();
+
+    let updated = 0;
+    const cursor = SharedNote.find({
+        $or: [{ searchText: { $exists: false } }, { viewCount: { $exists: false } }]
+    }).cursor();
+    for (let entry = await cursor.next(); entry; entry = await cursor.next()) {
+        entry.markModified('frontEndData');
+        entry.markModified('content');
+        // Defaults only reach the database when marked
+        ['cloneCount', 'viewCount', 'ratingAverage', 'ratingCount'].forEach(field => entry.markModified(field));
+        await entry.save({ timestamps: false });
+        updated++;
+    }
+
+    console.log(`✅ Backfilled ${updated} library entr${updated === 1 ? 'y' : 'ies'}`);
+    await mongoose.disconnect();
+};
+
+main().catch(err => {
+    console.error('❌ backfill-library failed:', err.message);
+    process.exit(1);
+});
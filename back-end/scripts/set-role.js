@@ -0,0 +1,36 @@
+// ─────────────────────────────────────────────
+// Give an account a role from the command line — how the first admin is made,
+// since only admins can change roles through the API.
+//   npm run set-role -- <username or email> <user|moderator|admin>
+// ─────────────────────────────────────────────
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+const main = async () => {
+    const [login, role] = process.argv.slice(2);
+    if (!login || !ROLES.includes(role)) {
+        console.error('Usage: npm run set-role -- <username or email> <user|moderator|admin>');
+        process.exit(1);
+    }
+
+    await connectDB();
+    const user = await User.findOne({ $or: [{ username: login }, { email: login.toLowerCase() }] });
+    if (!user) {
+        console.error(`❌ No account found for "${login}"`);
+        process.exitCode = 1;
+    } else {
+        user.role = role;
+        await user.save();
+        console.log(`✅ ${user.username} is now ${role}`);
+    }
+    await mongoose.disconnect();
+};
+
+main().catch(err => {
+    console.error('❌ set-role failed:', err.message);
+    process.exit(1);
+});
@@ -6,6 +6,7 @@ const passport = require('passport');
 const { rateLimit } = require('express-rate-limit');
 const connectDB = require('./config/db');
 const configurePassport = require('./config/passport');
+const { attachCollaboration } = require('./realtime/collab');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -13,8 +14,10 @@ const notesRoutes = require('./routes/notes');
 const libraryRoutes = require('./routes/library');
 const statsRoutes = require('./routes/stats');
 const syncRoutes = require('./routes/sync');
+const shareRoutes = require('./routes/share');
 const healthRoutes = require('./routes/health');
 const googleAuthRoutes = require('./routes/google-auth');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -54,7 +57,8 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'X-Share-Password'],
+    exposedHeaders: ['ETag']
 }));
 
 // Body parser
@@ -73,13 +77,36 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Stricter rate limit for auth routes
+// Stricter rate limit for the auth routes that check a password, code or
+// emailed token; sessions, profile and refresh calls are everyday traffic
 const authLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
     max: 20,
-    message: { error: 'Too many login attempts, please try again later' }
+    message: { error: 'Too many attempts, please try again later' }
 });
-app.use('/api/auth/', authLimiter);
+app.use([
+    '/api/auth/login', // Both steps, including the 2FA code
+    '/api/auth/register',
+    '/api/auth/google/exchange',
+    '/api/auth/forgot-password',
+    '/api/auth/reset-password',
+    '/api/auth/resend-verification',
+    '/api/auth/verify-email',
+    '/api/auth/password',
+    '/api/auth/account',
+    '/api/auth/providers',
+    '/api/auth/2fa/enable',
+    '/api/auth/2fa/disable',
+    '/api/auth/2fa/recovery-codes'
+], authLimiter);
+
+// Public share links — slows down guessing link passwords
+const shareLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 60,
+    message: { error: 'Too many requests for shared notes, please try again later' }
+});
+app.use('/api/share/', shareLimiter);
 
 // ─────────────────────────────────────────────
 // Routes
@@ -90,7 +117,9 @@ app.use('/api/notes', notesRoutes);
 app.use('/api/library', libraryRoutes);
 app.use('/api/stats', statsRoutes);
 app.use('/api/sync', syncRoutes);
+app.use('/api/share', shareRoutes);
 app.use('/api/health', healthRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -103,7 +132,10 @@ app.get('/', (req, res) => {
             notes: '/api/notes',
             library: '/api/library',
             stats: '/api/stats',
-            sync: '/api/sync'
+            sync: '/api/sync',
+            share: '/api/share/:token',
+            admin: '/api/admin',
+            collab: '/api/collab/:noteId (WebSocket)'
         }
     });
 });
@@ -133,7 +165,7 @@ const startServer = async () => {
         // Connect to MongoDB
         await connectDB();
 
-        app.listen(PORT, () => {
+        const server = app.listen(PORT, () => {
             console.log('');
             console.log('═══════════════════════════════════════════');
             console.log(`  📝 Notes App API Server`);
@@ -142,6 +174,9 @@ const startServer = async () => {
             console.log('═══════════════════════════════════════════');
             console.log('');
         });
+
+        // Live collaborative editing (WebSocket, /api/collab/:noteId)
+        attachCollaboration(server);
     } catch (error) {
         console.error('Failed to start server:', error);
         process.exit(1);
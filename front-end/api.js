@@ -22,8 +22,77 @@ const API_URL = getApiUrl();
 // Get stored token
 const getToken = () => localStorage.getItem('token');
 
+// ─────────────────────────────────────────────
+// Session tokens: a short-lived access token plus a refresh token that is
+// traded for a new pair (and replaced) whenever the access token runs out
+// ─────────────────────────────────────────────
+const storeSession = (data) => {
+    localStorage.setItem('token', data.token);
+    if (data.refreshToken) localStorage.setItem('refreshToken', data.refreshToken);
+    if (data.user) localStorage.setItem('user', JSON.stringify(data.user));
+};
+
+const clearSession = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+};
+
+// Auth endpoints answer 401 for bad credentials, not for a stale access token
+const NO_REFRESH_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout', '/auth/google/exchange'];
+
+// Seconds before expiry at which getFreshToken() renews ahead of time
+const TOKEN_RENEW_MARGIN_S = 60;
+
+let refreshing = null;
+
+// Resolves true once a fresh access token is stored. Concurrent callers share one request.
+function refreshAccessToken() {
+    if (refreshing) return refreshing;
+
+    refreshing = (async () => {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) return false;
+        try {
+            const response = await fetch(`${API_URL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+            if (response.ok) {
+                storeSession(await response.json());
+                return true;
+            }
+        } catch (error) {
+            return false;
+        }
+        // Another tab may have rotated the shared token first
+        return localStorage.getItem('refreshToken') !== refreshToken;
+    })().finally(() => { refreshing = null; });
+
+    return refreshing;
+}
+
+// Seconds until the stored access token expires (0 if unknown or unreadable)
+function tokenExpiresIn() {
+    const token = getToken();
+    if (!token) return 0;
+    try {
+        const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return payload.exp ? payload.exp - Date.now() / 1000 : Infinity;
+    } catch (e) {
+        return 0;
+    }
+}
+
+// For connections that can't retry on 401 (WebSocket, event stream): renew first if close to expiry
+async function getFreshToken() {
+    if (getToken() && tokenExpiresIn() < TOKEN_RENEW_MARGIN_S) await refreshAccessToken();
+    return getToken();
+}
+
 // API request wrapper with improved error handling
-async function apiRequest(endpoint, options = {}) {
+async function apiRequest(endpoint, options = {}, retried = false) {
     const token = getToken();
 
     const config = {
@@ -50,15 +119,20 @@ async function apiRequest(endpoint, options = {}) {
         }
 
         if (!response.ok) {
-            // Token expired or invalid - redirect to login (except during login/register)
-            if ((response.status === 401 || response.status === 403) &&
-                endpoint !== '/auth/login' &&
-                endpoint !== '/auth/register') {
-                localStorage.removeItem('token');
-                localStorage.removeItem('user');
+            // Access token expired - renew it and try once more; if the session itself
+            // is gone, back to login. 403 means signed in but not allowed (e.g. a
+            // view-only shared note), so it stays.
+            if (response.status === 401 && !NO_REFRESH_ENDPOINTS.includes(endpoint)) {
+                if (!retried && await refreshAccessToken()) {
+                    return await apiRequest(endpoint, options, true);
+                }
+                clearSession();
                 window.location.href = '/login';
             }
-            throw new Error(data.error || `Request failed with status ${response.status}`);
+            const error = new Error(data.error || `Request failed with status ${response.status}`);
+            error.status = response.status;
+            error.data = data;
+            throw error;
         }
 
         return data;
@@ -78,59 +152,252 @@ const auth = {
             method: 'POST',
             body: JSON.stringify({ username, email, password })
         });
-        localStorage.setItem('token', data.token);
-        localStorage.setItem('user', JSON.stringify(data.user));
+        storeSession(data);
         return data;
     },
 
+    // Accounts with 2FA resolve to { twoFactorRequired, challenge } — finish with loginTwoFactor()
     async login(username, password) {
         const data = await apiRequest('/auth/login', {
             method: 'POST',
             body: JSON.stringify({ username, password })
         });
-        localStorage.setItem('token', data.token);
-        localStorage.setItem('user', JSON.stringify(data.user));
+        if (!data.twoFactorRequired) storeSession(data);
         return data;
     },
 
-    logout() {
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+    // Second sign-in step: authenticator or recovery code
+    async loginTwoFactor(challenge, code) {
+        const data = await apiRequest('/auth/login', {
+            method: 'POST',
+            body: JSON.stringify({ challenge, code })
+        });
+        storeSession(data);
+        return data;
+    },
+
+    // Emails a one-time reset link (same answer whether or not the account exists)
+    async forgotPassword(email) {
+        return await apiRequest('/auth/forgot-password', {
+            method: 'POST',
+            body: JSON.stringify({ email })
+        });
+    },
+
+    // Rules new passwords must meet → { policy: { minLength, minClasses, summary } }
+    async getPasswordPolicy() {
+        return await apiRequest('/auth/password-policy');
+    },
+
+    // Confirms the email from the emailed link; keeps a signed-in user's copy in step
+    async verifyEmail(token) {
+        const data = await apiRequest('/auth/verify-email', {
+            method: 'POST',
+            body: JSON.stringify({ token })
+        });
+        const current = this.getCurrentUser();
+        if (current && String(current._id) === String(data.user._id)) {
+            localStorage.setItem('user', JSON.stringify(data.user));
+        }
+        return data;
+    },
+
+    async resendVerification() {
+        return await apiRequest('/auth/resend-verification', { method: 'POST' });
+    },
+
+    async resetPassword(token, password) {
+        return await apiRequest('/auth/reset-password', {
+            method: 'POST',
+            body: JSON.stringify({ token, password })
+        });
+    },
+
+    // Ends this device's session on the server too (best effort when offline)
+    async logout() {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (refreshToken) {
+            try {
+                await apiRequest('/auth/logout', {
+                    method: 'POST',
+                    body: JSON.stringify({ refreshToken })
+                });
+            } catch (error) {
+                console.warn('Server logout failed:', error.message);
+            }
+        }
+        clearSession();
+        window.location.href = '/login';
+    },
+
+    // Ends every session of the account, this one included
+    async logoutAll() {
+        await apiRequest('/auth/logout-all', { method: 'POST' });
+        clearSession();
         window.location.href = '/login';
     },
 
+    // Recent sign-in attempts → { events: [{ method, outcome, userAgent, ip, createdAt }] }
+    async getLoginHistory() {
+        return await apiRequest('/auth/login-history');
+    },
+
+    // Devices signed in to this account → { sessions: [{ _id, userAgent, ip, createdAt, lastUsedAt, current }] }
+    async getSessions() {
+        return await apiRequest('/auth/sessions');
+    },
+
+    async revokeSession(sessionId) {
+        return await apiRequest(`/auth/sessions/${sessionId}`, {
+            method: 'DELETE'
+        });
+    },
+
+    refresh() {
+        return refreshAccessToken();
+    },
+
+    getFreshToken() {
+        return getFreshToken();
+    },
+
     async getProfile() {
         return await apiRequest('/auth/profile');
     },
 
+    // updates: { displayName, avatarColor }; keeps the stored user in step
+    async updateProfile(updates) {
+        const data = await apiRequest('/auth/profile', {
+            method: 'PUT',
+            body: JSON.stringify(updates)
+        });
+        localStorage.setItem('user', JSON.stringify(data.user));
+        return data;
+    },
+
+    // Accounts without a password (Google-only) set one with no currentPassword
+    async changePassword(currentPassword, newPassword) {
+        const data = await apiRequest('/auth/password', {
+            method: 'PUT',
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+        localStorage.setItem('user', JSON.stringify(data.user));
+        return data;
+    },
+
+    // Remove a sign-in method ('google' | 'password'); removing the password needs it once more
+    async unlinkProvider(provider, password) {
+        const data = await apiRequest(`/auth/providers/${provider}`, {
+            method: 'DELETE',
+            body: JSON.stringify({ password })
+        });
+        localStorage.setItem('user', JSON.stringify(data.user));
+        return data;
+    },
+
+    // Two-factor setup → { secret, otpauthUrl, qrCode }; nothing changes until enableTwoFactor()
+    async setupTwoFactor() {
+        return await apiRequest('/auth/2fa/setup', { method: 'POST' });
+    },
+
+    // → { user, recoveryCodes }
+    async enableTwoFactor(code) {
+        const data = await apiRequest('/auth/2fa/enable', {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        });
+        localStorage.setItem('user', JSON.stringify(data.user));
+        return data;
+    },
+
+    async disableTwoFactor(code) {
+        const data = await apiRequest('/auth/2fa/disable', {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        });
+        localStorage.setItem('user', JSON.stringify(data.user));
+        return data;
+    },
+
+    // → { recoveryCodes }; the old ones stop working
+    async regenerateRecoveryCodes(code) {
+        return await apiRequest('/auth/2fa/recovery-codes', {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        });
+    },
+
+    // Permanently deletes the account with all its notes; the caller signs out after.
+    // proof: { password }, or { code } for accounts without one (Google
+    // re-auth goes through startGoogleSignIn('delete') instead)
+    async deleteAccount(proof = {}) {
+        return await apiRequest('/auth/account', {
+            method: 'DELETE',
+            body: JSON.stringify(proof)
+        });
+    },
+
     isLoggedIn() {
         return !!getToken();
     },
 
+    getToken() {
+        return getToken();
+    },
+
     getCurrentUser() {
         const u = localStorage.getItem('user');
         return u ? JSON.parse(u) : null;
     },
 
-    // Handle OAuth callback (when redirected from Google)
-    handleOAuthCallback() {
+    // Start Google sign-in, or with mode 'link' attach Google to the signed-in
+    // account, or with mode 'delete' confirm deleting it. The random state stays in this tab and must come back with the
+    // code, so a code planted by another site is refused.
+    startGoogleSignIn(mode = 'signin') {
+        const bytes = crypto.getRandomValues(new Uint8Array(24));
+        const state = btoa(String.fromCharCode(...bytes))
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        sessionStorage.setItem('oauthState', state);
+        sessionStorage.setItem('oauthMode', mode);
+        window.location.href = `${API_URL}/auth/google?state=${state}`;
+    },
+
+    // Handle OAuth callback (when redirected from Google with ?code=&state=).
+    // Resolves to null when this isn't a callback, { linked, user } after a
+    // link, { deleted } after deleting the account, else like login().
+    async handleOAuthCallback() {
         const params = new URLSearchParams(window.location.search);
-        const token = params.get('token');
-        const userStr = params.get('user');
+        const code = params.get('code');
+        if (!code) return null;
+
+        const expected = sessionStorage.getItem('oauthState');
+        const mode = sessionStorage.getItem('oauthMode');
+        sessionStorage.removeItem('oauthState');
+        sessionStorage.removeItem('oauthMode');
+        if (!expected || params.get('state') !== expected) {
+            throw new Error('Google sign-in could not be verified. Please try again.');
+        }
 
-        if (token && userStr) {
-            try {
-                const user = JSON.parse(decodeURIComponent(userStr));
-                localStorage.setItem('token', token);
-                localStorage.setItem('user', JSON.stringify(user));
-                // Redirect to main app, removing query params
-                window.location.href = '/';
-                return true;
-            } catch (e) {
-                console.error('Failed to parse OAuth user data:', e);
-            }
+        if (mode === 'link') {
+            const data = await apiRequest('/auth/providers/google', {
+                method: 'POST',
+                body: JSON.stringify({ code, state: expected })
+            });
+            localStorage.setItem('user', JSON.stringify(data.user));
+            return { linked: true, user: data.user };
         }
-        return false;
+
+        if (mode === 'delete') {
+            await this.deleteAccount({ googleCode: code, state: expected });
+            return { deleted: true };
+        }
+
+        const data = await apiRequest('/auth/google/exchange', {
+            method: 'POST',
+            body: JSON.stringify({ code, state: expected })
+        });
+        if (!data.twoFactorRequired) storeSession(data);
+        return data;
     }
 };
 
@@ -152,10 +419,12 @@ const notes = {
         });
     },
 
-    async update(id, updates) {
+    // Pass the revision the edit is based on to get a 409 instead of overwriting newer changes
+    async update(id, updates, revision) {
         return await apiRequest(`/notes/${id}`, {
             method: 'PUT',
-            body: JSON.stringify(updates)
+            body: JSON.stringify(updates),
+            ...(revision !== undefined && { headers: { 'If-Match': `"${revision}"` } })
         });
     },
 
@@ -170,16 +439,126 @@ const notes = {
             method: 'POST',
             body: JSON.stringify({ noteIds })
         });
+    },
+
+    async getRevisions(id) {
+        return await apiRequest(`/notes/${id}/revisions`);
+    },
+
+    async getRevision(id, revisionId) {
+        return await apiRequest(`/notes/${id}/revisions/${revisionId}`);
+    },
+
+    async restoreRevision(id, revisionId) {
+        return await apiRequest(`/notes/${id}/revisions/${revisionId}/restore`, {
+            method: 'POST'
+        });
+    },
+
+    async getTrash() {
+        return await apiRequest('/notes/trash');
+    },
+
+    async restoreFromTrash(id) {
+        return await apiRequest(`/notes/trash/${id}/restore`, {
+            method: 'POST'
+        });
+    },
+
+    async purge(id) {
+        return await apiRequest(`/notes/trash/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    async emptyTrash() {
+        return await apiRequest('/notes/trash', {
+            method: 'DELETE'
+        });
+    },
+
+    async getSharedWithMe() {
+        return await apiRequest('/notes/shared-with-me');
+    },
+
+    async getShares(id) {
+        return await apiRequest(`/notes/${id}/shares`);
+    },
+
+    // Invite a user by username or email as 'viewer', 'commenter' or 'editor'
+    async share(id, identifier, role) {
+        return await apiRequest(`/notes/${id}/shares`, {
+            method: 'POST',
+            body: JSON.stringify({ identifier, role })
+        });
+    },
+
+    async updateShare(id, shareId, role) {
+        return await apiRequest(`/notes/${id}/shares/${shareId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ role })
+        });
+    },
+
+    // Owners remove a collaborator; collaborators pass their own share to leave
+    async revokeShare(id, shareId) {
+        return await apiRequest(`/notes/${id}/shares/${shareId}`, {
+            method: 'DELETE'
+        });
+    },
+
+    // → { comments, canComment }; viewers read them, everyone else may also write
+    async getComments(id) {
+        return await apiRequest(`/notes/${id}/comments`);
+    },
+
+    async addComment(id, body) {
+        return await apiRequest(`/notes/${id}/comments`, {
+            method: 'POST',
+            body: JSON.stringify({ body })
+        });
+    },
+
+    async deleteComment(id, commentId) {
+        return await apiRequest(`/notes/${id}/comments/${commentId}`, {
+            method: 'DELETE'
+        });
+    },
+
+    // Unlisted read-only links across all my notes
+    async getLinks() {
+        return await apiRequest('/notes/links');
+    },
+
+    // options: { expiresInDays, password } — both optional
+    async createLink(id, options = {}) {
+        return await apiRequest(`/notes/${id}/links`, {
+            method: 'POST',
+            body: JSON.stringify(options)
+        });
+    },
+
+    async revokeLink(id, linkId) {
+        return await apiRequest(`/notes/${id}/links/${linkId}`, {
+            method: 'DELETE'
+        });
     }
 };
 
 // Library functions
 const library = {
+    // filters: { search, tag, discipline, template, sort, cursor, limit }
+    // → { sharedNotes, nextCursor } plus { total, facets } on the first page
     async getAll(filters = {}) {
         const params = new URLSearchParams(filters);
         return await apiRequest(`/library?${params}`);
     },
 
+    // Full entry, content included → { sharedNote, myRating }; counts as a view
+    async getOne(id) {
+        return await apiRequest(`/library/${id}`);
+    },
+
     async publish(noteId, description) {
         return await apiRequest('/library/publish', {
             method: 'POST',
@@ -197,6 +576,53 @@ const library = {
         return await apiRequest('/library/my-published');
     },
 
+    // 1–5 stars, replacing any earlier rating → { ratingAverage, ratingCount, myRating }
+    async rate(id, stars) {
+        return await apiRequest(`/library/${id}/rating`, {
+            method: 'PUT',
+            body: JSON.stringify({ stars })
+        });
+    },
+
+    async unrate(id) {
+        return await apiRequest(`/library/${id}/rating`, {
+            method: 'DELETE'
+        });
+    },
+
+    // Flat, oldest first; replies carry parentId and depth
+    async getComments(id) {
+        return await apiRequest(`/library/${id}/comments`);
+    },
+
+    async addComment(id, body, parentId = null) {
+        return await apiRequest(`/library/${id}/comments`, {
+            method: 'POST',
+            body: JSON.stringify({ body, ...(parentId && { parentId }) })
+        });
+    },
+
+    async editComment(id, commentId, body) {
+        return await apiRequest(`/library/${id}/comments/${commentId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ body })
+        });
+    },
+
+    async deleteComment(id, commentId) {
+        return await apiRequest(`/library/${id}/comments/${commentId}`, {
+            method: 'DELETE'
+        });
+    },
+
+    // reason: spam | inappropriate | harassment | copyright | other
+    async report(id, reason, details = '') {
+        return await apiRequest(`/library/${id}/report`, {
+            method: 'POST',
+            body: JSON.stringify({ reason, details })
+        });
+    },
+
     async delete(id) {
         return await apiRequest(`/library/${id}`, {
             method: 'DELETE'
@@ -211,15 +637,178 @@ const library = {
     }
 };
 
+// Moderation and account management (moderators and admins; users-only calls need admin)
+const admin = {
+    async getStats() {
+        return await apiRequest('/admin/stats');
+    },
+
+    async getUsers(filters = {}) {
+        const params = new URLSearchParams(filters);
+        return await apiRequest(`/admin/users?${params}`);
+    },
+
+    async setRole(userId, role) {
+        return await apiRequest(`/admin/users/${userId}/role`, {
+            method: 'PUT',
+            body: JSON.stringify({ role })
+        });
+    },
+
+    async disableUser(userId, reason) {
+        return await apiRequest(`/admin/users/${userId}/disable`, {
+            method: 'POST',
+            body: JSON.stringify({ reason })
+        });
+    },
+
+    async enableUser(userId) {
+        return await apiRequest(`/admin/users/${userId}/enable`, {
+            method: 'POST'
+        });
+    },
+
+    async getLibrary(filters = {}) {
+        const params = new URLSearchParams(filters);
+        return await apiRequest(`/admin/library?${params}`);
+    },
+
+    async hideEntry(id, reason) {
+        return await apiRequest(`/admin/library/${id}/hide`, {
+            method: 'POST',
+            body: JSON.stringify({ reason })
+        });
+    },
+
+    async unhideEntry(id) {
+        return await apiRequest(`/admin/library/${id}/unhide`, {
+            method: 'POST'
+        });
+    },
+
+    async removeEntry(id) {
+        return await apiRequest(`/admin/library/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    // Report queue: entries with open reports; dismiss or uphold them by entry id
+    async getReports(filters = {}) {
+        const params = new URLSearchParams(filters);
+        return await apiRequest(`/admin/reports?${params}`);
+    },
+
+    async dismissReports(id) {
+        return await apiRequest(`/admin/reports/${id}/dismiss`, {
+            method: 'POST'
+        });
+    },
+
+    async upholdReports(id, reason) {
+        return await apiRequest(`/admin/reports/${id}/uphold`, {
+            method: 'POST',
+            body: JSON.stringify({ reason })
+        });
+    }
+};
+
+// Public share links (no account needed)
+const share = {
+    // → { note, link }; 403 with data.passwordRequired when a password is needed
+    async open(token, password) {
+        return await apiRequest(`/share/${encodeURIComponent(token)}`, {
+            ...(password && { headers: { 'X-Share-Password': password } })
+        });
+    },
+
+    // Address of the read-only viewer page for a link token
+    getViewerUrl(token) {
+        return new URL(`/share.html?token=${encodeURIComponent(token)}`, window.location.href).href;
+    }
+};
+
 // Stats function
 const getStats = async () => {
     return await apiRequest('/stats');
 };
 
-// Sync function
-const sync = async (lastSyncTime) => {
-    const params = lastSyncTime ? `?lastSync=${lastSyncTime}` : '';
-    return await apiRequest(`/sync${params}`);
+// Delta sync endpoints
+const sync = {
+    // One page of change records after `cursor` → { changes, cursor, hasMore }
+    async pull(cursor = 0, deviceId, limit) {
+        const params = new URLSearchParams({ cursor });
+        if (deviceId) params.set('deviceId', deviceId);
+        if (limit) params.set('limit', limit);
+        return await apiRequest(`/sync?${params}`);
+    },
+
+    // Apply a batch of local changes → { results: [{ ref, status, note }] }
+    async push(changes, deviceId) {
+        return await apiRequest('/sync/push', {
+            method: 'POST',
+            body: JSON.stringify({ deviceId, changes })
+        });
+    },
+
+    // Read the Server-Sent Events feed until it closes. Uses fetch rather than
+    // EventSource so the token travels in the Authorization header, not the URL.
+    // Calls onOpen() once connected and onEvent({ type, data }) per event.
+    async stream({ onOpen, onEvent, signal }) {
+        const token = await getFreshToken();
+        const response = await fetch(`${API_URL}/sync/stream`, {
+            headers: {
+                'Accept': 'text/event-stream',
+                ...(token && { 'Authorization': `Bearer ${token}` })
+            },
+            signal
+        });
+
+        if (!response.ok || !response.body) {
+            const error = new Error(`Stream failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        if (onOpen) onOpen();
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            buffer += decoder.decode(value, { stream: true });
+
+            // Events are separated by a blank line; lines starting with ':' are keep-alives
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                let type = 'message';
+                const dataLines = [];
+                block.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) type = line.slice(6).trim();
+                    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+                });
+                if (dataLines.length === 0) continue;
+
+                let data = dataLines.join('\n');
+                try {
+                    data = JSON.parse(data);
+                } catch (e) {
+                    // Leave non-JSON payloads as text
+                }
+                if (onEvent) onEvent({ type, data });
+            }
+        }
+    }
+};
+
+// WebSocket URL of a note's live collaboration channel
+const getCollabUrl = (noteId) => {
+    const url = new URL(`${API_URL}/collab/${noteId}`, window.location.href);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    return url.href;
 };
 
 // Health check
@@ -237,8 +826,11 @@ window.api = {
     auth,
     notes,
     library,
+    share,
+    admin,
     getStats,
     sync,
     checkHealth,
+    getCollabUrl,
     getApiUrl: () => API_URL
 };
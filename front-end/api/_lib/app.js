@@ -10,8 +10,10 @@ const notesRoutes = require('./routes/notes');
 const libraryRoutes = require('./routes/library');
 const statsRoutes = require('./routes/stats');
 const syncRoutes = require('./routes/sync');
+const shareRoutes = require('./routes/share');
 const healthRoutes = require('./routes/health');
 const googleAuthRoutes = require('./routes/google-auth');
+const adminRoutes = require('./routes/admin');
 
 
 const app = express();
@@ -46,7 +48,8 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'X-Share-Password'],
+    exposedHeaders: ['ETag']
 }));
 
 // Body parser
@@ -78,8 +81,16 @@ app.use('/api/auth', googleAuthRoutes);
 app.use('/api/notes', notesRoutes);
 app.use('/api/library', libraryRoutes);
 app.use('/api/stats', statsRoutes);
+// The live feed fans out through an in-process emitter, and each serverless
+// invocation is its own process that ends within seconds, so it would never
+// see a change. Clients fall back to polling GET /api/sync.
+app.get('/api/sync/stream', (req, res) => {
+    res.status(501).json({ error: 'Live updates are not available on this deployment' });
+});
 app.use('/api/sync', syncRoutes);
+app.use('/api/share', shareRoutes);
 app.use('/api/health', healthRoutes);
+app.use('/api/admin', adminRoutes);
 
 
 // Root API info
@@ -93,7 +104,9 @@ app.get('/api', (req, res) => {
             notes: '/api/notes',
             library: '/api/library',
             stats: '/api/stats',
-            sync: '/api/sync'
+            sync: '/api/sync',
+            share: '/api/share/:token',
+            admin: '/api/admin'
         }
     });
 });
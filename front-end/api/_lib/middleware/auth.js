@@ -1,5 +1,21 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Resolve a bearer token to { user (without password), session, expiresAt }, or null when
+// its session was signed out or has expired, or the account was disabled;
+// throws if the token is invalid
+const verifyToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const [user, session] = await Promise.all([
+        User.findById(decoded.id).select('-password'),
+        Session.findActive(decoded.sid, decoded.id)
+    ]);
+    if (!user || !session || user.disabledAt) return null;
+
+    session.touch().catch(err => console.error('Session touch error:', err.message));
+    return { user, session, expiresAt: new Date(decoded.exp * 1000) };
+};
 
 const protect = async (req, res, next) => {
     let token;
@@ -14,15 +30,15 @@ const protect = async (req, res, next) => {
     }
 
     try {
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // Attach user (without password) and session to request
+        const verified = await verifyToken(token);
 
-        // Attach user to request (without password)
-        req.user = await User.findById(decoded.id).select('-password');
-
-        if (!req.user) {
-            return res.status(401).json({ error: 'Not authorized — user not found' });
+        if (!verified) {
+            return res.status(401).json({ error: 'Not authorized — session ended, please sign in again' });
         }
+        req.user = verified.user;
+        req.authSession = verified.session;
+        req.authExpiresAt = verified.expiresAt; // For connections that outlive the request (event streams)
 
         next();
     } catch (error) {
@@ -31,4 +47,41 @@ const protect = async (req, res, next) => {
     }
 };
 
-module.exports = { protect };
+// For public routes that show more to a signed-in caller: sets req.user when a
+// valid token is sent and carries on anonymously otherwise
+const optionalAuth = async (req, res, next) => {
+    const header = req.headers.authorization;
+    if (!header || !header.startsWith('Bearer')) return next();
+
+    try {
+        const verified = await verifyToken(header.split(' ')[1]);
+        if (verified) {
+            req.user = verified.user;
+            req.authSession = verified.session;
+        }
+    } catch (error) {
+        // An expired or bad token just means an anonymous request here
+    }
+    next();
+};
+
+// After protect: keeps accounts with an unconfirmed email out of public spaces
+const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user.emailVerified) {
+        return res.status(403).json({
+            error: 'Please verify your email address first — check your inbox or resend the link from Account settings',
+            emailUnverified: true
+        });
+    }
+    next();
+};
+
+// After protect: only lets the given roles through, e.g. requireRole('moderator', 'admin')
+const requireRole = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'You do not have permission to do that' });
+    }
+    next();
+};
+
+module.exports = { protect, optionalAuth, verifyToken, requireVerifiedEmail, requireRole };
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// One-time authorization code handed to the front-end after Google sign-in.
+// It travels in the redirect URL instead of tokens and stands for the Google
+// identity that signed in; the front-end redeems it to sign in or to link
+// Google to its account. Works once, for a minute, and only together with the
+// `state` the flow was started with.
+const authCodeSchema = new mongoose.Schema({
+    codeHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    stateHash: {
+        type: String,
+        required: true
+    },
+    googleId: {
+        type: String,
+        required: true
+    },
+    email: String,
+    displayName: String,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Unredeemed codes are cleaned up by MongoDB
+authCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CODE_TTL_MS = 60 * 1000;
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// Issue a code for a Google identity { googleId, email, displayName } → the raw code for the redirect
+authCodeSchema.statics.issue = async function (identity, state) {
+    const code = crypto.randomBytes(32).toString('base64url');
+    await this.create({
+        codeHash: hash(code),
+        stateHash: hash(state),
+        googleId: identity.googleId,
+        email: identity.email,
+        displayName: identity.displayName,
+        expiresAt: new Date(Date.now() + CODE_TTL_MS)
+    });
+    return code;
+};
+
+// Use a code up → the identity it was issued for, or null
+authCodeSchema.statics.redeem = async function (code, state) {
+    if (!code || !state) return null;
+
+    const record = await this.findOneAndDelete({
+        codeHash: hash(code),
+        stateHash: hash(state),
+        expiresAt: { $gt: new Date() }
+    });
+    if (!record) return null;
+    return { googleId: record.googleId, email: record.email, displayName: record.displayName };
+};
+
+module.exports = mongoose.model('AuthCode', authCodeSchema);
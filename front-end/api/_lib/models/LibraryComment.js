@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A comment or question on a library entry. Replies point at their parent and
+// nest up to MAX_DEPTH; deeper replies join the deepest thread level instead.
+// The body is stored as plain text with light markdown that clients render
+// after escaping it.
+const MAX_DEPTH = 3;
+const MAX_LENGTH = 2000;
+
+const libraryCommentSchema = new mongoose.Schema({
+    sharedNoteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SharedNote',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    username: {
+        type: String,
+        required: true
+    },
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LibraryComment',
+        default: null
+    },
+    depth: {
+        type: Number,
+        default: 0
+    },
+    body: {
+        type: String,
+        maxlength: MAX_LENGTH,
+        default: ''
+    },
+    editedAt: {
+        type: Date,
+        default: null
+    },
+    // Deleted comments that still have replies stay as an empty placeholder
+    deletedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+libraryCommentSchema.index({ sharedNoteId: 1, createdAt: 1 });
+
+libraryCommentSchema.statics.MAX_DEPTH = MAX_DEPTH;
+libraryCommentSchema.statics.MAX_LENGTH = MAX_LENGTH;
+
+// Delete a comment: gone for good without replies, otherwise emptied in place
+libraryCommentSchema.statics.removeComment = async function (comment) {
+    const hasReplies = await this.exists({ parentId: comment._id });
+    if (hasReplies) {
+        await this.updateOne({ _id: comment._id }, { $set: { body: '', deletedAt: new Date() } });
+    } else {
+        await this.deleteOne({ _id: comment._id });
+    }
+};
+
+// Empty everything a deleted account wrote, keeping other people's replies in place
+libraryCommentSchema.statics.forgetUser = function (userId) {
+    return this.updateMany({ userId }, { $set: { body: '', deletedAt: new Date() } });
+};
+
+module.exports = mongoose.model('LibraryComment', libraryCommentSchema);
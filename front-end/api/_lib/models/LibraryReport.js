@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const SharedNote = require('./SharedNote');
+
+// One user's report of a library entry. Each user can report an entry once.
+// An entry with HIDE_THRESHOLD open reports from different users is hidden
+// until a moderator looks at it. Moderators either dismiss the reports (which
+// puts an automatically hidden entry back) or uphold them (the entry stays
+// hidden under their name). Removing the entry deletes its reports with it.
+const REASONS = ['spam', 'inappropriate', 'harassment', 'copyright', 'other'];
+const HIDE_THRESHOLD = parseInt(process.env.LIBRARY_REPORT_THRESHOLD, 10) || 3;
+const DETAILS_LENGTH = 500;
+
+const libraryReportSchema = new mongoose.Schema({
+    sharedNoteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SharedNote',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    username: {
+        type: String,
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: REASONS,
+        required: true
+    },
+    details: {
+        type: String,
+        maxlength: DETAILS_LENGTH,
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['open', 'dismissed', 'upheld'],
+        default: 'open'
+    },
+    resolvedAt: {
+        type: Date,
+        default: null
+    },
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+libraryReportSchema.index({ sharedNoteId: 1, userId: 1 }, { unique: true });
+libraryReportSchema.index({ status: 1, createdAt: -1 });
+
+libraryReportSchema.statics.REASONS = REASONS;
+libraryReportSchema.statics.HIDE_THRESHOLD = HIDE_THRESHOLD;
+libraryReportSchema.statics.DETAILS_LENGTH = DETAILS_LENGTH;
+
+// Hide an entry that has reached the threshold → true when it is hidden now.
+// hiddenBy stays null, which is how automatic hides are told apart.
+libraryReportSchema.statics.review = async function (sharedNoteId) {
+    const open = await this.countDocuments({ sharedNoteId, status: 'open' });
+    if (open < HIDE_THRESHOLD) return false;
+
+    const result = await SharedNote.updateOne(
+        { _id: sharedNoteId, hiddenAt: null },
+        {
+            $set: {
+                hiddenAt: new Date(),
+                hiddenBy: null,
+                hiddenReason: `Hidden automatically after ${open} reports`
+            }
+        }
+    );
+    return result.modifiedCount > 0;
+};
+
+// Close an entry's open reports as 'dismissed' or 'upheld' → how many were closed
+libraryReportSchema.statics.resolve = async function (sharedNoteId, status, moderatorId) {
+    const result = await this.updateMany(
+        { sharedNoteId, status: 'open' },
+        { $set: { status, resolvedAt: new Date(), resolvedBy: moderatorId } }
+    );
+    return result.modifiedCount;
+};
+
+module.exports = mongoose.model('LibraryReport', libraryReportSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One sign-in attempt against an account, kept for the owner's activity list
+const loginEventSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    method: {
+        type: String,
+        enum: ['password', 'google', 'two_factor'],
+        required: true
+    },
+    outcome: {
+        type: String,
+        enum: ['success', 'bad_password', 'bad_code', 'locked', 'challenge'],
+        required: true
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ip: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginEventSchema.index({ userId: 1, createdAt: -1 });
+
+// Attempts are forgotten after this long
+const RETENTION_DAYS = parseInt(process.env.LOGIN_HISTORY_DAYS, 10) || 90;
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Note an attempt; never lets a logging failure break the sign-in itself
+loginEventSchema.statics.record = function (userId, req, method, outcome) {
+    return this.create({
+        userId,
+        method,
+        outcome,
+        userAgent: (req.get('user-agent') || '').slice(0, 300),
+        ip: req.ip || ''
+    }).catch(err => console.error('Login event error:', err.message));
+};
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
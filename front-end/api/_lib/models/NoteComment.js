@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A comment on a privately shared note. Everyone with access to the note reads
+// them; only the roles in Note.COMMENT_ROLES write them. Authors delete their
+// own comments and the owner can delete any. Stored as plain text.
+const MAX_LENGTH = 2000;
+
+const noteCommentSchema = new mongoose.Schema({
+    noteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Note',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    username: {
+        type: String,
+        required: true
+    },
+    body: {
+        type: String,
+        maxlength: MAX_LENGTH,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+noteCommentSchema.index({ noteId: 1, createdAt: 1 });
+
+noteCommentSchema.statics.MAX_LENGTH = MAX_LENGTH;
+
+module.exports = mongoose.model('NoteComment', noteCommentSchema);
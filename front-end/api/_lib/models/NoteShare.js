@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Private access to someone else's note. The owner invites a user by username
+// or email with one of ROLES; only editors may change the content, and
+// commenters and editors may comment on it (see NoteComment).
+const ROLES = ['viewer', 'commenter', 'editor'];
+
+const noteShareSchema = new mongoose.Schema({
+    noteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Note',
+        required: true
+    },
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // The collaborator
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    role: {
+        type: String,
+        enum: ROLES,
+        default: 'viewer'
+    }
+}, {
+    timestamps: true
+});
+
+noteShareSchema.index({ noteId: 1, userId: 1 }, { unique: true });
+
+noteShareSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('NoteShare', noteShareSchema);
@@ -33,6 +33,57 @@ const sharedNoteSchema = new mongoose.Schema({
     frontEndData: {
         type: mongoose.Schema.Types.Mixed,
         default: {}
+    },
+    // Copied out of frontEndData on save so the library can filter, facet and
+    // list entries without loading the heavy note body
+    discipline: {
+        type: String,
+        default: 'general'
+    },
+    template: {
+        type: String,
+        default: 'note'
+    },
+    excerpt: {
+        type: String,
+        default: ''
+    },
+    // Plain text of the whole note, for the text index and search snippets
+    searchText: {
+        type: String,
+        default: ''
+    },
+    // Engagement: clones by other users, detail views by other users, and the
+    // star ratings kept up to date by LibraryRating.summarize
+    cloneCount: {
+        type: Number,
+        default: 0
+    },
+    viewCount: {
+        type: Number,
+        default: 0
+    },
+    ratingAverage: {
+        type: Number,
+        default: 0
+    },
+    ratingCount: {
+        type: Number,
+        default: 0
+    },
+    // Hidden by a moderator: gone from the public library, still visible to its author
+    hiddenAt: {
+        type: Date,
+        default: null
+    },
+    hiddenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    hiddenReason: {
+        type: String,
+        default: ''
     }
 }, {
     timestamps: true
@@ -41,4 +92,59 @@ const sharedNoteSchema = new mongoose.Schema({
 // Prevent duplicate publishing of the same note
 sharedNoteSchema.index({ userId: 1, originalNoteId: 1 }, { unique: true });
 
+// One index per library sort order (the trailing _id keeps cursors stable)
+sharedNoteSchema.index({ hiddenAt: 1, createdAt: -1, _id: -1 });
+sharedNoteSchema.index({ hiddenAt: 1, cloneCount: -1, _id: -1 });
+sharedNoteSchema.index({ hiddenAt: 1, ratingAverage: -1, ratingCount: -1, _id: -1 });
+
+// Full-text search; a match in the title counts for more than one in the body
+sharedNoteSchema.index(
+    { title: 'text', tags: 'text', description: 'text', username: 'text', searchText: 'text' },
+    {
+        name: 'library_text',
+        weights: { title: 10, tags: 6, description: 4, username: 3, searchText: 1 }
+    }
+);
+
+const EXCERPT_LENGTH = 160;
+const SEARCH_TEXT_LENGTH = 20000;
+
+// Note HTML as plain text
+const toPlainText = (html) => String(html || '')
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+sharedNoteSchema.pre('validate', function (next) {
+    if (this.isModified('frontEndData') || this.isNew) {
+        const metadata = (this.frontEndData && this.frontEndData.metadata) || {};
+        this.discipline = String(metadata.discipline || 'general').toLowerCase();
+        this.template = String(metadata.type || 'note').toLowerCase();
+    }
+    if (this.isModified('content') || this.isModified('frontEndData') || this.isNew) {
+        // Multi-page notes keep their pages in frontEndData.sections
+        const sections = (this.frontEndData && Array.isArray(this.frontEndData.sections))
+            ? this.frontEndData.sections : [];
+        const text = [this.content, ...sections.map(section => `${section.title || ''} ${section.content || ''}`)]
+            .map(toPlainText)
+            .filter((part, i, parts) => part && parts.indexOf(part) === i)
+            .join(' ');
+        this.excerpt = text.slice(0, EXCERPT_LENGTH);
+        this.searchText = text.slice(0, SEARCH_TEXT_LENGTH);
+    }
+    next();
+});
+
+// What library listings send for each entry — everything but the note body
+sharedNoteSchema.statics.LIST_FIELDS =
+    'userId username originalNoteId title description excerpt tags discipline template ' +
+    'cloneCount viewCount ratingAverage ratingCount createdAt updatedAt';
+
 module.exports = mongoose.model('SharedNote', sharedNoteSchema);
@@ -1,5 +1,7 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const totp = require('../totp');
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -17,10 +19,20 @@ const userSchema = new mongoose.Schema({
         lowercase: true,
         match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
     },
+    // Accounts that only sign in with Google have no password. Strength rules
+    // live in passwordPolicy and are checked by the routes that set one.
     password: {
         type: String,
-        required: [true, 'Password is required'],
-        minlength: [4, 'Password must be at least 4 characters']
+        required: [function () { return !this.googleId; }, 'Password is required']
+    },
+    // Linked Google identity (the Google account's stable id and its email)
+    googleId: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    googleEmail: {
+        type: String
     },
     displayName: {
         type: String,
@@ -35,6 +47,75 @@ const userSchema = new mongoose.Schema({
             ];
             return colors[Math.floor(Math.random() * colors.length)];
         }
+    },
+    // Moderators look after the shared library; admins also manage accounts
+    role: {
+        type: String,
+        enum: ['user', 'moderator', 'admin'],
+        default: 'user'
+    },
+    // Disabled accounts can't sign in and their sessions end
+    disabledAt: {
+        type: Date,
+        default: null
+    },
+    disabledReason: {
+        type: String,
+        default: ''
+    },
+    // Consecutive failed sign-ins, and when the resulting lockout ends
+    failedLoginCount: {
+        type: Number,
+        default: 0
+    },
+    lockUntil: {
+        type: Date
+    },
+    // Set once the owner opens the emailed verification link (or signs up
+    // with Google, which has checked the address already)
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerificationToken: {
+        type: String,
+        select: false
+    },
+    emailVerificationExpires: {
+        type: Date,
+        select: false
+    },
+    // Password reset: only the SHA-256 of the emailed token is kept
+    resetPasswordToken: {
+        type: String,
+        select: false
+    },
+    resetPasswordExpires: {
+        type: Date,
+        select: false
+    },
+    // Two-factor authentication (TOTP). The pending secret waits for its first
+    // code before it replaces the live one; recovery codes are kept as SHA-256.
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    twoFactorSecret: {
+        type: String,
+        select: false
+    },
+    twoFactorPendingSecret: {
+        type: String,
+        select: false
+    },
+    twoFactorRecoveryCodes: {
+        type: [String],
+        select: false
+    },
+    // Last time step a code was accepted for, so a code can't be used twice
+    twoFactorLastStep: {
+        type: Number,
+        select: false
     }
 }, {
     timestamps: true
@@ -42,7 +123,7 @@ const userSchema = new mongoose.Schema({
 
 // Hash password before saving
 userSchema.pre('save', async function (next) {
-    if (!this.isModified('password')) return next();
+    if (!this.isModified('password') || !this.password) return next();
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
     next();
@@ -50,9 +131,140 @@ userSchema.pre('save', async function (next) {
 
 // Compare entered password with hashed password
 userSchema.methods.matchPassword = async function (enteredPassword) {
+    if (!this.password) return false;
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// ─────────────────────────────────────────────
+// Brute-force lockout: after LOGIN_LOCKOUT_THRESHOLD failures in a row the
+// account refuses sign-ins for a minute, doubling with every further failure
+// up to an hour. A successful sign-in resets the count.
+// ─────────────────────────────────────────────
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+
+// Milliseconds until the lockout ends, 0 when not locked
+userSchema.methods.lockedFor = function () {
+    return this.lockUntil ? Math.max(this.lockUntil.getTime() - Date.now(), 0) : 0;
+};
+
+userSchema.statics.registerFailedLogin = async function (userId) {
+    const user = await this.findByIdAndUpdate(userId, { $inc: { failedLoginCount: 1 } }, { new: true })
+        .select('failedLoginCount');
+    if (!user) return;
+
+    const over = user.failedLoginCount - LOCKOUT_THRESHOLD;
+    if (over >= 0) {
+        const ms = Math.min(LOCKOUT_BASE_MS * 2 ** Math.min(over, 10), LOCKOUT_MAX_MS);
+        await this.updateOne({ _id: userId }, { $set: { lockUntil: new Date(Date.now() + ms) } });
+    }
+};
+
+userSchema.statics.clearFailedLogins = function (userId) {
+    return this.updateOne(
+        { _id: userId, $or: [{ failedLoginCount: { $gt: 0 } }, { lockUntil: { $ne: null } }] },
+        { $set: { failedLoginCount: 0 }, $unset: { lockUntil: 1 } }
+    );
+};
+
+// Ways this account can sign in. Needs the password field loaded.
+userSchema.methods.getProviders = function () {
+    const providers = [];
+    if (this.password) providers.push('password');
+    if (this.googleId) providers.push('google');
+    return providers;
+};
+
+// The account a Google identity signs in to → { user } or { error }.
+// Linked accounts sign straight in and unknown emails get a new account; an
+// existing account with the same email must link Google itself first, so
+// unlinking sticks and nobody is signed in to an account they never joined up.
+userSchema.statics.forGoogleSignIn = async function ({ googleId, email, displayName }) {
+    const linked = await this.findOne({ googleId });
+    if (linked) return { user: linked };
+
+    if (await this.exists({ email })) {
+        return {
+            error: 'An account with this email already exists. Sign in with your password ' +
+                '(or reset it), then link Google from Account settings.'
+        };
+    }
+
+    const name = displayName || email.split('@')[0];
+    const user = await this.create({
+        username: name.replace(/\s+/g, '_').toLowerCase() + '_' + Date.now().toString(36),
+        email,
+        emailVerified: true,
+        displayName: name,
+        googleId,
+        googleEmail: email
+    });
+    return { user };
+};
+
+// Hours an email verification link stays valid
+const EMAIL_VERIFICATION_TTL_HOURS = 48;
+userSchema.statics.EMAIL_VERIFICATION_TTL_HOURS = EMAIL_VERIFICATION_TTL_HOURS;
+
+// Start verifying the email: same scheme as password reset tokens
+userSchema.methods.createEmailVerificationToken = function () {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.emailVerificationToken = this.constructor.hashResetToken(token);
+    this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+    return token;
+};
+
+// Minutes a password reset link stays valid
+const RESET_TOKEN_TTL_MINUTES = 60;
+userSchema.statics.RESET_TOKEN_TTL_MINUTES = RESET_TOKEN_TTL_MINUTES;
+
+userSchema.statics.hashResetToken = function (token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Start a reset: store the hash + expiry, return the raw token for the email.
+// Any earlier link stops working.
+userSchema.methods.createPasswordResetToken = function () {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.resetPasswordToken = this.constructor.hashResetToken(token);
+    this.resetPasswordExpires = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+    return token;
+};
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .digest('hex');
+
+// Replace the recovery codes → the raw codes, shown to the user once
+userSchema.methods.createRecoveryCodes = function () {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    this.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+    return codes;
+};
+
+// Check a second-factor code: an authenticator code, or failing that a
+// recovery code, which is used up. Needs the twoFactor* fields selected;
+// the caller saves the user when this returns true.
+userSchema.methods.verifySecondFactor = function (code) {
+    const step = totp.verify(this.twoFactorSecret, code, this.twoFactorLastStep ?? -1);
+    if (step !== null) {
+        this.twoFactorLastStep = step;
+        return true;
+    }
+
+    const hash = hashRecoveryCode(code);
+    const codes = this.twoFactorRecoveryCodes || [];
+    if (!String(code || '').trim() || !codes.includes(hash)) return false;
+    this.twoFactorRecoveryCodes = codes.filter(c => c !== hash);
+    return true;
+};
+
 // Return user object without password
 userSchema.methods.toPublic = function () {
     return {
@@ -60,8 +272,13 @@ userSchema.methods.toPublic = function () {
         id: this._id,
         username: this.username,
         email: this.email,
+        emailVerified: this.emailVerified,
+        role: this.role,
         displayName: this.displayName,
         avatarColor: this.avatarColor,
+        twoFactorEnabled: this.twoFactorEnabled,
+        providers: this.getProviders(),
+        googleEmail: this.googleEmail,
         createdAt: this.createdAt
     };
 };
@@ -1,6 +1,5 @@
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
-const User = require('./models/User');
 
 function configurePassport() {
     if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
@@ -12,29 +11,17 @@ function configurePassport() {
         clientID: process.env.GOOGLE_CLIENT_ID,
         clientSecret: process.env.GOOGLE_CLIENT_SECRET,
         callbackURL: process.env.GOOGLE_CALLBACK_URL || '/api/auth/google/callback'
-    }, async (accessToken, refreshToken, profile, done) => {
-        try {
-            const email = profile.emails[0].value;
-            const displayName = profile.displayName || email.split('@')[0];
-
-            let user = await User.findOne({ email });
-
-            if (user) {
-                return done(null, user);
-            }
-
-            user = await User.create({
-                username: displayName.replace(/\s+/g, '_').toLowerCase() + '_' + Date.now().toString(36),
-                email,
-                password: 'oauth_' + Date.now() + '_' + Math.random().toString(36),
-                displayName
-            });
-
-            return done(null, user);
-        } catch (error) {
-            console.error('Google OAuth error:', error);
-            return done(error, null);
-        }
+    }, (accessToken, refreshToken, profile, done) => {
+        // Only the Google identity comes out of here; the callback route hands
+        // it to the front-end, which signs in with it or links it to its account
+        const email = profile.emails && profile.emails[0] && profile.emails[0].value;
+        if (!email) return done(null, false);
+
+        done(null, {
+            googleId: profile.id,
+            email: email.toLowerCase(),
+            displayName: profile.displayName || email.split('@')[0]
+        });
     }));
 
     console.log('Google OAuth configured');
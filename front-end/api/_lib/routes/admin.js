@@ -0,0 +1,437 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Note = require('../models/Note');
+const SharedNote = require('../models/SharedNote');
+const LibraryRating = require('../models/LibraryRating');
+const LibraryComment = require('../models/LibraryComment');
+const LibraryReport = require('../models/LibraryReport');
+const LibraryView = require('../models/LibraryView');
+const Session = require('../models/Session');
+const { protect, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Everything here needs staff; account management is for admins only
+router.use(protect, requireRole('moderator', 'admin'));
+const adminOnly = requireRole('admin');
+
+const PAGE_SIZE = 50;
+const PAGE_MAX = 200;
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const pageOf = (req) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || PAGE_SIZE, PAGE_MAX);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    return { limit, skip: (page - 1) * limit, page };
+};
+
+const USER_FIELDS = 'username email displayName role emailVerified disabledAt disabledReason createdAt';
+
+// ─────────────────────────────────────────────
+// GET /api/admin/stats — System-wide counts (staff)
+// ─────────────────────────────────────────────
+router.get('/stats', async (req, res) => {
+    try {
+        const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+        const now = new Date();
+
+        const [
+            users, newUsers, disabledUsers, unverifiedUsers, roles,
+            notes, trashedNotes, libraryEntries, hiddenEntries, reportedEntries, activeSessions
+        ] = await Promise.all([
+            User.countDocuments(),
+            User.countDocuments({ createdAt: { $gte: weekAgo } }),
+            User.countDocuments({ disabledAt: { $ne: null } }),
+            User.countDocuments({ emailVerified: { $ne: true } }),
+            User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+            Note.countDocuments({ deletedAt: null }),
+            Note.countDocuments({ deletedAt: { $ne: null } }),
+            SharedNote.countDocuments(),
+            SharedNote.countDocuments({ hiddenAt: { $ne: null } }),
+            LibraryReport.distinct('sharedNoteId', { status: 'open' }).then(ids => ids.length),
+            Session.countDocuments({ revokedAt: null, expiresAt: { $gt: now } })
+        ]);
+
+        const usersByRole = { user: 0, moderator: 0, admin: 0 };
+        // Accounts from before roles existed have none stored
+        roles.forEach(r => { usersByRole[r._id || 'user'] += r.count; });
+
+        res.json({
+            users: { total: users, newThisWeek: newUsers, disabled: disabledUsers, unverified: unverifiedUsers, byRole: usersByRole },
+            notes: { active: notes, trashed: trashedNotes },
+            library: { total: libraryEntries, hidden: hiddenEntries, reported: reportedEntries },
+            sessions: { active: activeSessions }
+        });
+    } catch (error) {
+        console.error('Admin stats error:', error);
+        res.status(500).json({ error: 'Failed to get stats' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// GET /api/admin/users — List accounts (admin)
+// Query: search (username, email or name), role, disabled=true|false, page, limit
+// ─────────────────────────────────────────────
+router.get('/users', adminOnly, async (req, res) => {
+    try {
+        const { limit, skip, page } = pageOf(req);
+        const filters = {};
+
+        if (req.query.search) {
+            const searchRegex = new RegExp(escapeRegex(req.query.search), 'i');
+            filters.$or = [{ username: searchRegex }, { email: searchRegex }, { displayName: searchRegex }];
+        }
+        if (req.query.role) filters.role = req.query.role;
+        if (req.query.disabled === 'true') filters.disabledAt = { $ne: null };
+        if (req.query.disabled === 'false') filters.disabledAt = null;
+
+        const [users, total] = await Promise.all([
+            User.find(filters).select(USER_FIELDS).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+            User.countDocuments(filters)
+        ]);
+
+        // Note and library counts for the page in two queries
+        const ids = users.map(u => u._id);
+        const [noteCounts, publishedCounts] = await Promise.all([
+            Note.aggregate([
+                { $match: { userId: { $in: ids }, deletedAt: null } },
+                { $group: { _id: '$userId', count: { $sum: 1 } } }
+            ]),
+            SharedNote.aggregate([
+                { $match: { userId: { $in: ids } } },
+                { $group: { _id: '$userId', count: { $sum: 1 } } }
+            ])
+        ]);
+        const countOf = (counts, id) => (counts.find(c => c._id.equals(id)) || { count: 0 }).count;
+
+        res.json({
+            users: users.map(u => ({
+                ...u,
+                role: u.role || 'user',
+                notes: countOf(noteCounts, u._id),
+                published: countOf(publishedCounts, u._id)
+            })),
+            total,
+            page
+        });
+    } catch (error) {
+        console.error('Admin list users error:', error);
+        res.status(500).json({ error: 'Failed to list users' });
+    }
+});
+
+// Load the :id account for an admin action, refusing the admin's own account.
+// Answers the error itself and resolves null in that case.
+const loadOtherUser = async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(404).json({ error: 'User not found' });
+        return null;
+    }
+    if (req.user._id.equals(req.params.id)) {
+        res.status(400).json({ error: 'You cannot do that to your own account' });
+        return null;
+    }
+    const user = await User.findById(req.params.id);
+    if (!user) res.status(404).json({ error: 'User not found' });
+    return user;
+};
+
+// ─────────────────────────────────────────────
+// PUT /api/admin/users/:id/role — Change an account's role (admin)
+// Body: { role: 'user' | 'moderator' | 'admin' }
+// ─────────────────────────────────────────────
+router.put('/users/:id/role', adminOnly, async (req, res) => {
+    try {
+        const { role } = req.body;
+        if (!['user', 'moderator', 'admin'].includes(role)) {
+            return res.status(400).json({ error: 'Role must be user, moderator or admin' });
+        }
+
+        const user = await loadOtherUser(req, res);
+        if (!user) return;
+
+        user.role = role;
+        await user.save();
+
+        res.json({ user: user.toPublic() });
+    } catch (error) {
+        console.error('Admin change role error:', error);
+        res.status(500).json({ error: 'Failed to change role' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/admin/users/:id/disable — Disable an account and sign it out everywhere (admin)
+// Body: { reason }
+// ─────────────────────────────────────────────
+router.post('/users/:id/disable', adminOnly, async (req, res) => {
+    try {
+        const user = await loadOtherUser(req, res);
+        if (!user) return;
+
+        user.disabledAt = new Date();
+        user.disabledReason = String(req.body.reason || '').trim().slice(0, 500);
+        await user.save();
+        await Session.revokeAll(user._id);
+
+        res.json({ user: user.toPublic() });
+    } catch (error) {
+        console.error('Admin disable user error:', error);
+        res.status(500).json({ error: 'Failed to disable account' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/admin/users/:id/enable — Let a disabled account sign in again (admin)
+// ─────────────────────────────────────────────
+router.post('/users/:id/enable', adminOnly, async (req, res) => {
+    try {
+        const user = await loadOtherUser(req, res);
+        if (!user) return;
+
+        user.disabledAt = null;
+        user.disabledReason = '';
+        await user.save();
+
+        res.json({ user: user.toPublic() });
+    } catch (error) {
+        console.error('Admin enable user error:', error);
+        res.status(500).json({ error: 'Failed to enable account' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// GET /api/admin/library — Library entries including hidden ones (staff)
+// Query: search, hidden=true|false, page, limit
+// ─────────────────────────────────────────────
+router.get('/library', async (req, res) => {
+    try {
+        const { limit, skip, page } = pageOf(req);
+        const filters = {};
+
+        if (req.query.search) {
+            const searchRegex = new RegExp(escapeRegex(req.query.search), 'i');
+            filters.$or = [{ title: searchRegex }, { tags: searchRegex }, { username: searchRegex }];
+        }
+        if (req.query.hidden === 'true') filters.hiddenAt = { $ne: null };
+        if (req.query.hidden === 'false') filters.hiddenAt = null;
+
+        const [sharedNotes, total] = await Promise.all([
+            SharedNote.find(filters)
+                .select('userId username title description tags hiddenAt hiddenReason createdAt')
+                .populate('hiddenBy', 'username displayName')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            SharedNote.countDocuments(filters)
+        ]);
+
+        res.json({ sharedNotes, total, page });
+    } catch (error) {
+        console.error('Admin list library error:', error);
+        res.status(500).json({ error: 'Failed to list library entries' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/admin/library/:id/hide — Take an entry out of the public library (staff)
+// Body: { reason }
+// ─────────────────────────────────────────────
+router.post('/library/:id/hide', async (req, res) => {
+    try {
+        const sharedNote = await SharedNote.findByIdAndUpdate(
+            req.params.id,
+            {
+                $set: {
+                    hiddenAt: new Date(),
+                    hiddenBy: req.user._id,
+                    hiddenReason: String(req.body.reason || '').trim().slice(0, 500)
+                }
+            },
+            { new: true }
+        ).select('-content -frontEndData -searchText');
+        if (!sharedNote) {
+            return res.status(404).json({ error: 'Shared note not found' });
+        }
+
+        res.json({ sharedNote });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({ error: 'Shared note not found' });
+        }
+        console.error('Admin hide entry error:', error);
+        res.status(500).json({ error: 'Failed to hide entry' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/admin/library/:id/unhide — Put a hidden entry back (staff)
+// ─────────────────────────────────────────────
+router.post('/library/:id/unhide', async (req, res) => {
+    try {
+        const sharedNote = await SharedNote.findByIdAndUpdate(
+            req.params.id,
+            { $set: { hiddenAt: null, hiddenBy: null, hiddenReason: '' } },
+            { new: true }
+        ).select('-content -frontEndData -searchText');
+        if (!sharedNote) {
+            return res.status(404).json({ error: 'Shared note not found' });
+        }
+
+        res.json({ sharedNote });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({ error: 'Shared note not found' });
+        }
+        console.error('Admin unhide entry error:', error);
+        res.status(500).json({ error: 'Failed to unhide entry' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// DELETE /api/admin/library/:id — Remove an entry for good (staff)
+// ─────────────────────────────────────────────
+router.delete('/library/:id', async (req, res) => {
+    try {
+        const sharedNote = await SharedNote.findByIdAndDelete(req.params.id);
+        if (!sharedNote) {
+            return res.status(404).json({ error: 'Shared note not found' });
+        }
+        await LibraryRating.deleteMany({ sharedNoteId: sharedNote._id });
+        await LibraryComment.deleteMany({ sharedNoteId: sharedNote._id });
+        await LibraryReport.deleteMany({ sharedNoteId: sharedNote._id });
+        await LibraryView.deleteMany({ sharedNoteId: sharedNote._id });
+
+        res.json({ message: 'Removed from library' });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({ error: 'Shared note not found' });
+        }
+        console.error('Admin remove entry error:', error);
+        res.status(500).json({ error: 'Failed to remove entry' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// GET /api/admin/reports — Entries with open reports, most reported first (staff)
+// Query: page, limit. Each item has the entry, the report count by reason and
+// the latest reports. Resolve with /reports/:id/dismiss or /reports/:id/uphold,
+// or remove the entry with DELETE /library/:id.
+// ─────────────────────────────────────────────
+const REPORTS_SHOWN = 20;
+
+router.get('/reports', async (req, res) => {
+    try {
+        const { limit, skip, page } = pageOf(req);
+
+        const [result] = await LibraryReport.aggregate([
+            { $match: { status: 'open' } },
+            { $sort: { createdAt: -1 } },
+            {
+                $group: {
+                    _id: '$sharedNoteId',
+                    count: { $sum: 1 },
+                    lastReportedAt: { $first: '$createdAt' },
+                    reports: { $push: { username: '$username', reason: '$reason', details: '$details', createdAt: '$createdAt' } }
+                }
+            },
+            { $sort: { count: -1, lastReportedAt: -1, _id: -1 } },
+            {
+                $facet: {
+                    items: [{ $skip: skip }, { $limit: limit }, { $addFields: { reports: { $slice: ['$reports', REPORTS_SHOWN] } } }],
+                    total: [{ $count: 'count' }]
+                }
+            }
+        ]);
+
+        const sharedNotes = await SharedNote.find({ _id: { $in: result.items.map(item => item._id) } })
+            .select('userId username title description tags hiddenAt hiddenReason createdAt')
+            .populate('hiddenBy', 'username displayName')
+            .lean();
+
+        const reports = result.items.map(item => {
+            const byReason = {};
+            item.reports.forEach(r => { byReason[r.reason] = (byReason[r.reason] || 0) + 1; });
+            return {
+                sharedNote: sharedNotes.find(sn => sn._id.equals(item._id)) || null,
+                count: item.count,
+                byReason,
+                lastReportedAt: item.lastReportedAt,
+                reports: item.reports
+            };
+        });
+
+        res.json({
+            reports,
+            total: result.total.length > 0 ? result.total[0].count : 0,
+            page,
+            threshold: LibraryReport.HIDE_THRESHOLD
+        });
+    } catch (error) {
+        console.error('Admin list reports error:', error);
+        res.status(500).json({ error: 'Failed to list reports' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/admin/reports/:id/dismiss — Close an entry's reports as unfounded (staff)
+// :id is the library entry. An entry the reports hid automatically is put back.
+// ─────────────────────────────────────────────
+router.post('/reports/:id/dismiss', async (req, res) => {
+    try {
+        const sharedNote = await SharedNote.findById(req.params.id).select('-content -frontEndData -searchText');
+        if (!sharedNote) {
+            return res.status(404).json({ error: 'Shared note not found' });
+        }
+
+        const dismissed = await LibraryReport.resolve(sharedNote._id, 'dismissed', req.user._id);
+        if (sharedNote.hiddenAt && !sharedNote.hiddenBy) {
+            sharedNote.hiddenAt = null;
+            sharedNote.hiddenReason = '';
+            await sharedNote.save();
+        }
+
+        res.json({ sharedNote, dismissed });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({ error: 'Shared note not found' });
+        }
+        console.error('Admin dismiss reports error:', error);
+        res.status(500).json({ error: 'Failed to dismiss reports' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/admin/reports/:id/uphold — Agree with an entry's reports and keep it hidden (staff)
+// :id is the library entry. Body: { reason } — defaults to the reported reasons.
+// ─────────────────────────────────────────────
+router.post('/reports/:id/uphold', async (req, res) => {
+    try {
+        const sharedNote = await SharedNote.findById(req.params.id).select('-content -frontEndData -searchText');
+        if (!sharedNote) {
+            return res.status(404).json({ error: 'Shared note not found' });
+        }
+
+        const reasons = await LibraryReport.distinct('reason', { sharedNoteId: sharedNote._id, status: 'open' });
+        const upheld = await LibraryReport.resolve(sharedNote._id, 'upheld', req.user._id);
+
+        sharedNote.hiddenAt = sharedNote.hiddenAt || new Date();
+        sharedNote.hiddenBy = req.user._id;
+        sharedNote.hiddenReason = String(req.body.reason || '').trim().slice(0, 500) ||
+            (reasons.length > 0 ? `Reported: ${reasons.join(', ')}` : sharedNote.hiddenReason);
+        await sharedNote.save();
+
+        res.json({ sharedNote, upheld });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({ error: 'Shared note not found' });
+        }
+        console.error('Admin uphold reports error:', error);
+        res.status(500).json({ error: 'Failed to uphold reports' });
+    }
+});
+
+module.exports = router;
@@ -1,16 +1,53 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
 const User = require('../models/User');
+const Note = require('../models/Note');
+const NoteShare = require('../models/NoteShare');
+const NoteComment = require('../models/NoteComment');
+const SharedNote = require('../models/SharedNote');
+const LibraryRating = require('../models/LibraryRating');
+const LibraryComment = require('../models/LibraryComment');
+const LibraryReport = require('../models/LibraryReport');
+const LibraryView = require('../models/LibraryView');
+const SyncChange = require('../models/SyncChange');
+const Session = require('../models/Session');
+const AuthCode = require('../models/AuthCode');
 const { protect } = require('../middleware/auth');
+const { sendMail } = require('../mail');
+const totp = require('../totp');
+const passwordPolicy = require('../passwordPolicy');
+const LoginEvent = require('../models/LoginEvent');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-    return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-        expiresIn: '30d'
+const DISPLAY_NAME_MAX_LENGTH = 50;
+const AVATAR_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Front-end URL for links in emails (same as google-auth.js)
+function getFrontEndUrl(req) {
+    // On Vercel, API and frontend share the same domain
+    if (process.env.VERCEL) {
+        return `${req.protocol}://${req.get('host')}`;
+    }
+    return process.env.FRONTEND_URL || 'http://localhost:5500/front-end';
+}
+
+// Email a fresh verification link; earlier links stop working
+async function sendVerificationEmail(user, req) {
+    const token = user.createEmailVerificationToken();
+    await user.save();
+
+    const link = `${getFrontEndUrl(req)}/login?verify=${token}`;
+    await sendMail({
+        to: user.email,
+        subject: 'Confirm your Academic Notebook email',
+        text: `Hi ${user.displayName || user.username},\n\n` +
+            `Please confirm this is your email address by opening this link:\n\n` +
+            `${link}\n\n` +
+            `The link expires in ${User.EMAIL_VERIFICATION_TTL_HOURS} hours. ` +
+            `If you didn't create an account, you can ignore this email.`
     });
-};
+}
 
 // ─────────────────────────────────────────────
 // POST /api/auth/register
@@ -33,6 +70,11 @@ router.post('/register', async (req, res) => {
             return res.status(400).json({ error: `A user with that ${field} already exists` });
         }
 
+        const weakness = passwordPolicy.check(password, { username, email });
+        if (weakness) {
+            return res.status(400).json({ error: weakness });
+        }
+
         // Create user
         const user = await User.create({
             username,
@@ -41,10 +83,18 @@ router.post('/register', async (req, res) => {
             displayName: username
         });
 
-        const token = generateToken(user._id);
+        // The account works right away; publishing waits for the email to be confirmed
+        try {
+            await sendVerificationEmail(user, req);
+        } catch (mailError) {
+            console.error('Verification email error:', mailError);
+        }
+
+        const { accessToken, refreshToken } = await Session.start(user._id, req);
 
         res.status(201).json({
-            token,
+            token: accessToken,
+            refreshToken,
             user: user.toPublic()
         });
     } catch (error) {
@@ -53,12 +103,64 @@ router.post('/register', async (req, res) => {
     }
 });
 
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep';
+
+const DISABLED_MESSAGE = 'This account has been disabled. Contact support if you think this is a mistake.';
+
+// 423 for a locked account, with how long is left
+const sendLocked = (res, user) => {
+    const minutes = Math.ceil(user.lockedFor() / 60000);
+    res.status(423).json({
+        error: `Too many failed sign-in attempts — try again in ${minutes} minute${minutes === 1 ? '' : 's'}`,
+        retryAfter: Math.ceil(user.lockedFor() / 1000)
+    });
+};
+
+// ─────────────────────────────────────────────
+// GET /api/auth/password-policy — Rules new passwords must meet (public)
+// ─────────────────────────────────────────────
+router.get('/password-policy', (req, res) => {
+    res.json({ policy: passwordPolicy.describe() });
+});
+
 // ─────────────────────────────────────────────
 // POST /api/auth/login
+// Body: { username, password } — accounts with 2FA answer { twoFactorRequired, challenge }
+//       { challenge, code }   — second step: authenticator or recovery code
 // ─────────────────────────────────────────────
 router.post('/login', async (req, res) => {
     try {
-        const { username, password } = req.body;
+        const { username, password, challenge, code } = req.body;
+
+        if (challenge) {
+            const userId = Session.verifyTwoFactorChallenge(challenge);
+            const user = userId && await User.findById(userId).select(TWO_FACTOR_FIELDS);
+            if (!user || !user.twoFactorEnabled) {
+                return res.status(401).json({ error: 'Sign-in expired — please enter your password again' });
+            }
+            if (user.disabledAt) {
+                return res.status(403).json({ error: DISABLED_MESSAGE });
+            }
+            if (user.lockedFor() > 0) {
+                LoginEvent.record(user._id, req, 'two_factor', 'locked');
+                return sendLocked(res, user);
+            }
+            if (!code || !user.verifySecondFactor(code)) {
+                await User.registerFailedLogin(user._id);
+                LoginEvent.record(user._id, req, 'two_factor', 'bad_code');
+                return res.status(401).json({ error: 'Invalid authentication code', twoFactorRequired: true });
+            }
+            await user.save(); // Uses up the code
+            await User.clearFailedLogins(user._id);
+            LoginEvent.record(user._id, req, 'two_factor', 'success');
+
+            const { accessToken, refreshToken } = await Session.start(user._id, req);
+            return res.json({
+                token: accessToken,
+                refreshToken,
+                user: user.toPublic()
+            });
+        }
 
         if (!username || !password) {
             return res.status(400).json({ error: 'Please provide username and password' });
@@ -73,16 +175,38 @@ router.post('/login', async (req, res) => {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
+        // A locked account doesn't even get its password checked
+        if (user.lockedFor() > 0) {
+            LoginEvent.record(user._id, req, 'password', 'locked');
+            return sendLocked(res, user);
+        }
+
         // Check password
         const isMatch = await user.matchPassword(password);
         if (!isMatch) {
+            await User.registerFailedLogin(user._id);
+            LoginEvent.record(user._id, req, 'password', 'bad_password');
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        const token = generateToken(user._id);
+        if (user.disabledAt) {
+            return res.status(403).json({ error: DISABLED_MESSAGE });
+        }
+
+        // The failure count only resets once the second factor is in too
+        if (user.twoFactorEnabled) {
+            LoginEvent.record(user._id, req, 'password', 'challenge');
+            return res.json({ twoFactorRequired: true, challenge: Session.twoFactorChallenge(user._id) });
+        }
+
+        await User.clearFailedLogins(user._id);
+        LoginEvent.record(user._id, req, 'password', 'success');
+
+        const { accessToken, refreshToken } = await Session.start(user._id, req);
 
         res.json({
-            token,
+            token: accessToken,
+            refreshToken,
             user: user.toPublic()
         });
     } catch (error) {
@@ -91,12 +215,415 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// ─────────────────────────────────────────────
+// POST /api/auth/refresh — Trade a refresh token for a new access + refresh token
+// Body: { refreshToken }. The old refresh token stops working.
+// ─────────────────────────────────────────────
+router.post('/refresh', async (req, res) => {
+    try {
+        const rotated = await Session.rotate(req.body.refreshToken, req);
+        if (!rotated) {
+            return res.status(401).json({ error: 'Session expired — please sign in again' });
+        }
+
+        const user = await User.findById(rotated.session.userId);
+        if (!user) {
+            return res.status(401).json({ error: 'Not authorized — user not found' });
+        }
+        if (user.disabledAt) {
+            return res.status(401).json({ error: DISABLED_MESSAGE });
+        }
+
+        res.json({
+            token: rotated.accessToken,
+            refreshToken: rotated.refreshToken,
+            user: user.toPublic()
+        });
+    } catch (error) {
+        console.error('Refresh error:', error);
+        res.status(500).json({ error: 'Server error during refresh' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/auth/logout — Sign this device out
+// Body: { refreshToken }
+// ─────────────────────────────────────────────
+router.post('/logout', async (req, res) => {
+    try {
+        await Session.revokeByToken(req.body.refreshToken);
+        res.json({ message: 'Signed out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Server error during logout' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/auth/logout-all — Sign out every device (protected)
+// ─────────────────────────────────────────────
+router.post('/logout-all', protect, async (req, res) => {
+    try {
+        const count = await Session.revokeAll(req.user._id);
+        res.json({ message: 'Signed out on all devices', count });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ error: 'Server error during logout' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// GET /api/auth/login-history — Recent sign-in attempts on the account (protected)
+// ─────────────────────────────────────────────
+router.get('/login-history', protect, async (req, res) => {
+    try {
+        const events = await LoginEvent.find({ userId: req.user._id })
+            .select('method outcome userAgent ip createdAt')
+            .sort({ createdAt: -1 })
+            .limit(50)
+            .lean();
+
+        res.json({ events });
+    } catch (error) {
+        console.error('Login history error:', error);
+        res.status(500).json({ error: 'Failed to retrieve sign-in activity' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// GET /api/auth/sessions — Devices currently signed in (protected)
+// ─────────────────────────────────────────────
+router.get('/sessions', protect, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            userId: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .select('userAgent ip createdAt lastUsedAt')
+            .sort({ lastUsedAt: -1 })
+            .lean();
+
+        res.json({
+            sessions: sessions.map(s => ({
+                _id: s._id,
+                userAgent: s.userAgent,
+                ip: s.ip,
+                createdAt: s.createdAt,
+                lastUsedAt: s.lastUsedAt,
+                current: s._id.equals(req.authSession._id)
+            }))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ error: 'Failed to retrieve sessions' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// DELETE /api/auth/sessions/:id — Sign one device out (protected)
+// ─────────────────────────────────────────────
+router.delete('/sessions/:id', protect, async (req, res) => {
+    try {
+        const result = await Session.updateOne(
+            { _id: req.params.id, userId: req.user._id, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        Session.announceEnded(req.user._id);
+
+        res.json({ message: 'Device signed out' });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Failed to sign device out' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/auth/2fa/setup — Start enrolling an authenticator app (protected)
+// Returns the secret, its otpauth:// URI and a QR code of it (data URL).
+// Nothing changes until POST /2fa/enable confirms a code.
+// ─────────────────────────────────────────────
+router.post('/2fa/setup', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already on' });
+        }
+
+        const secret = totp.generateSecret();
+        user.twoFactorPendingSecret = secret;
+        await user.save();
+
+        const otpauthUrl = totp.otpauthUrl(secret, user.email);
+        const qrCode = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 200 });
+
+        res.json({ secret, otpauthUrl, qrCode });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/auth/2fa/enable — Turn 2FA on with a code from the new secret (protected)
+// Body: { code }. Returns the recovery codes — the only time they are shown.
+// ─────────────────────────────────────────────
+router.post('/2fa/enable', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already on' });
+        }
+        if (!user.twoFactorPendingSecret) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+
+        const step = totp.verify(user.twoFactorPendingSecret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({ error: 'That code did not match — check the time on your device and try again' });
+        }
+
+        user.twoFactorEnabled = true;
+        user.twoFactorSecret = user.twoFactorPendingSecret;
+        user.twoFactorPendingSecret = undefined;
+        user.twoFactorLastStep = step;
+        const recoveryCodes = user.createRecoveryCodes();
+        await user.save();
+
+        res.json({ user: user.toPublic(), recoveryCodes });
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({ error: 'Failed to turn on two-factor authentication' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/auth/2fa/disable — Turn 2FA off (protected)
+// Body: { code } — authenticator or recovery code
+// ─────────────────────────────────────────────
+router.post('/2fa/disable', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not on' });
+        }
+        if (!user.verifySecondFactor(req.body.code)) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = undefined;
+        user.twoFactorRecoveryCodes = undefined;
+        user.twoFactorLastStep = undefined;
+        await user.save();
+
+        res.json({ user: user.toPublic() });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({ error: 'Failed to turn off two-factor authentication' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/auth/2fa/recovery-codes — Replace the recovery codes (protected)
+// Body: { code } — authenticator code. Earlier recovery codes stop working.
+// ─────────────────────────────────────────────
+router.post('/2fa/recovery-codes', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not on' });
+        }
+
+        const step = totp.verify(user.twoFactorSecret, req.body.code, user.twoFactorLastStep ?? -1);
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        user.twoFactorLastStep = step;
+        const recoveryCodes = user.createRecoveryCodes();
+        await user.save();
+
+        res.json({ recoveryCodes });
+    } catch (error) {
+        console.error('2FA recovery codes error:', error);
+        res.status(500).json({ error: 'Failed to create new recovery codes' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/auth/verify-email — Confirm the email address with the emailed token
+// Body: { token }
+// ─────────────────────────────────────────────
+router.post('/verify-email', async (req, res) => {
+    try {
+        const { token } = req.body;
+        if (!token) {
+            return res.status(400).json({ error: 'Please provide the verification token' });
+        }
+
+        const user = await User.findOneAndUpdate(
+            {
+                emailVerificationToken: User.hashResetToken(token),
+                emailVerificationExpires: { $gt: new Date() }
+            },
+            {
+                $set: { emailVerified: true },
+                $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+            },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+        }
+
+        res.json({ message: 'Email confirmed — thanks!', user: user.toPublic() });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Failed to verify email' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/auth/resend-verification — Email a new verification link (protected)
+// ─────────────────────────────────────────────
+router.post('/resend-verification', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.emailVerified) {
+            return res.status(400).json({ error: 'Your email is already confirmed' });
+        }
+
+        await sendVerificationEmail(user, req);
+        res.json({ message: `Verification link sent to ${user.email}` });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Could not send the verification email' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/auth/forgot-password — Email a one-time reset link
+// Always answers the same way so it can't be used to probe for accounts
+// ─────────────────────────────────────────────
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const email = String(req.body.email || '').trim().toLowerCase();
+        if (!email) {
+            return res.status(400).json({ error: 'Please provide your email' });
+        }
+
+        const user = await User.findOne({ email });
+        if (user) {
+            const token = user.createPasswordResetToken();
+            await user.save();
+
+            const link = `${getFrontEndUrl(req)}/login?reset=${token}`;
+            try {
+                await sendMail({
+                    to: user.email,
+                    subject: 'Reset your Academic Notebook password',
+                    text: `Hi ${user.displayName || user.username},\n\n` +
+                        `Someone (hopefully you) asked to reset your password. Open this link to choose a new one:\n\n` +
+                        `${link}\n\n` +
+                        `The link works once and expires in ${User.RESET_TOKEN_TTL_MINUTES} minutes. ` +
+                        `If you didn't ask for it, you can ignore this email.`
+                });
+            } catch (error) {
+                // An error here would tell the caller the account exists
+                console.error('Reset email error:', error);
+            }
+        }
+
+        res.json({ message: 'If an account uses that email, a reset link is on its way.' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Could not send the reset email' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/auth/reset-password — Set a new password with a reset token
+// Body: { token, password }
+// ─────────────────────────────────────────────
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ error: 'Please provide the reset token and a new password' });
+        }
+
+        const tokenFilter = {
+            resetPasswordToken: User.hashResetToken(token),
+            resetPasswordExpires: { $gt: new Date() }
+        };
+
+        // Check the new password before using the token up, so a weak one can be retried
+        const owner = await User.findOne(tokenFilter).select('username email').lean();
+        if (!owner) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+        }
+        const weakness = passwordPolicy.check(password, owner);
+        if (weakness) {
+            return res.status(400).json({ error: weakness });
+        }
+
+        // Clearing the token in the same update makes it single-use. The lockout
+        // goes too — proving the email is as good as a correct password.
+        const user = await User.findOneAndUpdate(
+            tokenFilter,
+            {
+                $set: { failedLoginCount: 0 },
+                $unset: { resetPasswordToken: 1, resetPasswordExpires: 1, lockUntil: 1 }
+            },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+        }
+
+        user.password = password; // Hashed by the pre-save hook
+        await user.save();
+
+        // Whoever knew the old password is signed out everywhere
+        await Session.revokeAll(user._id);
+
+        res.json({ message: 'Password updated — you can sign in now' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
 // ─────────────────────────────────────────────
 // GET /api/auth/profile  (protected)
 // ─────────────────────────────────────────────
 router.get('/profile', protect, async (req, res) => {
     try {
-        const user = await User.findById(req.user._id).select('-password');
+        const user = await User.findById(req.user._id);
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
@@ -106,4 +633,251 @@ router.get('/profile', protect, async (req, res) => {
     }
 });
 
+// ─────────────────────────────────────────────
+// PUT /api/auth/profile — Update displayName / avatarColor (protected)
+// ─────────────────────────────────────────────
+router.put('/profile', protect, async (req, res) => {
+    try {
+        const { displayName, avatarColor } = req.body;
+        const updates = {};
+
+        if (displayName !== undefined) {
+            const name = String(displayName).trim();
+            if (!name || name.length > DISPLAY_NAME_MAX_LENGTH) {
+                return res.status(400).json({ error: `Display name must be 1–${DISPLAY_NAME_MAX_LENGTH} characters` });
+            }
+            updates.displayName = name;
+        }
+        if (avatarColor !== undefined) {
+            if (!AVATAR_COLOR.test(avatarColor)) {
+                return res.status(400).json({ error: 'Avatar color must be a hex color like #3498db' });
+            }
+            updates.avatarColor = avatarColor;
+        }
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        const user = await User.findByIdAndUpdate(req.user._id, { $set: updates }, { new: true });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Published library entries show the author's display name
+        if (updates.displayName) {
+            await SharedNote.updateMany({ userId: user._id }, { $set: { username: updates.displayName } });
+        }
+
+        res.json({ user: user.toPublic() });
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.status(500).json({ error: 'Failed to update profile' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// PUT /api/auth/password — Change password, or set one on a Google-only account (protected)
+// Body: { currentPassword, newPassword } — no currentPassword when there is none yet
+// ─────────────────────────────────────────────
+router.put('/password', protect, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!newPassword) {
+            return res.status(400).json({ error: 'Please provide a new password' });
+        }
+
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const weakness = passwordPolicy.check(newPassword, user);
+        if (weakness) {
+            return res.status(400).json({ error: weakness });
+        }
+
+        if (user.password) {
+            if (!currentPassword) {
+                return res.status(400).json({ error: 'Please provide your current password' });
+            }
+            // A stolen access token mustn't make this a way around the sign-in lockout
+            if (user.lockedFor() > 0) {
+                LoginEvent.record(user._id, req, 'password', 'locked');
+                return sendLocked(res, user);
+            }
+            const isMatch = await user.matchPassword(currentPassword);
+            if (!isMatch) {
+                await User.registerFailedLogin(user._id);
+                LoginEvent.record(user._id, req, 'password', 'bad_password');
+                return res.status(400).json({ error: 'Current password is incorrect' });
+            }
+        }
+
+        user.password = newPassword; // Hashed by the pre-save hook
+        await user.save();
+        await User.clearFailedLogins(user._id);
+
+        // Every other device has to sign in with the new password
+        await Session.revokeAll(user._id, req.authSession._id);
+
+        res.json({ message: 'Password updated', user: user.toPublic() });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/auth/providers/google — Link a Google account (protected)
+// Body: { code, state } — from a Google sign-in started in link mode
+// ─────────────────────────────────────────────
+router.post('/providers/google', protect, async (req, res) => {
+    try {
+        const identity = await AuthCode.redeem(req.body.code, req.body.state);
+        if (!identity) {
+            return res.status(400).json({ error: 'Google sign-in expired — please try again' });
+        }
+
+        const owner = await User.findOne({ googleId: identity.googleId }).select('_id').lean();
+        if (owner && !owner._id.equals(req.user._id)) {
+            return res.status(409).json({ error: 'That Google account is already linked to another account' });
+        }
+
+        const updates = { googleId: identity.googleId, googleEmail: identity.email };
+        // Google has confirmed its address; if it's ours, so is our email
+        if (identity.email === req.user.email) updates.emailVerified = true;
+
+        const user = await User.findByIdAndUpdate(req.user._id, { $set: updates }, { new: true });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({ user: user.toPublic() });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'That Google account is already linked to another account' });
+        }
+        console.error('Link Google error:', error);
+        res.status(500).json({ error: 'Failed to link Google account' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// DELETE /api/auth/providers/:provider — Remove a way to sign in (protected)
+// provider: google | password. Body for password: { password } to confirm.
+// Every account keeps at least one.
+// ─────────────────────────────────────────────
+router.delete('/providers/:provider', protect, async (req, res) => {
+    try {
+        const { provider } = req.params;
+        if (!['google', 'password'].includes(provider)) {
+            return res.status(400).json({ error: `Unknown sign-in method "${provider}"` });
+        }
+
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const providers = user.getProviders();
+        if (!providers.includes(provider)) {
+            return res.status(400).json({ error: 'That sign-in method is not set up' });
+        }
+        if (providers.length <= 1) {
+            return res.status(400).json({ error: 'Add another way to sign in first — an account needs at least one' });
+        }
+
+        if (provider === 'google') {
+            user.googleId = undefined;
+            user.googleEmail = undefined;
+        } else {
+            const isMatch = await user.matchPassword(req.body.password || '');
+            if (!isMatch) {
+                return res.status(400).json({ error: 'Password is incorrect' });
+            }
+            user.password = undefined;
+        }
+        await user.save();
+
+        res.json({ user: user.toPublic() });
+    } catch (error) {
+        console.error('Unlink provider error:', error);
+        res.status(500).json({ error: 'Failed to remove sign-in method' });
+    }
+});
+
+// A stolen access token must not be enough to delete an account: the owner
+// proves it's them the strongest way the account allows → error or null
+const checkDeleteProof = async (user, body = {}) => {
+    if (user.password) {
+        const isMatch = await user.matchPassword(body.password || '');
+        return isMatch ? null : 'Password is incorrect';
+    }
+
+    if (user.twoFactorEnabled && body.code) {
+        return user.verifySecondFactor(body.code) ? null : 'Invalid authentication code';
+    }
+
+    if (user.googleId && body.googleCode) {
+        const identity = await AuthCode.redeem(body.googleCode, body.state);
+        if (!identity) return 'Google sign-in expired — please try again';
+        return identity.googleId === user.googleId ? null : 'That is not the Google account linked here';
+    }
+
+    return user.twoFactorEnabled
+        ? 'Enter a code from your authenticator app to confirm'
+        : 'Sign in with Google again to confirm';
+};
+
+// ─────────────────────────────────────────────
+// DELETE /api/auth/account — Delete the account and everything in it (protected)
+// Body: { password } to confirm. Accounts without a password send { code } from
+// their authenticator app, or { googleCode, state } from a Google sign-in
+// started in delete mode.
+// ─────────────────────────────────────────────
+router.delete('/account', protect, async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const proofError = await checkDeleteProof(user, req.body);
+        if (proofError) {
+            return res.status(400).json({ error: proofError });
+        }
+
+        // Collaborators' devices drop the notes we shared with them
+        const notes = await Note.find({ userId }).select('_id').lean();
+        await SyncChange.record('delete', notes.map(n => n._id));
+
+        // Notes with their revisions and share records, then everything else we own
+        await Note.purge({ userId });
+        await NoteShare.deleteMany({ userId });
+        await NoteComment.deleteMany({ userId });
+        const publishedIds = await SharedNote.find({ userId }).distinct('_id');
+        await LibraryRating.deleteMany({ sharedNoteId: { $in: publishedIds } });
+        await LibraryComment.deleteMany({ sharedNoteId: { $in: publishedIds } });
+        await LibraryReport.deleteMany({ $or: [{ sharedNoteId: { $in: publishedIds } }, { userId }] });
+        await LibraryView.deleteMany({ sharedNoteId: { $in: publishedIds } });
+        await SharedNote.deleteMany({ userId });
+        await LibraryRating.forgetUser(userId);
+        await LibraryComment.forgetUser(userId);
+        await LibraryView.forgetUser(userId);
+        await SyncChange.forget(userId);
+        await Session.deleteMany({ userId });
+        Session.announceEnded(userId);
+        await LoginEvent.deleteMany({ userId });
+        await User.deleteOne({ _id: userId });
+
+        res.json({ message: 'Account deleted' });
+    } catch (error) {
+        console.error('Delete account error:', error);
+        res.status(500).json({ error: 'Failed to delete account' });
+    }
+});
+
 module.exports = router;
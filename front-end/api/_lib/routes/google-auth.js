@@ -1,17 +1,12 @@
 const express = require('express');
 const passport = require('passport');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthCode = require('../models/AuthCode');
+const LoginEvent = require('../models/LoginEvent');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-    return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-        expiresIn: '30d'
-    });
-};
-
 // Helper: determine front-end origin for redirects
 function getFrontEndUrl(req) {
     // On Vercel, API and frontend share the same domain
@@ -21,8 +16,12 @@ function getFrontEndUrl(req) {
     return process.env.FRONTEND_URL || 'http://localhost:5500/front-end';
 }
 
+// Random value the login page makes up and keeps; it comes back with the code
+const STATE = /^[A-Za-z0-9_-]{16,128}$/;
+
 // ─────────────────────────────────────────────
 // GET /api/auth/google — Start Google OAuth flow
+// Query: state — echoed back to the login page, and needed to redeem the code
 // ─────────────────────────────────────────────
 router.get('/google', (req, res, next) => {
     if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
@@ -30,8 +29,12 @@ router.get('/google', (req, res, next) => {
             getFrontEndUrl(req) + '/login?error=oauth_unconfigured'
         );
     }
+    if (!STATE.test(req.query.state || '')) {
+        return res.redirect(getFrontEndUrl(req) + '/login?error=oauth_failed');
+    }
     passport.authenticate('google', {
-        scope: ['profile', 'email']
+        scope: ['profile', 'email'],
+        state: req.query.state
     })(req, res, next);
 });
 
@@ -47,10 +50,17 @@ router.get('/google/callback',
     },
     async (req, res) => {
         try {
-            const token = generateToken(req.user._id);
-            const userObj = encodeURIComponent(JSON.stringify(req.user.toPublic()));
+            // req.user is the Google identity Passport verified
+            const { state } = req.query;
+            if (!STATE.test(state || '')) {
+                return res.redirect(getFrontEndUrl(req) + '/login?error=oauth_failed');
+            }
+
+            // Redirect back with a one-time code; the login page trades it for
+            // tokens, or for a linked provider when it started a link
+            const code = await AuthCode.issue(req.user, state);
             res.redirect(
-                getFrontEndUrl(req) + `/login?token=${token}&user=${userObj}`
+                getFrontEndUrl(req) + `/login?code=${code}&state=${encodeURIComponent(state)}`
             );
         } catch (error) {
             console.error('OAuth callback error:', error);
@@ -59,4 +69,44 @@ router.get('/google/callback',
     }
 );
 
+// ─────────────────────────────────────────────
+// POST /api/auth/google/exchange — Trade the one-time code for a session
+// Body: { code, state } — state as the login page stored it, not as read from the URL.
+// Accounts with 2FA answer { twoFactorRequired, challenge } like POST /api/auth/login.
+// ─────────────────────────────────────────────
+router.post('/google/exchange', async (req, res) => {
+    try {
+        const { code, state } = req.body;
+
+        const identity = await AuthCode.redeem(code, state);
+        if (!identity) {
+            return res.status(401).json({ error: 'Google sign-in expired — please try again' });
+        }
+
+        const { user, error } = await User.forGoogleSignIn(identity);
+        if (error) {
+            return res.status(409).json({ error });
+        }
+        if (user.disabledAt) {
+            return res.status(403).json({ error: 'This account has been disabled. Contact support if you think this is a mistake.' });
+        }
+
+        if (user.twoFactorEnabled) {
+            LoginEvent.record(user._id, req, 'google', 'challenge');
+            return res.json({ twoFactorRequired: true, challenge: Session.twoFactorChallenge(user._id) });
+        }
+
+        LoginEvent.record(user._id, req, 'google', 'success');
+        const { accessToken, refreshToken } = await Session.start(user._id, req);
+        res.json({
+            token: accessToken,
+            refreshToken,
+            user: user.toPublic()
+        });
+    } catch (error) {
+        console.error('OAuth exchange error:', error);
+        res.status(500).json({ error: 'Server error during Google sign-in' });
+    }
+});
+
 module.exports = router;
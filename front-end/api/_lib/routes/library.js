@@ -1,31 +1,193 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
 const SharedNote = require('../models/SharedNote');
-const { protect } = require('../middleware/auth');
+const LibraryRating = require('../models/LibraryRating');
+const LibraryComment = require('../models/LibraryComment');
+const LibraryReport = require('../models/LibraryReport');
+const LibraryView = require('../models/LibraryView');
+const SyncChange = require('../models/SyncChange');
+const librarySearch = require('../librarySearch');
+const { protect, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
 
 const router = express.Router();
 
+const PAGE_SIZE = 24;
+const PAGE_MAX = 60;
+const FACET_TAG_LIMIT = 20;
+
+// Sort orders for the listing; each ends on _id so a cursor points at exactly one place.
+// relevance needs a text search and is the default when there is one.
+const SORTS = {
+    relevance: { score: -1, _id: -1 },
+    newest: { createdAt: -1, _id: -1 },
+    cloned: { cloneCount: -1, _id: -1 },
+    rated: { ratingAverage: -1, ratingCount: -1, _id: -1 }
+};
+
+// Entries published before these counters existed don't have them. They sort
+// and page as 0 — scripts/backfill-library.js fills them in, but not every
+// deployment runs it.
+const COUNTER_FIELDS = ['cloneCount', 'ratingAverage', 'ratingCount'];
+const defaultCounters = (sort) => {
+    const fields = Object.keys(sort).filter(key => COUNTER_FIELDS.includes(key));
+    if (fields.length === 0) return [];
+    return [{ $addFields: Object.fromEntries(fields.map(field => [field, { $ifNull: ['$' + field, 0] }])) }];
+};
+
+const LIST_PROJECTION = Object.fromEntries(SharedNote.LIST_FIELDS.split(' ').map(field => [field, 1]));
+
+// $match stage for a set of conditions; a $text search has to sit at its top level
+const matchStage = (text, conditions) => ({
+    $match: { ...(text && { $text: { $search: text } }), $and: conditions }
+});
+
+// Opaque cursor: the sort-key values of the last entry on a page
+const encodeCursor = (entry, sort) =>
+    Buffer.from(JSON.stringify(Object.keys(sort).map(key => entry[key]))).toString('base64url');
+
+// Condition for the entries that come after a cursor, or null if it can't be read
+const afterCursor = (cursor, sort) => {
+    let values;
+    try {
+        values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    } catch (error) {
+        return null;
+    }
+    const keys = Object.keys(sort);
+    if (!Array.isArray(values) || values.length !== keys.length) return null;
+
+    const typed = [];
+    for (let i = 0; i < keys.length; i++) {
+        if (keys[i] === '_id') {
+            if (!mongoose.isValidObjectId(values[i])) return null;
+            typed.push(new mongoose.Types.ObjectId(values[i]));
+        } else if (keys[i] === 'createdAt') {
+            const date = new Date(values[i]);
+            if (isNaN(date)) return null;
+            typed.push(date);
+        } else {
+            // null: a cursor handed out before the counters were defaulted
+            const value = values[i] === null ? 0 : values[i];
+            if (typeof value !== 'number') return null;
+            typed.push(value);
+        }
+    }
+
+    // (a past x) or (a = x and b past y) or …
+    return {
+        $or: keys.map((key, i) => {
+            const clause = {};
+            keys.slice(0, i).forEach((prev, j) => { clause[prev] = typed[j]; });
+            clause[key] = { [sort[key] === -1 ? '$lt' : '$gt']: typed[i] };
+            return clause;
+        })
+    };
+};
+
+// Counts for each facet, each under every filter except its own so the
+// other choices stay visible
+const facetCounts = (text, baseConditions, choices) => {
+    const conditionsWithout = (field) => {
+        const conditions = [...baseConditions];
+        Object.entries(choices).forEach(([key, value]) => {
+            if (key !== field && value) conditions.push({ [key]: value });
+        });
+        return conditions;
+    };
+    const count = (field, limit) => SharedNote.aggregate([
+        matchStage(text, conditionsWithout(field)),
+        ...(field === 'tags' ? [{ $unwind: '$tags' }] : []),
+        { $group: { _id: '$' + field, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        ...(limit ? [{ $limit: limit }] : [])
+    ]);
+
+    return Promise.all([
+        count('tags', FACET_TAG_LIMIT),
+        count('discipline'),
+        count('template')
+    ]).then(([tags, discipline, template]) => {
+        const asList = (rows) => rows.map(r => ({ value: r._id, count: r.count }));
+        return { tags: asList(tags), discipline: asList(discipline), template: asList(template) };
+    });
+};
+
 // ─────────────────────────────────────────────
-// GET /api/library — List all shared notes (public)
+// GET /api/library — Browse and search shared notes, a page at a time (public)
+// Query: search (words, "phrases", tag:name, by:author — see config/librarySearch),
+//        tag, discipline, template, sort (relevance | newest | cloned | rated),
+//        cursor (nextCursor of the previous page), limit
+// The first page (no cursor) also carries total and facet counts. Text matches
+// come with a highlight: an HTML snippet with the matched words in <mark>.
 // ─────────────────────────────────────────────
 router.get('/', async (req, res) => {
     try {
-        const filters = {};
+        const parsed = librarySearch.parse(req.query.search);
+        const text = librarySearch.textSearch(parsed);
+
+        let sortName = SORTS[req.query.sort] ? req.query.sort : (text ? 'relevance' : 'newest');
+        if (sortName === 'relevance' && !text) sortName = 'newest';
+        const sort = SORTS[sortName];
+        const limit = Math.min(parseInt(req.query.limit, 10) || PAGE_SIZE, PAGE_MAX);
+
+        const baseConditions = [{ hiddenAt: null }, ...librarySearch.filterConditions(parsed)];
 
-        if (req.query.search) {
-            const searchRegex = new RegExp(req.query.search, 'i');
-            filters.$or = [
-                { title: searchRegex },
-                { tags: searchRegex },
-                { username: searchRegex }
-            ];
+        const choices = {
+            tags: req.query.tag || null,
+            discipline: req.query.discipline ? String(req.query.discipline).toLowerCase() : null,
+            template: req.query.template ? String(req.query.template).toLowerCase() : null
+        };
+        const conditions = [...baseConditions];
+        Object.entries(choices).forEach(([key, value]) => {
+            if (value) conditions.push({ [key]: value });
+        });
+
+        let after = null;
+        if (req.query.cursor) {
+            after = afterCursor(req.query.cursor, sort);
+            if (!after) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
         }
 
-        const sharedNotes = await SharedNote.find(filters)
-            .sort({ createdAt: -1 })
-            .lean();
+        const pipeline = [
+            matchStage(text, conditions),
+            ...(text ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+            ...defaultCounters(sort),
+            ...(after ? [{ $match: after }] : []),
+            { $sort: sort },
+            { $limit: limit + 1 },
+            { $project: { ...LIST_PROJECTION, ...(text && { score: 1, searchText: 1 }) } }
+        ];
 
-        res.json({ sharedNotes });
+        const firstPage = !req.query.cursor;
+        const [page, total, facets] = await Promise.all([
+            SharedNote.aggregate(pipeline),
+            firstPage ? SharedNote.countDocuments(matchStage(text, conditions).$match) : undefined,
+            firstPage ? facetCounts(text, baseConditions, choices) : undefined
+        ]);
+
+        const hasMore = page.length > limit;
+        const sharedNotes = hasMore ? page.slice(0, limit) : page;
+        const nextCursor = hasMore ? encodeCursor(sharedNotes[sharedNotes.length - 1], sort) : null;
+
+        if (text) {
+            sharedNotes.forEach(sn => {
+                const highlight = librarySearch.highlight(parsed, sn.searchText) ||
+                    librarySearch.highlight(parsed, sn.description);
+                if (highlight) sn.highlight = highlight;
+                delete sn.searchText;
+            });
+        }
+
+        res.json({
+            sharedNotes,
+            sort: sortName,
+            nextCursor,
+            ...(firstPage && { total, facets })
+        });
     } catch (error) {
         console.error('Get library error:', error);
         res.status(500).json({ error: 'Failed to retrieve library' });
@@ -33,9 +195,9 @@ router.get('/', async (req, res) => {
 });
 
 // ─────────────────────────────────────────────
-// POST /api/library/publish — Publish a note (protected)
+// POST /api/library/publish — Publish a note (protected, verified email)
 // ─────────────────────────────────────────────
-router.post('/publish', protect, async (req, res) => {
+router.post('/publish', protect, requireVerifiedEmail, async (req, res) => {
     try {
         const { noteId, description } = req.body;
 
@@ -46,7 +208,8 @@ router.post('/publish', protect, async (req, res) => {
         // Find the source note
         const note = await Note.findOne({
             _id: noteId,
-            userId: req.user._id
+            userId: req.user._id,
+            deletedAt: null
         });
 
         if (!note) {
@@ -96,6 +259,7 @@ router.post('/publish', protect, async (req, res) => {
 router.get('/my-published', protect, async (req, res) => {
     try {
         const sharedNotes = await SharedNote.find({ userId: req.user._id })
+            .select(`${SharedNote.LIST_FIELDS} hiddenAt hiddenReason`)
             .sort({ createdAt: -1 })
             .lean();
 
@@ -106,6 +270,355 @@ router.get('/my-published', protect, async (req, res) => {
     }
 });
 
+const isStaff = (user) => Boolean(user) && ['moderator', 'admin'].includes(user.role);
+
+// Hidden entries are only there for their author and for staff
+const canSeeEntry = (user, sharedNote) => Boolean(sharedNote) &&
+    (!sharedNote.hiddenAt || (Boolean(user) && (user._id.equals(sharedNote.userId) || isStaff(user))));
+
+// ─────────────────────────────────────────────
+// GET /api/library/:id — One shared note with its full content (public)
+// Hidden entries are only shown to their author and to staff. Counts a view
+// unless the author is looking or the viewer was counted recently (see
+// models/LibraryView); a signed-in caller also gets their rating and whether
+// they have reported it.
+// ─────────────────────────────────────────────
+router.get('/:id', optionalAuth, async (req, res) => {
+    try {
+        const sharedNote = await SharedNote.findById(req.params.id).select('-searchText').lean();
+
+        if (!canSeeEntry(req.user, sharedNote)) {
+            return res.status(404).json({ error: 'Shared note not found' });
+        }
+        const isAuthor = req.user && req.user._id.equals(sharedNote.userId);
+
+        if (!isAuthor && await LibraryView.record(sharedNote._id, req)) {
+            sharedNote.viewCount = (sharedNote.viewCount || 0) + 1;
+        }
+
+        let myRating = null;
+        let reported = false;
+        if (req.user) {
+            const [rating, report] = await Promise.all([
+                LibraryRating.findOne({ sharedNoteId: sharedNote._id, userId: req.user._id }).lean(),
+                LibraryReport.exists({ sharedNoteId: sharedNote._id, userId: req.user._id })
+            ]);
+            myRating = rating ? rating.stars : null;
+            reported = Boolean(report);
+        }
+
+        res.json({ sharedNote, myRating, reported });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(404).json({ error: 'Shared note not found' });
+        }
+        console.error('Get shared note error:', error);
+        res.status(500).json({ error: 'Failed to retrieve shared note' });
+    }
+});
+
+// Entry a user may rate: visible and not their own. Answers the error itself
+// and resolves null otherwise.
+const loadRateable = async (req, res) => {
+    const sharedNote = mongoose.isValidObjectId(req.params.id)
+        ? await SharedNote.findById(req.params.id).select('userId hiddenAt').lean()
+        : null;
+    if (!sharedNote || sharedNote.hiddenAt) {
+        res.status(404).json({ error: 'Shared note not found' });
+        return null;
+    }
+    if (req.user._id.equals(sharedNote.userId)) {
+        res.status(400).json({ error: 'You cannot rate your own note' });
+        return null;
+    }
+    return sharedNote;
+};
+
+// ─────────────────────────────────────────────
+// PUT /api/library/:id/rating — Rate an entry 1–5 stars, replacing any earlier rating (protected)
+// Body: { stars }
+// ─────────────────────────────────────────────
+router.put('/:id/rating', protect, async (req, res) => {
+    try {
+        const stars = Number(req.body.stars);
+        if (!Number.isInteger(stars) || stars < LibraryRating.STARS_MIN || stars > LibraryRating.STARS_MAX) {
+            return res.status(400).json({
+                error: `Rating must be a whole number of stars from ${LibraryRating.STARS_MIN} to ${LibraryRating.STARS_MAX}`
+            });
+        }
+
+        const sharedNote = await loadRateable(req, res);
+        if (!sharedNote) return;
+
+        await LibraryRating.updateOne(
+            { sharedNoteId: sharedNote._id, userId: req.user._id },
+            { $set: { stars } },
+            { upsert: true }
+        );
+        const summary = await LibraryRating.summarize(sharedNote._id);
+
+        res.json({ ...summary, myRating: stars });
+    } catch (error) {
+        console.error('Rate shared note error:', error);
+        res.status(500).json({ error: 'Failed to save rating' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// DELETE /api/library/:id/rating — Take back your rating (protected)
+// ─────────────────────────────────────────────
+router.delete('/:id/rating', protect, async (req, res) => {
+    try {
+        const sharedNote = await loadRateable(req, res);
+        if (!sharedNote) return;
+
+        await LibraryRating.deleteOne({ sharedNoteId: sharedNote._id, userId: req.user._id });
+        const summary = await LibraryRating.summarize(sharedNote._id);
+
+        res.json({ ...summary, myRating: null });
+    } catch (error) {
+        console.error('Unrate shared note error:', error);
+        res.status(500).json({ error: 'Failed to remove rating' });
+    }
+});
+
+// Entry whose comments are asked for, if the caller can see it. Answers the
+// error itself and resolves null otherwise.
+const loadCommentable = async (req, res) => {
+    const sharedNote = mongoose.isValidObjectId(req.params.id)
+        ? await SharedNote.findById(req.params.id).select('userId hiddenAt').lean()
+        : null;
+    if (!canSeeEntry(req.user, sharedNote)) {
+        res.status(404).json({ error: 'Shared note not found' });
+        return null;
+    }
+    return sharedNote;
+};
+
+// Comment as sent to clients, with what the caller may do to it
+const serializeComment = (comment, user, sharedNote) => {
+    const deleted = Boolean(comment.deletedAt);
+    const isAuthor = Boolean(user) && user._id.equals(comment.userId);
+    return {
+        _id: comment._id,
+        parentId: comment.parentId,
+        depth: comment.depth,
+        userId: deleted ? null : comment.userId,
+        username: deleted ? '' : comment.username,
+        body: deleted ? '' : comment.body,
+        createdAt: comment.createdAt,
+        editedAt: comment.editedAt,
+        deleted,
+        canEdit: !deleted && isAuthor,
+        canDelete: !deleted && (isAuthor || (Boolean(user) &&
+            (user._id.equals(sharedNote.userId) || isStaff(user))))
+    };
+};
+
+// Trimmed comment text → error message, or null when it's acceptable
+const checkCommentBody = (body) => {
+    if (!body) return 'Comment cannot be empty';
+    if (body.length > LibraryComment.MAX_LENGTH) {
+        return `Comment must be at most ${LibraryComment.MAX_LENGTH} characters`;
+    }
+    return null;
+};
+
+// ─────────────────────────────────────────────
+// GET /api/library/:id/comments — Comments on an entry, oldest first (public)
+// Flat list; replies carry parentId and depth for the client to thread them.
+// ─────────────────────────────────────────────
+router.get('/:id/comments', optionalAuth, async (req, res) => {
+    try {
+        const sharedNote = await loadCommentable(req, res);
+        if (!sharedNote) return;
+
+        const comments = await LibraryComment.find({ sharedNoteId: sharedNote._id })
+            .sort({ createdAt: 1 })
+            .lean();
+
+        // Deleted placeholders are only worth showing while live replies hang off them
+        const children = new Map();
+        comments.forEach(c => {
+            const key = String(c.parentId);
+            if (!children.has(key)) children.set(key, []);
+            children.get(key).push(c);
+        });
+        const hasLive = (c) => !c.deletedAt || (children.get(String(c._id)) || []).some(hasLive);
+
+        res.json({
+            comments: comments.filter(hasLive).map(c => serializeComment(c, req.user, sharedNote))
+        });
+    } catch (error) {
+        console.error('Get comments error:', error);
+        res.status(500).json({ error: 'Failed to retrieve comments' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/library/:id/comments — Comment on an entry or reply to a comment
+// (protected, verified email)
+// Body: { body, parentId? }
+// ─────────────────────────────────────────────
+router.post('/:id/comments', protect, requireVerifiedEmail, async (req, res) => {
+    try {
+        const body = String(req.body.body || '').trim();
+        const invalid = checkCommentBody(body);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const sharedNote = await loadCommentable(req, res);
+        if (!sharedNote) return;
+
+        let parentId = null;
+        let depth = 0;
+        if (req.body.parentId) {
+            const parent = mongoose.isValidObjectId(req.body.parentId)
+                ? await LibraryComment.findOne({ _id: req.body.parentId, sharedNoteId: sharedNote._id }).lean()
+                : null;
+            if (!parent || parent.deletedAt) {
+                return res.status(404).json({ error: 'The comment you replied to no longer exists' });
+            }
+            // Past the deepest level a reply sits next to the comment it answers
+            if (parent.depth >= LibraryComment.MAX_DEPTH) {
+                parentId = parent.parentId;
+                depth = parent.depth;
+            } else {
+                parentId = parent._id;
+                depth = parent.depth + 1;
+            }
+        }
+
+        const comment = await LibraryComment.create({
+            sharedNoteId: sharedNote._id,
+            userId: req.user._id,
+            username: req.user.displayName || req.user.username,
+            parentId,
+            depth,
+            body
+        });
+
+        res.status(201).json({ comment: serializeComment(comment, req.user, sharedNote) });
+    } catch (error) {
+        console.error('Post comment error:', error);
+        res.status(500).json({ error: 'Failed to post comment' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// PUT /api/library/:id/comments/:commentId — Edit your own comment (protected)
+// Body: { body }
+// ─────────────────────────────────────────────
+router.put('/:id/comments/:commentId', protect, async (req, res) => {
+    try {
+        const body = String(req.body.body || '').trim();
+        const invalid = checkCommentBody(body);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const sharedNote = await loadCommentable(req, res);
+        if (!sharedNote) return;
+
+        const comment = mongoose.isValidObjectId(req.params.commentId)
+            ? await LibraryComment.findOne({
+                _id: req.params.commentId,
+                sharedNoteId: sharedNote._id,
+                userId: req.user._id,
+                deletedAt: null
+            })
+            : null;
+        if (!comment) {
+            return res.status(404).json({ error: 'Comment not found or you didn\'t write it' });
+        }
+
+        comment.body = body;
+        comment.editedAt = new Date();
+        await comment.save();
+
+        res.json({ comment: serializeComment(comment, req.user, sharedNote) });
+    } catch (error) {
+        console.error('Edit comment error:', error);
+        res.status(500).json({ error: 'Failed to edit comment' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// DELETE /api/library/:id/comments/:commentId — Delete a comment (protected)
+// Its author, the entry's author and staff may delete it.
+// ─────────────────────────────────────────────
+router.delete('/:id/comments/:commentId', protect, async (req, res) => {
+    try {
+        const sharedNote = await loadCommentable(req, res);
+        if (!sharedNote) return;
+
+        const comment = mongoose.isValidObjectId(req.params.commentId)
+            ? await LibraryComment.findOne({
+                _id: req.params.commentId,
+                sharedNoteId: sharedNote._id,
+                deletedAt: null
+            }).lean()
+            : null;
+        if (!comment || !serializeComment(comment, req.user, sharedNote).canDelete) {
+            return res.status(404).json({ error: 'Comment not found or you can\'t delete it' });
+        }
+
+        await LibraryComment.removeComment(comment);
+
+        res.json({ message: 'Comment deleted' });
+    } catch (error) {
+        console.error('Delete comment error:', error);
+        res.status(500).json({ error: 'Failed to delete comment' });
+    }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/library/:id/report — Report an entry to the moderators (protected, verified email)
+// Body: { reason, details }. Reporting again before a moderator has looked
+// replaces your earlier report. Enough reports hide the entry until reviewed.
+// ─────────────────────────────────────────────
+router.post('/:id/report', protect, requireVerifiedEmail, async (req, res) => {
+    try {
+        const { reason } = req.body;
+        if (!LibraryReport.REASONS.includes(reason)) {
+            return res.status(400).json({ error: `Reason must be one of: ${LibraryReport.REASONS.join(', ')}` });
+        }
+        const details = String(req.body.details || '').trim().slice(0, LibraryReport.DETAILS_LENGTH);
+
+        const sharedNote = await loadCommentable(req, res);
+        if (!sharedNote) return;
+        if (req.user._id.equals(sharedNote.userId)) {
+            return res.status(400).json({ error: 'You cannot report your own note' });
+        }
+
+        const existing = await LibraryReport.findOne({ sharedNoteId: sharedNote._id, userId: req.user._id });
+        if (existing && existing.status !== 'open') {
+            return res.status(409).json({ error: 'A moderator has already reviewed your report on this note' });
+        }
+
+        if (existing) {
+            existing.reason = reason;
+            existing.details = details;
+            await existing.save();
+        } else {
+            await LibraryReport.create({
+                sharedNoteId: sharedNote._id,
+                userId: req.user._id,
+                username: req.user.displayName || req.user.username,
+                reason,
+                details
+            });
+        }
+        const hidden = await LibraryReport.review(sharedNote._id);
+
+        res.status(existing ? 200 : 201).json({ message: 'Thanks, a moderator will take a look', hidden });
+    } catch (error) {
+        console.error('Report shared note error:', error);
+        res.status(500).json({ error: 'Failed to send report' });
+    }
+});
+
 // ─────────────────────────────────────────────
 // POST /api/library/:id/clone — Clone a shared note (protected)
 // ─────────────────────────────────────────────
@@ -113,7 +626,8 @@ router.post('/:id/clone', protect, async (req, res) => {
     try {
         const sharedNote = await SharedNote.findById(req.params.id);
 
-        if (!sharedNote) {
+        // Hidden entries stay cloneable only for their author
+        if (!sharedNote || (sharedNote.hiddenAt && !sharedNote.userId.equals(req.user._id))) {
             return res.status(404).json({ error: 'Shared note not found' });
         }
 
@@ -133,6 +647,14 @@ router.post('/:id/clone', protect, async (req, res) => {
             }
         });
 
+        await NoteRevision.snapshot(clonedNote);
+        await SyncChange.record('upsert', [clonedNote._id]);
+
+        // Authors copying their own entry don't count towards "most cloned"
+        if (!sharedNote.userId.equals(req.user._id)) {
+            await SharedNote.updateOne({ _id: sharedNote._id }, { $inc: { cloneCount: 1 } });
+        }
+
         res.status(201).json({ note: clonedNote });
     } catch (error) {
         console.error('Clone error:', error);
@@ -155,6 +677,10 @@ router.delete('/:id', protect, async (req, res) => {
         }
 
         await SharedNote.findByIdAndDelete(req.params.id);
+        await LibraryRating.deleteMany({ sharedNoteId: sharedNote._id });
+        await LibraryComment.deleteMany({ sharedNoteId: sharedNote._id });
+        await LibraryReport.deleteMany({ sharedNoteId: sharedNote._id });
+        await LibraryView.deleteMany({ sharedNoteId: sharedNote._id });
 
         res.json({ message: 'Removed from library' });
     } catch (error) {
@@ -165,12 +691,12 @@ router.delete('/:id', protect, async (req, res) => {
 
 // ─────────────────────────────────────────────
 // POST /api/library/upload — Upload a note directly without local DB dependency
+// (protected, verified email)
 // ─────────────────────────────────────────────
-router.post('/upload', protect, async (req, res) => {
+router.post('/upload', protect, requireVerifiedEmail, async (req, res) => {
     try {
         const { title, content, description, tags, frontEndData } = req.body;
         // Generate a mock ID for the required originalNoteId field since it doesn't exist locally
-        const mongoose = require('mongoose');
         const mockOriginalId = new mongoose.Types.ObjectId();
 
         const sharedNote = await SharedNote.create({
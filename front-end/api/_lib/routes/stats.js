@@ -13,13 +13,13 @@ router.get('/', protect, async (req, res) => {
         const userId = req.user._id;
 
         // Count notes
-        const totalNotes = await Note.countDocuments({ userId });
+        const totalNotes = await Note.countDocuments({ userId, deletedAt: null });
 
         // Count published
         const totalPublished = await SharedNote.countDocuments({ userId });
 
         // Get tag breakdown
-        const notes = await Note.find({ userId }).select('tags category').lean();
+        const notes = await Note.find({ userId, deletedAt: null }).select('tags category').lean();
         const tagCounts = {};
         const categoryCounts = {};
 
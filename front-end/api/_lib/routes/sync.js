@@ -1,28 +1,81 @@
 const express = require('express');
 const Note = require('../models/Note');
+const NoteRevision = require('../models/NoteRevision');
+const SyncChange = require('../models/SyncChange');
+const Session = require('../models/Session');
+const NoteShare = require('../models/NoteShare');
 const { protect } = require('../middleware/auth');
 
 const router = express.Router();
 
+const PULL_PAGE_SIZE = 100;
+const PULL_PAGE_MAX = 500;
+const PUSH_BATCH_MAX = 100;
+const CLIENT_NOTE_ID_MAX = 100;
+const STREAM_HEARTBEAT_MS = 25000;
+
 // ─────────────────────────────────────────────
-// GET /api/sync — Sync notes updated since lastSync (protected)
+// GET /api/sync — Pull change records after a cursor (protected)
+// Query: cursor (last seq seen, default 0), limit, deviceId
 // ─────────────────────────────────────────────
 router.get('/', protect, async (req, res) => {
     try {
-        const { lastSync } = req.query;
-        const filters = { userId: req.user._id };
+        const userId = req.user._id;
+        const cursor = Math.max(parseInt(req.query.cursor, 10) || 0, 0);
+        const limit = Math.min(parseInt(req.query.limit, 10) || PULL_PAGE_SIZE, PULL_PAGE_MAX);
+        const { deviceId } = req.query;
 
-        if (lastSync) {
-            filters.updatedAt = { $gte: new Date(lastSync) };
-        }
+        await SyncChange.seed(userId);
+        await Note.purgeExpiredTrash(userId);
 
-        const notes = await Note.find(filters)
-            .sort({ updatedAt: -1 })
+        // Stop short of changes whose older neighbours are still being written
+        const settled = await SyncChange.settledSeq(userId);
+        const records = await SyncChange.find({ userId, seq: { $gt: cursor, $lte: settled } })
+            .sort({ seq: 1 })
+            .limit(limit + 1)
             .lean();
 
+        const page = records.slice(0, limit);
+        const hasMore = records.length > limit;
+
+        // Our own pushes come back without a body — the device already has it
+        const upsertIds = page
+            .filter(r => r.op === 'upsert' && !(deviceId && r.origin === deviceId))
+            .map(r => r.noteId);
+        const [notes, shares] = await Promise.all([
+            Note.find({ _id: { $in: upsertIds }, deletedAt: null }).lean(),
+            NoteShare.find({ noteId: { $in: upsertIds }, userId })
+                .populate('ownerId', 'username displayName avatarColor')
+                .lean()
+        ]);
+        const sharesByNote = new Map(shares.map(s => [String(s.noteId), s]));
+
+        // Notes shared with the caller carry who shared them and with what role
+        const notesById = new Map();
+        notes.forEach(n => {
+            const share = sharesByNote.get(String(n._id));
+            if (n.userId.equals(userId)) {
+                notesById.set(String(n._id), n);
+            } else if (share) {
+                notesById.set(String(n._id), { ...n, share: { _id: share._id, role: share.role, owner: share.ownerId } });
+            }
+        });
+
+        const changes = page.map(r => {
+            const change = { seq: r.seq, op: r.op, noteId: r.noteId };
+            if (r.op === 'upsert' && !(deviceId && r.origin === deviceId)) {
+                const note = notesById.get(String(r.noteId));
+                // Trashed, purged or unshared between the record and this read
+                if (!note) return { ...change, op: 'delete' };
+                change.note = note;
+            }
+            return change;
+        });
+
         res.json({
-            notes,
-            syncTime: new Date().toISOString()
+            changes,
+            cursor: page.length > 0 ? page[page.length - 1].seq : cursor,
+            hasMore
         });
     } catch (error) {
         console.error('Sync error:', error);
@@ -30,4 +83,168 @@ router.get('/', protect, async (req, res) => {
     }
 });
 
+// ─────────────────────────────────────────────
+// GET /api/sync/stream — Server-Sent Events feed of the user's changes (protected)
+// Emits `note-changed` with { seq, op, noteIds, origin }; clients pull the bodies.
+// Changes reach it through an in-process emitter, so it needs a long-running
+// server; the serverless app (front-end/api/_lib/app.js) answers 501 instead.
+// The token is only checked on connect, so the stream ends when it expires
+// (the client reconnects with a fresh one) or when its session is signed out.
+// ─────────────────────────────────────────────
+router.get('/stream', protect, (req, res) => {
+    const channel = String(req.user._id);
+    const sessionId = req.authSession._id;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Don't let nginx-style proxies buffer the stream
+    });
+    res.flushHeaders();
+    res.write(': connected\n\n');
+
+    const onChange = (change) => {
+        res.write(`event: note-changed\ndata: ${JSON.stringify(change)}\n\n`);
+    };
+    SyncChange.events.on(channel, onChange);
+
+    const onSessionsEnded = (userId) => {
+        if (userId !== channel) return;
+        Session.findActive(sessionId, req.user._id)
+            .then(active => { if (!active) res.end(); })
+            .catch(error => console.error('Sync stream session check error:', error.message));
+    };
+    Session.events.on('ended', onSessionsEnded);
+
+    // setTimeout can't wait longer than about 24 days
+    const expiresIn = Math.min(Math.max(req.authExpiresAt.getTime() - Date.now(), 0), 2 ** 31 - 1);
+    const expiry = setTimeout(() => res.end(), expiresIn);
+
+    // Comment lines keep idle proxies from timing the connection out
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+    // Fires on a client disconnect and after we end the stream ourselves
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        SyncChange.events.off(channel, onChange);
+        Session.events.off('ended', onSessionsEnded);
+    });
+});
+
+// Apply one pushed change; resolves to its result entry
+const applyChange = async (userId, change, origin) => {
+    const { ref, op, noteId } = change;
+
+    if (op === 'create') {
+        const { clientNoteId } = change;
+        if (clientNoteId !== undefined &&
+            (typeof clientNoteId !== 'string' || !clientNoteId || clientNoteId.length > CLIENT_NOTE_ID_MAX)) {
+            return { ref, status: 'invalid', error: 'clientNoteId must be a short string' };
+        }
+
+        // A create replayed after its response got lost gets the note it made the first time
+        const findCreated = () => Note.findOne({ userId, clientNoteId }).select('_id revision').lean();
+        const existing = clientNoteId && await findCreated();
+        if (existing) return { ref, status: 'ok', note: { _id: existing._id, revision: existing.revision } };
+
+        const fields = {};
+        Note.UPDATABLE_FIELDS.forEach(field => {
+            if (change.note && change.note[field] !== undefined) fields[field] = change.note[field];
+        });
+
+        let note;
+        try {
+            note = await Note.create({ title: 'Untitled', ...fields, userId, ...(clientNoteId && { clientNoteId }) });
+        } catch (error) {
+            // The same create raced in on another request and won
+            const winner = error.code === 11000 && clientNoteId && await findCreated();
+            if (winner) return { ref, status: 'ok', note: { _id: winner._id, revision: winner.revision } };
+            throw error;
+        }
+        await NoteRevision.snapshot(note);
+        await SyncChange.record('upsert', [note._id], origin);
+        return { ref, status: 'ok', note: { _id: note._id, revision: note.revision } };
+    }
+
+    if (op === 'update') {
+        const updates = { deletedAt: null }; // Editing a trashed note brings it back
+        Note.UPDATABLE_FIELDS.forEach(field => {
+            if (change.note && change.note[field] !== undefined) updates[field] = change.note[field];
+        });
+
+        const access = await Note.accessFor(noteId, userId);
+        if (!access) return { ref, status: 'not_found' };
+        if (!Note.EDIT_ROLES.includes(access.role)) {
+            return { ref, status: 'forbidden', error: 'You do not have permission to edit this note' };
+        }
+
+        const { note, current } = await Note.updateIfRevision(
+            { _id: noteId },
+            updates,
+            change.revision === undefined ? null : change.revision
+        );
+        if (current) return { ref, status: 'conflict', note: current };
+        if (!note) return { ref, status: 'not_found' };
+
+        await NoteRevision.snapshot(note);
+        await SyncChange.record('upsert', [note._id], origin);
+        return { ref, status: 'ok', note: { _id: note._id, revision: note.revision } };
+    }
+
+    if (op === 'delete') {
+        const note = await Note.findOneAndUpdate(
+            { _id: noteId, userId, deletedAt: null },
+            { $set: { deletedAt: new Date() }, $inc: { revision: 1 } },
+            { new: true }
+        );
+        if (!note) return { ref, status: 'not_found' };
+
+        await SyncChange.record('delete', [note._id], origin);
+        return { ref, status: 'ok' };
+    }
+
+    return { ref, status: 'invalid', error: `Unknown op "${op}"` };
+};
+
+// ─────────────────────────────────────────────
+// POST /api/sync/push — Apply a batch of local changes in order (protected)
+// Body: { deviceId, changes: [{ ref, op: 'create'|'update'|'delete', noteId, revision, note, clientNoteId }] }
+// clientNoteId (create only): the device's own id for the note; pushing the
+// same create again returns the note made the first time
+// ─────────────────────────────────────────────
+router.post('/push', protect, async (req, res) => {
+    try {
+        const { deviceId, changes } = req.body;
+
+        if (!Array.isArray(changes) || changes.length === 0) {
+            return res.status(400).json({ error: 'Please provide an array of changes' });
+        }
+        if (changes.length > PUSH_BATCH_MAX) {
+            return res.status(400).json({ error: `At most ${PUSH_BATCH_MAX} changes per push` });
+        }
+
+        // One bad change must not sink the rest of the batch
+        const results = [];
+        for (const change of changes) {
+            try {
+                results.push(await applyChange(req.user._id, change, deviceId || null));
+            } catch (error) {
+                if (error.name === 'CastError' || error.name === 'ValidationError') {
+                    results.push({ ref: change.ref, status: 'invalid', error: error.message });
+                } else {
+                    console.error('Sync push change error:', error);
+                    results.push({ ref: change.ref, status: 'error', error: 'Failed to apply change' });
+                }
+            }
+        }
+
+        res.json({ results });
+    } catch (error) {
+        console.error('Sync push error:', error);
+        res.status(500).json({ error: 'Sync push failed' });
+    }
+});
+
 module.exports = router;
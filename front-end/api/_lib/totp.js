@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+// ─────────────────────────────────────────────
+// Time-based one-time passwords (RFC 6238), computed locally: 6 digits,
+// 30-second steps, HMAC-SHA1 — what every authenticator app expects.
+// Secrets travel as base32 (RFC 4648) inside otpauth:// URIs.
+// ─────────────────────────────────────────────
+
+const ISSUER = 'Academic Notebook';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Steps either side of now still accepted, for clock drift and slow typists
+const WINDOW = 1;
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32[(value << (5 - bits)) & 31];
+    return output;
+};
+
+const base32Decode = (text) => {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// 160 random bits, the size RFC 4226 recommends
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP for one counter value
+const codeAt = (secret, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// Check a code → the time step it matched, or null. Steps at or before
+// `lastStep` are refused so a code can't be replayed.
+const verify = (secret, code, lastStep = -1) => {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) return null;
+
+    const now = currentStep();
+    for (let step = now - WINDOW; step <= now + WINDOW; step++) {
+        if (step <= lastStep) continue;
+        const expected = codeAt(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step;
+    }
+    return null;
+};
+
+// otpauth:// URI that authenticator apps import (usually through a QR code)
+const otpauthUrl = (secret, account) => {
+    const label = encodeURIComponent(`${ISSUER}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = { generateSecret, verify, otpauthUrl, codeAt, currentStep };
@@ -10,14 +10,17 @@
  *   AUTH.login(email, password)                 → Promise<{ok, error}>
  *   AUTH.loginAsGuest()                         → {ok}
  *   AUTH.logout()                               → void (redirects to login.html)
+ *   AUTH.logoutAll()                            → Promise<{ok, error}> (redirects on success)
  *   AUTH.getCurrentUser()                       → session object | null
  *   AUTH.isAuthenticated()                      → boolean
  *   AUTH.requireAuth()                          → boolean (redirects if false)
  *   AUTH.getDbName()                            → string  (per-user IndexedDB name)
  *   AUTH.getStorageKey(key)                     → string  (per-user localStorage key)
- *   AUTH.updateDisplayName(name)               → void
+ *   AUTH.updateProfile({displayName, avatarColor}) → Promise<{ok, error}>
+ *   AUTH.updateDisplayName(name)               → Promise<{ok, error}>
  *   AUTH.updatePassword(oldPw, newPw)          → Promise<{ok, error}>
- *   AUTH.deleteAccount()                        → Promise<void>
+ *   AUTH.deleteAccount(proof)                   → Promise<{ok, error}> (redirects on success)
+ *   AUTH.forgetDevice()                         → void (drops local data and signs out)
  */
 
 class AuthManager {
@@ -47,20 +50,56 @@ class AuthManager {
         if (window.api) window.api.auth.logout();
     }
 
+    async logoutAll() {
+        if (!window.api) return { ok: false, error: 'Not connected' };
+        try {
+            await window.api.auth.logoutAll();
+            return { ok: true };
+        } catch (err) {
+            return { ok: false, error: err.message };
+        }
+    }
+
+    async updateProfile(updates) {
+        if (!window.api) return { ok: false, error: 'Not connected' };
+        try {
+            await window.api.auth.updateProfile(updates);
+            return { ok: true };
+        } catch (err) {
+            return { ok: false, error: err.message };
+        }
+    }
+
     async updateDisplayName(name) {
-        if (!name) return;
-        const user = this.getCurrentUser();
-        if (!user) return;
-        user.displayName = name;
-        user.username = name;
-        localStorage.setItem('user', JSON.stringify(user));
+        if (!name) return { ok: false, error: 'Please enter a name' };
+        return this.updateProfile({ displayName: name });
     }
 
     async updatePassword(oldPw, newPw) {
-        return { ok: false, error: 'Password update is not available for this backend.' };
+        if (!window.api) return { ok: false, error: 'Not connected' };
+        try {
+            await window.api.auth.changePassword(oldPw, newPw);
+            return { ok: true };
+        } catch (err) {
+            return { ok: false, error: err.message };
+        }
+    }
+
+    // proof: { password } or { code } — see api.auth.deleteAccount
+    async deleteAccount(proof) {
+        if (!window.api) return { ok: false, error: 'Not connected' };
+        try {
+            await window.api.auth.deleteAccount(proof);
+        } catch (err) {
+            return { ok: false, error: err.message };
+        }
+        this.forgetDevice();
+        return { ok: true };
     }
 
-    async deleteAccount() {
+    // Nothing of a deleted account should stay behind on this device either
+    forgetDevice() {
+        indexedDB.deleteDatabase(this.getDbName());
         this.logout();
     }
 
@@ -99,156 +138,2011 @@ class AuthManager {
                 </text>
             </svg>`;
     }
-}
+}
+
+// ─────────────────────────────────────────────
+//  OAUTH CONFIGURATION — Google only
+// ─────────────────────────────────────────────
+window.OAUTH_CONFIG = {};
+
+// ─────────────────────────────────────────────
+window.AUTH = new AuthManager();
+
+// ─────────────────────────────────────────────
+// REAL-TIME CLOUD SYNC ENGINE
+// ─────────────────────────────────────────────
+// Stable per-browser id so the server doesn't echo our own pushes back to us
+function getSyncDeviceId() {
+    let id = localStorage.getItem('sync_device_id');
+    if (!id) {
+        id = (window.crypto && crypto.randomUUID)
+            ? crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+        localStorage.setItem('sync_device_id', id);
+    }
+    return id;
+}
+
+// Live updates stream (GET /api/sync/stream); polling is only the fallback
+const STREAM_RETRY_BASE_MS = 2000;
+const STREAM_RETRY_MAX_MS = 60 * 1000;
+const STREAM_PULL_DEBOUNCE_MS = 250;
+
+// Per-change push statuses mapped onto the HTTP codes recordOutboxFailure understands
+const PUSH_RESULT_STATUS = { conflict: 409, not_found: 404, forbidden: 403, invalid: 400, error: 500 };
+
+function pushResultError(result) {
+    const fallback = result.status === 'conflict' ? 'Note was changed on another device' : 'Sync push failed';
+    const err = new Error(result.error || fallback);
+    err.status = PUSH_RESULT_STATUS[result.status] || 500;
+    err.data = { note: result.note };
+    return err;
+}
+
+class SyncEngine {
+    constructor() {
+        this.cursor = null; // Last server change seq applied; loaded from IndexedDB on first pull
+        this.deviceId = getSyncDeviceId();
+        this.intervalId = null;
+        this.pollIntervalMs = 5000;
+        this.isEnabled = true;
+        this.draining = null;
+        this.pulling = null;
+        this.retryTimer = null;
+        this.stream = null; // AbortController of the open SSE connection
+        this.streamRetryMs = 0;
+        this.streamUnsupported = false; // The server has no live feed (serverless deployment)
+        this.streamRetryTimer = null;
+        this.pullTimer = null;
+        
+        window.addEventListener('online', () => {
+            this.updateStatus('☁️ Back online, syncing...');
+            this.forceSync();
+            this.connectStream();
+        });
+        
+        window.addEventListener('offline', () => {
+            this.updateStatus('🔴 Offline (Saving locally)');
+        });
+        
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.forceSync();
+            }
+        });
+    }
+
+    // `intervalMs` is the polling period used while the live stream is down
+    start(intervalMs = 5000) {
+        if (!window.api || !window.api.auth.isLoggedIn()) return;
+        this.pollIntervalMs = intervalMs;
+        this.updateStatus('🟢 Synced');
+        this.connectStream();
+    }
+
+    stop() {
+        this.stopPolling();
+        if (this.streamRetryTimer) clearTimeout(this.streamRetryTimer);
+        this.streamRetryTimer = null;
+        if (this.stream) this.stream.abort();
+    }
+
+    startPolling() {
+        if (this.intervalId) return;
+        this.intervalId = setInterval(() => this.performSync(), this.pollIntervalMs);
+    }
+
+    stopPolling() {
+        if (this.intervalId) clearInterval(this.intervalId);
+        this.intervalId = null;
+    }
+
+    // Subscribe to the SSE feed and pull whenever another device changes something.
+    // While the stream is down we poll instead and keep trying to reconnect;
+    // servers without a feed (501) get polled from then on.
+    async connectStream() {
+        if (this.stream || !window.api || !window.api.auth.isLoggedIn()) return;
+        if (this.streamUnsupported) return this.startPolling();
+        if (this.streamRetryTimer) clearTimeout(this.streamRetryTimer);
+        this.streamRetryTimer = null;
+
+        const controller = new AbortController();
+        this.stream = controller;
+        try {
+            await window.api.sync.stream({
+                signal: controller.signal,
+                onOpen: () => {
+                    this.streamRetryMs = 0;
+                    this.stopPolling();
+                    this.performSync(); // Catch up on anything missed while disconnected
+                },
+                onEvent: (event) => this.handleStreamEvent(event)
+            });
+        } catch (err) {
+            if (err.status === 501) this.streamUnsupported = true;
+            else if (!controller.signal.aborted) console.warn('Sync stream unavailable, polling instead:', err.message);
+        } finally {
+            if (this.stream === controller) this.stream = null;
+        }
+        if (controller.signal.aborted) return;
+
+        this.startPolling();
+        if (this.streamUnsupported) return; // No point reconnecting
+        this.streamRetryMs = Math.min(this.streamRetryMs ? this.streamRetryMs * 2 : STREAM_RETRY_BASE_MS, STREAM_RETRY_MAX_MS);
+        this.streamRetryTimer = setTimeout(() => {
+            this.streamRetryTimer = null;
+            this.connectStream();
+        }, this.streamRetryMs);
+    }
+
+    handleStreamEvent({ type, data }) {
+        if (type !== 'note-changed') return;
+        // Our own pushes are already applied locally
+        if (data && data.origin === this.deviceId) return;
+
+        // Coalesce bursts (e.g. a bulk delete) into a single pull
+        if (this.pullTimer) return;
+        this.pullTimer = setTimeout(() => {
+            this.pullTimer = null;
+            this.performSync();
+        }, STREAM_PULL_DEBOUNCE_MS);
+    }
+
+    updateStatus(msg) {
+        const statusEl = document.getElementById('saveStatus');
+        if (statusEl) statusEl.textContent = msg;
+    }
+    
+    forceSync() {
+        if (this.intervalId) {
+            this.stopPolling();
+            this.startPolling();
+        }
+        this.performSync();
+    }
+
+    async performSync() {
+        if (!navigator.onLine || !this.isEnabled || !window.api || !window.api.auth.isLoggedIn()) return;
+
+        // Push local mutations first so we never pull over our own unsynced edits
+        await this.drainOutbox();
+
+        try {
+            if (await this.pullChanges()) {
+                renderSidebar();
+                renderTagCloud();
+            }
+        } catch (err) {
+            console.warn('Background sync failed:', err);
+        }
+    }
+
+    // Page through the server's change records after our cursor. The cursor is
+    // saved after each applied page, so an interrupted pull resumes where it
+    // stopped. Resolves true if any local chapter changed.
+    pullChanges() {
+        if (this.pulling) return this.pulling;
+
+        this.pulling = (async () => {
+            try {
+                if (this.cursor === null) this.cursor = (await getSyncMeta('cursor')) || 0;
+
+                let changed = false;
+                let hasMore = true;
+                while (hasMore) {
+                    const page = await window.api.sync.pull(this.cursor, this.deviceId);
+                    if (await this.applyChanges(page.changes || [])) changed = true;
+                    this.cursor = page.cursor;
+                    await setSyncMeta('cursor', this.cursor);
+                    hasMore = page.hasMore;
+                }
+                return changed;
+            } finally {
+                this.pulling = null;
+            }
+        })();
+        return this.pulling;
+    }
+
+    // Upserts without a note body are our own pushes coming back — nothing to do
+    async applyChanges(changes) {
+        const upserts = changes.filter(c => c.op === 'upsert' && c.note).map(c => c.note);
+        const deletes = changes.filter(c => c.op === 'delete').map(c => ({ _id: c.noteId }));
+
+        const updated = upserts.length > 0 && await this.processIncomingUpdates(upserts);
+        const removed = deletes.length > 0 && await this.processIncomingDeletes(deletes);
+        return updated || removed;
+    }
+
+    // Flush the IndexedDB outbox through /api/sync/push in FIFO batches. A
+    // transient failure (offline, 5xx, 429) backs the head entry off
+    // exponentially and pauses the queue behind it; a rejected change (other
+    // 4xx) is parked for the inspector.
+    drainOutbox() {
+        if (this.draining) return this.draining;
+        if (!navigator.onLine || !window.api || !window.api.auth.isLoggedIn()) {
+            return this.updatePendingStatus();
+        }
+
+        this.draining = (async () => {
+            try {
+                while (await this.pushNextBatch()) {
+                    // Keep going until the queue is empty or blocked
+                }
+            } catch (err) {
+                console.error('Outbox drain failed:', err);
+            } finally {
+                this.draining = null;
+            }
+            if (!(await this.updatePendingStatus())) this.updateStatus('🟢 Synced');
+        })();
+        return this.draining;
+    }
+
+    // Push the next run of ready entries; resolves true if the queue moved on
+    async pushNextBatch() {
+        const ready = [];
+        for (const entry of await getOutboxEntries()) {
+            if (entry.failed) continue;
+            if (entry.nextAttemptAt > Date.now()) {
+                // Order matters: nothing behind a backed-off entry goes first
+                if (ready.length === 0) this.scheduleRetry(entry.nextAttemptAt - Date.now());
+                break;
+            }
+            ready.push(entry);
+        }
+        if (ready.length === 0) return false;
+
+        const batch = [];
+        const changes = [];
+        let bytes = 0;
+        let skipped = false;
+        for (const entry of ready) {
+            const entryChanges = await this.changesForEntry(entry);
+            if (entryChanges.length === 0) {
+                await removeOutboxEntry(entry.seq);
+                skipped = true;
+                continue;
+            }
+            const size = JSON.stringify(entryChanges).length;
+            if (batch.length > 0 &&
+                (changes.length + entryChanges.length > OUTBOX_PUSH_MAX_CHANGES || bytes + size > OUTBOX_PUSH_MAX_BYTES)) {
+                break;
+            }
+            batch.push(entry);
+            changes.push(...entryChanges);
+            bytes += size;
+        }
+        if (batch.length === 0) return skipped;
+
+        this.updateStatus('⏳ Saving to cloud...');
+        batch.forEach(entry => outboxInFlight.add(entry.seq));
+        try {
+            let response;
+            try {
+                response = await window.api.sync.push(changes, this.deviceId);
+            } catch (err) {
+                // The whole request failed — back off from the head of the queue
+                await this.recordOutboxFailure(batch[0], err);
+                return false;
+            }
+
+            const resultsByRef = new Map();
+            (response.results || []).forEach(result => {
+                if (!resultsByRef.has(result.ref)) resultsByRef.set(result.ref, []);
+                resultsByRef.get(result.ref).push(result);
+            });
+
+            let moved = true;
+            for (const entry of batch) {
+                if (!(await this.settleOutboxEntry(entry, resultsByRef.get(entry.seq) || []))) moved = false;
+            }
+            return moved;
+        } finally {
+            batch.forEach(entry => outboxInFlight.delete(entry.seq));
+        }
+    }
+
+    // Translate an outbox entry into push changes (none if there is nothing to send).
+    // Saves read the chapter now, so merged entries push its latest state.
+    async changesForEntry(entry) {
+        const ref = entry.seq;
+        if (entry.op === 'bulk-delete') {
+            return entry.noteIds.map(noteId => ({ ref, op: 'delete', noteId }));
+        }
+        if (entry.op === 'delete') {
+            // Never reached the server
+            return entry.noteId ? [{ ref, op: 'delete', noteId: entry.noteId }] : [];
+        }
+
+        const chapter = await getLocalChapter(entry.chapterId);
+        if (!chapter) return []; // Deleted locally before it was pushed
+
+        const note = {
+            title: chapter.title,
+            content: chapter.content || '',
+            tags: chapter.tags,
+            frontEndData: chapter
+        };
+        return chapter._id
+            ? [{ ref, op: 'update', noteId: chapter._id, revision: chapter.revision || 0, note }]
+            // The chapter id makes a retried create idempotent on the server
+            : [{ ref, op: 'create', clientNoteId: chapter.id, note }];
+    }
+
+    // Apply the push results for one entry; resolves false if it has to wait
+    async settleOutboxEntry(entry, results) {
+        const isDelete = entry.op === 'delete' || entry.op === 'bulk-delete';
+        const failure = results.length === 0
+            ? { status: 'error', error: 'No result for change' }
+            // Already gone on the server is as good as deleted
+            : results.find(r => r.status !== 'ok' && !(isDelete && r.status === 'not_found'));
+
+        if (!failure) {
+            const saved = results.find(r => r.note);
+            if (!isDelete && saved) {
+                const stillLocal = await this.recordServerRevision(entry.chapterId, saved.note);
+                // Deleted locally while the create was in flight
+                if (!stillLocal) await enqueueOutbox({ op: 'delete', chapterId: entry.chapterId, noteId: saved.note._id });
+            }
+            await removeOutboxEntry(entry.seq);
+            return true;
+        }
+
+        if (failure.status === 'not_found') {
+            const chapter = await getLocalChapter(entry.chapterId);
+            if (chapter && chapter.share) {
+                // Someone else's note that is no longer shared with us (or is gone): not ours to recreate
+                await removeOutboxEntry(entry.seq);
+                if (await this.processIncomingDeletes([{ _id: chapter._id }])) renderSidebar();
+                return true;
+            }
+            // Our own note, purged on another device — forget the server id so the next batch recreates it from our copy
+            await this.recordServerRevision(entry.chapterId, { _id: null, revision: 0 });
+            return true;
+        }
+
+        await this.recordOutboxFailure(entry, pushResultError(failure));
+        return false;
+    }
+
+    async recordOutboxFailure(entry, err) {
+        const attempts = (entry.attempts || 0) + 1;
+
+        // The live session saved in between; its content is authoritative, so rebase and retry
+        if (err.status === 409 && window.COLLAB && window.COLLAB.isActive(entry.chapterId) && err.data && err.data.note) {
+            await this.recordServerRevision(entry.chapterId, err.data.note);
+            return;
+        }
+
+        // Someone else saved a newer revision: park the entry until the user merges
+        if (err.status === 409) {
+            await patchOutboxEntry(entry.seq, {
+                attempts,
+                lastError: err.message || 'Conflicting edit',
+                failed: true,
+                conflict: true,
+                nextAttemptAt: 0
+            });
+            openConflictDialog(entry.chapterId, err.data && err.data.note);
+            return;
+        }
+
+        console.error('Failed to push local change to API:', err);
+        const rejected = err.status >= 400 && err.status < 500 && err.status !== 408 && err.status !== 429;
+        const delay = Math.min(OUTBOX_BACKOFF_BASE_MS * 2 ** (attempts - 1), OUTBOX_BACKOFF_MAX_MS);
+        const jittered = Math.round(delay * (0.8 + Math.random() * 0.4));
+
+        await patchOutboxEntry(entry.seq, {
+            attempts,
+            lastError: err.message || 'Unknown error',
+            failed: rejected,
+            nextAttemptAt: rejected ? 0 : Date.now() + jittered
+        });
+        if (!rejected) this.scheduleRetry(jittered);
+    }
+
+    scheduleRetry(delayMs) {
+        if (this.retryTimer) clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.drainOutbox();
+        }, Math.max(delayMs, 0));
+    }
+
+    // Shows the number of queued changes in #saveStatus; returns that number
+    async updatePendingStatus() {
+        let entries;
+        try {
+            entries = await getOutboxEntries();
+        } catch (err) {
+            return 0;
+        }
+        const count = entries.length;
+        if (count === 0) return 0;
+
+        const plural = count === 1 ? 'change' : 'changes';
+        const parked = entries.filter(e => e.failed).length;
+        if (!window.api || !window.api.auth.isLoggedIn()) {
+            this.updateStatus(`💾 Saved locally (${count} ${plural} pending)`);
+        } else if (!navigator.onLine) {
+            this.updateStatus(`🔴 Offline · ${count} ${plural} pending`);
+        } else if (parked > 0) {
+            this.updateStatus(`⚠️ ${count} ${plural} pending · ${parked} need attention`);
+        } else if (entries.some(e => e.attempts > 0)) {
+            this.updateStatus(`🔴 Sync failed · ${count} ${plural} pending - Will retry`);
+        } else {
+            this.updateStatus(`⏳ ${count} ${plural} pending`);
+        }
+        return count;
+    }
+
+    // Remember which server note/revision our local copy is based on
+    async recordServerRevision(chapterId, note) {
+        const patch = { _id: note._id, revision: note.revision || 0 };
+        const stillLocal = await patchLocalChapter(chapterId, patch);
+        const live = chapters.find(c => c.id === chapterId);
+        if (live) Object.assign(live, patch);
+        return stillLocal;
+    }
+
+    async processIncomingUpdates(incomingNotes) {
+        let needsSidebarRender = false;
+        const pending = new Set((await getOutboxEntries()).map(e => e.chapterId));
+
+        for (const serverNote of incomingNotes) {
+            const incomingData = chapterFromNote(serverNote);
+            const existingIndex = chapters.findIndex(c => c._id === serverNote._id || c.id === serverNote._id);
+            
+            if (existingIndex === -1) {
+                // New note from another device
+                chapters.push(incomingData);
+                await putLocalChapter(incomingData);
+                needsSidebarRender = true;
+            } else {
+                const existing = chapters[existingIndex];
+                // Role changes on a shared note arrive without a new revision
+                if (existing.share && serverNote.share && existing.share.role !== serverNote.share.role) {
+                    existing.share = serverNote.share;
+                    await putLocalChapter(existing);
+                    needsSidebarRender = true;
+                    if (existing.id === currentId) executeLoadChapterLogic(existing, existing.id);
+                }
+                // The live session already has this content — just track the revision
+                if (window.COLLAB && window.COLLAB.isActive(existing.id)) {
+                    await this.recordServerRevision(existing.id, serverNote);
+                    continue;
+                }
+                // Local edits still waiting in the outbox win until they are pushed
+                if (pending.has(existing.id)) continue;
+
+                // ONLY update if the server revision is strictly newer than our base
+                if ((incomingData.revision || 0) <= (existing.revision || 0)) continue;
+                incomingData.id = existing.id;
+
+                // Don't pull the rug out from under the user — let them merge instead
+                if (incomingData.id === currentId && this.isEditingChapter(existing.id)) {
+                    this.showConflictBanner(existing.id, serverNote);
+                    continue;
+                }
+
+                chapters[existingIndex] = incomingData;
+                await putLocalChapter(incomingData);
+                needsSidebarRender = true;
+
+                // If the updated note is CURRENTLY open on screen
+                if (incomingData.id === currentId) {
+                    this.handleActiveDocumentUpdate(incomingData);
+                }
+            }
+        }
+
+        return needsSidebarRender;
+    }
+    
+    // Tombstones: notes trashed on another device disappear here too
+    async processIncomingDeletes(tombstones) {
+        const pending = new Set((await getOutboxEntries()).map(e => e.chapterId));
+        let removedCurrent = null;
+        let removedAny = false;
+
+        for (const tombstone of tombstones) {
+            const idx = chapters.findIndex(c => c._id === tombstone._id || c.id === tombstone._id);
+            if (idx === -1) continue;
+            const chapter = chapters[idx];
+            // Unpushed local edits win; pushing them re-creates the note
+            if (pending.has(chapter.id)) continue;
+
+            chapters.splice(idx, 1);
+            await idbRequest(STORE_NAME, 'readwrite', store => store.delete(chapter.id));
+            if (chapter.id === currentId) removedCurrent = chapter;
+            removedAny = true;
+        }
+
+        if (removedCurrent) {
+            if (chapters.length > 0) loadChapter(chapters[0].id);
+            else createNewChapter();
+            showToast(removedCurrent.share
+                ? '👥 This page is no longer shared with you'
+                : '🗑 This page was moved to the trash on another device');
+        }
+        return removedAny;
+    }
+
+    getContentArea(chapterId) {
+        return document.querySelector(`.content-area[data-chapter-id="${chapterId}"]`) || document.querySelector('.content-area');
+    }
+
+    // Check if user is actively typing in the chapter's editor
+    isEditingChapter(chapterId) {
+        const contentArea = this.getContentArea(chapterId);
+        return !!(contentArea && document.activeElement && contentArea.contains(document.activeElement));
+    }
+
+    handleActiveDocumentUpdate(newData) {
+        const contentArea = this.getContentArea(newData.id);
+        if (!contentArea) return;
+
+        // Safe to hot-swap content
+        contentArea.innerHTML = newData.content || '<p>Start typing...</p>';
+        const titleEl = document.getElementById('pageTitle');
+        if (titleEl) titleEl.value = newData.title || 'Untitled';
+
+        // Brief visual flash
+        contentArea.style.transition = 'background 0.3s';
+        contentArea.style.background = 'rgba(46, 204, 113, 0.15)';
+        setTimeout(() => contentArea.style.background = 'transparent', 300);
+
+        this.updateStatus('✨ Remote changes applied');
+        setTimeout(() => this.updateStatus('🟢 Synced'), 3000);
+    }
+
+    // Unobtrusive banner (avoid Edit Wars) — the user opens the merge dialog when ready
+    showConflictBanner(chapterId, serverNote) {
+        let banner = document.getElementById('syncConflictBanner');
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'syncConflictBanner';
+            banner.style.cssText = 'position:fixed; top:20px; left:50%; transform:translateX(-50%); background:var(--primary); color:white; padding:10px 20px; border-radius:20px; box-shadow:0 4px 15px rgba(0,0,0,0.2); z-index:9999; display:flex; gap:15px; align-items:center; animation: popIn 0.3s ease-out;';
+            banner.innerHTML = `
+                <span>✨ Note updated remotely.</span>
+                <button class="sync-review-btn" style="background:white; color:var(--primary); border:none; padding:4px 10px; border-radius:12px; cursor:pointer; font-weight:bold;">Review &amp; merge</button>
+                <button onclick="this.parentElement.remove()" style="background:transparent; color:white; border:1px solid white; padding:4px 10px; border-radius:12px; cursor:pointer;">Ignore</button>
+            `;
+            document.body.appendChild(banner);
+        }
+        // Always point the button at the latest remote copy
+        banner.querySelector('.sync-review-btn').onclick = () => {
+            banner.remove();
+            openConflictDialog(chapterId, serverNote);
+        };
+    }
+}
+
+window.SYNC_ENGINE = new SyncEngine();
+window.SYNC_ENGINE.start(5000);
+
+// ─────────────────────────────────────────────
+// OUTBOX INSPECTOR — pending cloud changes (opened from #saveStatus)
+// ─────────────────────────────────────────────
+const OUTBOX_OP_LABELS = {
+    create: '➕ Create',
+    update: '✏️ Update',
+    delete: '🗑 Delete',
+    'bulk-delete': '🗑 Delete all'
+};
+
+async function openOutboxInspector() {
+    let pane = document.getElementById('outboxInspector');
+    if (!pane) {
+        pane = document.createElement('div');
+        pane.id = 'outboxInspector';
+        pane.className = 'floating-pane';
+        pane.style.cssText = 'display:block; width:340px; max-height:70vh; overflow-y:auto; z-index:3000; bottom:60px; right:20px;';
+        document.body.appendChild(pane);
+    }
+
+    const entries = await getOutboxEntries();
+    const rows = entries.map(e => {
+        const chapter = e.chapterId ? chapters.find(c => c.id === e.chapterId) : null;
+        const target = e.op === 'bulk-delete'
+            ? `${(e.noteIds || []).length} note(s)`
+            : libEscHtml(chapter ? chapter.title : 'Deleted page');
+        const state = e.conflict
+            ? '<span style="color:#e74c3c;">Conflicts with a newer cloud version</span>'
+            : e.failed
+            ? `<span style="color:#e74c3c;">Rejected: ${libEscHtml(e.lastError)}</span>`
+            : e.attempts > 0
+                ? `<span style="color:#e67e22;">Attempt ${e.attempts} failed · retry at ${new Date(e.nextAttemptAt).toLocaleTimeString()}</span>`
+                : '<span style="color:#7f8c8d;">Waiting</span>';
+        return `
+            <div style="border-top:1px dashed #ddd; padding:8px 0; font-size:0.8rem;">
+                <div><strong>${OUTBOX_OP_LABELS[e.op] || e.op}</strong> · ${target}
+                    ${e.mergedCount ? `<span style="color:#7f8c8d;">(+${e.mergedCount} merged)</span>` : ''}</div>
+                <div style="color:#7f8c8d;">Queued ${new Date(e.queuedAt).toLocaleString()}</div>
+                <div>${state}</div>
+                <div style="display:flex; gap:6px; margin-top:4px;">
+                    ${e.conflict
+                        ? `<button class="tool-btn" style="width:auto; padding:2px 10px; font-size:0.75rem;"
+                            onclick="openConflictDialog('${e.chapterId}')">⇄ Resolve</button>`
+                        : `<button class="tool-btn" style="width:auto; padding:2px 10px; font-size:0.75rem;"
+                            onclick="retryOutboxEntry(${e.seq})">↻ Retry</button>`}
+                    <button class="tool-btn btn-danger" style="width:auto; padding:2px 10px; font-size:0.75rem;"
+                            onclick="discardOutboxEntry(${e.seq})">Discard</button>
+                </div>
+            </div>`;
+    }).join('');
+
+    pane.innerHTML = `
+        <h3 style="margin-bottom:10px; font-family:'Caveat',cursive; font-size:1.3rem;">☁️ Pending Changes</h3>
+        ${entries.length === 0
+            ? '<p style="font-size:0.85rem; color:#7f8c8d;">Everything is synced.</p>'
+            : rows}
+        <div style="display:flex; gap:6px; margin-top:10px;">
+            ${entries.length > 0 ? `<button class="tool-btn" style="background:var(--save-color); color:white; justify-content:center;"
+                    onclick="retryOutboxEntry()">↻ Retry all</button>` : ''}
+            <button class="tool-btn" style="background:#eee; justify-content:center;"
+                    onclick="document.getElementById('outboxInspector').remove()">Close</button>
+        </div>`;
+}
+window.openOutboxInspector = openOutboxInspector;
+
+// Retry one entry (or every entry when seq is omitted) right away
+async function retryOutboxEntry(seq) {
+    const entries = await getOutboxEntries();
+    for (const e of entries) {
+        if (e.conflict) continue; // Only the merge dialog can settle a conflict
+        if (seq === undefined || e.seq === seq) {
+            await patchOutboxEntry(e.seq, { failed: false, nextAttemptAt: 0 });
+        }
+    }
+    await window.SYNC_ENGINE.drainOutbox();
+    openOutboxInspector();
+}
+window.retryOutboxEntry = retryOutboxEntry;
+
+async function discardOutboxEntry(seq) {
+    if (!confirm('Discard this change? It will not be sent to the cloud.')) return;
+    await removeOutboxEntry(seq);
+    if (!(await window.SYNC_ENGINE.updatePendingStatus())) window.SYNC_ENGINE.updateStatus('🟢 Synced');
+    openOutboxInspector();
+}
+window.discardOutboxEntry = discardOutboxEntry;
+
+// ─────────────────────────────────────────────
+// SEQUENCE DIFF — LCS over arrays of strings (blocks or words)
+// ─────────────────────────────────────────────
+const DIFF_MAX_CELLS = 4000000; // Beyond this the changed middle is shown as one replacement
+
+// Returns [{ type: 'same'|'del'|'add', value }] turning `a` into `b`
+function diffSequences(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length, endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const head = a.slice(0, start).map(value => ({ type: 'same', value }));
+    const tail = a.slice(endA).map(value => ({ type: 'same', value }));
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+
+    if (midA.length * midB.length > DIFF_MAX_CELLS) {
+        return head
+            .concat(midA.map(value => ({ type: 'del', value })))
+            .concat(midB.map(value => ({ type: 'add', value })))
+            .concat(tail);
+    }
+
+    const n = midA.length, m = midB.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+        if (midA[i] === midB[j]) { ops.push({ type: 'same', value: midA[i] }); i++; j++; }
+        else if (lcs[i + 1][j] >= lcs[i][j + 1]) ops.push({ type: 'del', value: midA[i++] });
+        else ops.push({ type: 'add', value: midB[j++] });
+    }
+    while (i < n) ops.push({ type: 'del', value: midA[i++] });
+    while (j < m) ops.push({ type: 'add', value: midB[j++] });
+
+    return head.concat(ops, tail);
+}
+
+// Split editor HTML into top-level block strings so diffs line up with paragraphs
+function splitHtmlBlocks(html) {
+    const tmp = document.createElement('div');
+    tmp.innerHTML = html || '';
+    const blocks = [];
+    tmp.childNodes.forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            if (node.textContent.trim()) blocks.push(libEscHtml(node.textContent));
+        } else if (node.nodeType === Node.ELEMENT_NODE) {
+            blocks.push(node.outerHTML);
+        }
+    });
+    return blocks;
+}
+
+function htmlToPlainText(html) {
+    const tmp = document.createElement('div');
+    tmp.innerHTML = html || '';
+    return tmp.textContent || '';
+}
+
+// ─────────────────────────────────────────────
+// CONFLICT MERGE DIALOG — local edits vs. a newer cloud revision
+// ─────────────────────────────────────────────
+let _conflictState = null;
+
+async function openConflictDialog(chapterId, serverNote) {
+    const local = chapters.find(c => c.id === chapterId) || await getLocalChapter(chapterId);
+    if (!local) return;
+
+    if (!serverNote && local._id) {
+        try {
+            serverNote = (await window.api.notes.getOne(local._id)).note;
+        } catch (err) {
+            showToast('❌ Could not load the cloud version: ' + err.message);
+            return;
+        }
+    }
+    if (!serverNote) return;
+
+    // Pick up the user's latest unsaved keystrokes for the open page
+    const contentArea = chapterId === currentId ? window.SYNC_ENGINE.getContentArea(chapterId) : null;
+    const mineHtml = contentArea ? contentArea.innerHTML : (local.content || '');
+
+    // Group consecutive add/del ops into hunks the user can decide on
+    const hunks = [];
+    diffSequences(splitHtmlBlocks(serverNote.content), splitHtmlBlocks(mineHtml)).forEach(op => {
+        if (op.type === 'same') {
+            hunks.push({ type: 'same', blocks: [op.value] });
+            return;
+        }
+        let hunk = hunks[hunks.length - 1];
+        if (!hunk || hunk.type !== 'change') {
+            hunk = { type: 'change', theirs: [], mine: [], choice: 'mine' };
+            hunks.push(hunk);
+        }
+        (op.type === 'del' ? hunk.theirs : hunk.mine).push(op.value);
+    });
+
+    _conflictState = { chapterId, serverNote, local, mineHtml, hunks, titleChoice: 'mine' };
+    renderConflictDialog();
+}
+window.openConflictDialog = openConflictDialog;
+
+function renderConflictDialog() {
+    const state = _conflictState;
+    if (!state) return;
+
+    let pane = document.getElementById('conflictDialog');
+    if (!pane) {
+        pane = document.createElement('div');
+        pane.id = 'conflictDialog';
+        pane.className = 'floating-pane';
+        pane.style.cssText = 'display:flex; width:min(760px, 94vw); max-height:85vh; overflow-y:auto; z-index:3100;';
+        document.body.appendChild(pane);
+    }
+
+    const mineTitle = state.local.title || 'Untitled';
+    const theirsTitle = state.serverNote.title || 'Untitled';
+    const changeCount = state.hunks.filter(h => h.type === 'change').length;
+    const blockText = (blocks) => libEscHtml(blocks.map(htmlToPlainText).join('\n').trim() || '(empty)');
+
+    const titleRow = mineTitle !== theirsTitle ? `
+        <div style="font-size:0.85rem; margin-bottom:8px;">
+            <strong>Title:</strong>
+            <label><input type="radio" name="conflictTitle" ${state.titleChoice === 'mine' ? 'checked' : ''}
+                onchange="setConflictTitleChoice('mine')"> Mine: “${libEscHtml(mineTitle)}”</label>
+            <label style="margin-left:10px;"><input type="radio" name="conflictTitle" ${state.titleChoice === 'theirs' ? 'checked' : ''}
+                onchange="setConflictTitleChoice('theirs')"> Cloud: “${libEscHtml(theirsTitle)}”</label>
+        </div>` : '';
+
+    const hunksHtml = state.hunks.map((hunk, idx) => {
+        if (hunk.type === 'same') {
+            return `<div style="font-size:0.8rem; color:#7f8c8d; white-space:pre-wrap; padding:2px 6px;">${blockText(hunk.blocks)}</div>`;
+        }
+        const option = (value, label) => `
+            <label style="margin-right:10px;"><input type="radio" name="conflictHunk${idx}" ${hunk.choice === value ? 'checked' : ''}
+                onchange="setConflictHunkChoice(${idx}, '${value}')"> ${label}</label>`;
+        return `
+            <div style="border:1px solid #ddd; border-radius:8px; margin:6px 0; overflow:hidden; font-size:0.8rem;">
+                ${hunk.theirs.length ? `<div style="background:rgba(231,76,60,0.12); padding:4px 6px; white-space:pre-wrap;"><strong>☁️ Cloud</strong>\n${blockText(hunk.theirs)}</div>` : ''}
+                ${hunk.mine.length ? `<div style="background:rgba(46,204,113,0.15); padding:4px 6px; white-space:pre-wrap;"><strong>✏️ Mine</strong>\n${blockText(hunk.mine)}</div>` : ''}
+                <div style="padding:4px 6px; background:rgba(0,0,0,0.03);">
+                    ${option('mine', 'Keep mine')}${option('theirs', 'Keep cloud')}${option('both', 'Keep both')}
+                </div>
+            </div>`;
+    }).join('');
+
+    pane.innerHTML = `
+        <h3 style="font-family:'Caveat',cursive; font-size:1.4rem;">⇄ Resolve conflicting edits</h3>
+        <p style="font-size:0.85rem; color:#7f8c8d;">
+            “${libEscHtml(mineTitle)}” was changed on another device (cloud revision ${state.serverNote.revision || 0})
+            while you were editing. ${changeCount} differing section${changeCount !== 1 ? 's' : ''}.
+        </p>
+        ${titleRow}
+        <div>${hunksHtml}</div>
+        <div style="display:flex; gap:6px; flex-wrap:wrap;">
+            <button class="tool-btn" style="width:auto; background:var(--save-color); color:white;"
+                    onclick="resolveConflict('merge')">✓ Save merged version</button>
+            <button class="tool-btn" style="width:auto;" onclick="resolveConflict('mine')">Keep all mine</button>
+            <button class="tool-btn" style="width:auto;" onclick="resolveConflict('theirs')">Use cloud version</button>
+            <button class="tool-btn" style="width:auto; background:#eee;" onclick="closeConflictDialog()">Decide later</button>
+        </div>`;
+}
+
+window.setConflictHunkChoice = (idx, choice) => {
+    if (_conflictState) _conflictState.hunks[idx].choice = choice;
+};
+window.setConflictTitleChoice = (choice) => {
+    if (_conflictState) _conflictState.titleChoice = choice;
+};
+
+function closeConflictDialog() {
+    const pane = document.getElementById('conflictDialog');
+    if (pane) pane.remove();
+    _conflictState = null;
+}
+window.closeConflictDialog = closeConflictDialog;
+
+async function resolveConflict(mode) {
+    const state = _conflictState;
+    if (!state) return;
+    const { chapterId, serverNote } = state;
+    const chapter = chapters.find(c => c.id === chapterId);
+    if (!chapter) { closeConflictDialog(); return; }
+
+    const conflicted = (await getOutboxEntries()).filter(e => e.chapterId === chapterId);
+
+    if (mode === 'theirs') {
+        // Drop our queued edits and adopt the cloud copy
+        for (const e of conflicted) await removeOutboxEntry(e.seq);
+        const incoming = chapterFromNote(serverNote);
+        incoming.id = chapterId;
+        chapters[chapters.indexOf(chapter)] = incoming;
+        await putLocalChapter(incoming);
+    } else {
+        if (mode === 'merge') {
+            chapter.content = state.hunks.map(h => {
+                if (h.type === 'same') return h.blocks.join('');
+                if (h.choice === 'theirs') return h.theirs.join('');
+                if (h.choice === 'both') return h.theirs.join('') + h.mine.join('');
+                return h.mine.join('');
+            }).join('');
+            chapter.title = state.titleChoice === 'theirs' ? serverNote.title : chapter.title;
+        } else {
+            chapter.content = state.mineHtml;
+        }
+        // Rebase onto the cloud revision so the next push is accepted
+        chapter.revision = serverNote.revision || 0;
+        chapter.lastEdited = new Date().toISOString();
+        for (const e of conflicted) {
+            if (e.conflict) await removeOutboxEntry(e.seq);
+        }
+        await saveChapterToDB(chapter);
+    }
+
+    closeConflictDialog();
+    if (chapterId === currentId) {
+        executeLoadChapterLogic(chapters.find(c => c.id === chapterId), chapterId);
+    } else {
+        renderSidebar();
+    }
+    if (!(await window.SYNC_ENGINE.updatePendingStatus())) window.SYNC_ENGINE.updateStatus('🟢 Synced');
+    showToast(mode === 'theirs' ? '☁️ Cloud version restored' : '✓ Merged version saved');
+}
+window.resolveConflict = resolveConflict;
+
+// ─────────────────────────────────────────────
+// VERSION HISTORY PANEL — saved revisions of the open chapter
+// ─────────────────────────────────────────────
+let _historyState = null;
+
+async function openHistoryPanel() {
+    const chapter = chapters.find(c => c.id === currentId);
+    if (!chapter) return;
+
+    let pane = document.getElementById('historyPanel');
+    if (!pane) {
+        pane = document.createElement('div');
+        pane.id = 'historyPanel';
+        pane.className = 'floating-pane';
+        pane.style.cssText = 'display:flex; width:380px; max-height:85vh; overflow-y:auto; z-index:3000; top:50%; left:auto; right:20px; transform:translateY(-50%);';
+        document.body.appendChild(pane);
+    }
+    pane.innerHTML = `<h3 style="font-family:'Caveat',cursive; font-size:1.3rem;">🕓 Version History</h3>
+        <p style="font-size:0.85rem; color:#7f8c8d;">Loading…</p>`;
+
+    if (!window.api || !window.api.auth.isLoggedIn()) {
+        renderHistoryMessage('Sign in to keep a version history of your notes.');
+        return;
+    }
+
+    // Push pending edits first so the newest version is part of the history
+    await window.SYNC_ENGINE.drainOutbox();
+    const synced = await getLocalChapter(chapter.id);
+    if (!synced || !synced._id) {
+        renderHistoryMessage('This page has not been saved to the cloud yet.');
+        return;
+    }
+
+    try {
+        const data = await window.api.notes.getRevisions(synced._id);
+        const revisions = data.revisions || [];
+        _historyState = {
+            chapterId: chapter.id,
+            noteId: synced._id,
+            revisions,
+            cache: new Map(),
+            left: revisions[1] ? revisions[1]._id : (revisions[0] && revisions[0]._id),
+            right: revisions[0] && revisions[0]._id
+        };
+        await renderHistoryPanel();
+    } catch (err) {
+        renderHistoryMessage('❌ Could not load history: ' + libEscHtml(err.message));
+    }
+}
+window.openHistoryPanel = openHistoryPanel;
+
+function renderHistoryMessage(msg) {
+    const pane = document.getElementById('historyPanel');
+    if (!pane) return;
+    pane.innerHTML = `<h3 style="font-family:'Caveat',cursive; font-size:1.3rem;">🕓 Version History</h3>
+        <p style="font-size:0.85rem; color:#7f8c8d;">${msg}</p>
+        <button class="tool-btn" style="background:#eee; justify-content:center;" onclick="closeHistoryPanel()">Close</button>`;
+}
+
+async function getHistoryRevision(revisionId) {
+    const state = _historyState;
+    if (!state.cache.has(revisionId)) {
+        const data = await window.api.notes.getRevision(state.noteId, revisionId);
+        state.cache.set(revisionId, data.revision);
+    }
+    return state.cache.get(revisionId);
+}
+
+// Plain text of a snapshot: title plus every page's content
+function revisionToText(revision) {
+    const parts = [revision.title || 'Untitled', htmlToPlainText(revision.content)];
+    (revision.sections || []).forEach(sec => parts.push(sec.title || '', htmlToPlainText(sec.content)));
+    return parts.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function renderWordDiff(oldText, newText) {
+    // Keep whitespace as its own token so the output reads like the original
+    const tokenize = (text) => text.split(/(\s+)/).filter(Boolean);
+    return diffSequences(tokenize(oldText), tokenize(newText)).map(op => {
+        const text = libEscHtml(op.value);
+        if (op.type === 'del') return `<del style="background:rgba(231,76,60,0.18); color:#c0392b;">${text}</del>`;
+        if (op.type === 'add') return `<ins style="background:rgba(46,204,113,0.2); color:#1e8449; text-decoration:none;">${text}</ins>`;
+        return text;
+    }).join('');
+}
+
+async function renderHistoryPanel() {
+    const state = _historyState;
+    const pane = document.getElementById('historyPanel');
+    if (!state || !pane) return;
+
+    if (state.revisions.length === 0) {
+        renderHistoryMessage('No saved versions yet.');
+        return;
+    }
+
+    const rows = state.revisions.map((rev, idx) => `
+        <div style="display:flex; align-items:center; gap:6px; font-size:0.8rem; padding:4px 0; border-top:1px dashed #ddd;">
+            <input type="radio" name="historyLeft" title="Compare from" ${state.left === rev._id ? 'checked' : ''}
+                   onchange="selectHistoryRevision('left', '${rev._id}')">
+            <input type="radio" name="historyRight" title="Compare to" ${state.right === rev._id ? 'checked' : ''}
+                   onchange="selectHistoryRevision('right', '${rev._id}')">
+            <div style="flex:1;">
+                <div>${new Date(rev.updatedAt || rev.createdAt).toLocaleString()}${idx === 0 ? ' <strong>(current)</strong>' : ''}</div>
+                <div style="color:#7f8c8d;">r${rev.revision} · ${libEscHtml(rev.title)}</div>
+            </div>
+            ${idx > 0 ? `<button class="tool-btn" style="width:auto; padding:2px 8px; font-size:0.75rem;"
+                    onclick="restoreHistoryRevision('${rev._id}')">Restore</button>` : ''}
+        </div>`).join('');
+
+    let diffHtml = '';
+    try {
+        const [left, right] = await Promise.all([
+            getHistoryRevision(state.left),
+            getHistoryRevision(state.right)
+        ]);
+        diffHtml = left._id === right._id
+            ? libEscHtml(revisionToText(right))
+            : renderWordDiff(revisionToText(left), revisionToText(right));
+    } catch (err) {
+        diffHtml = '❌ ' + libEscHtml(err.message);
+    }
+
+    pane.innerHTML = `
+        <h3 style="font-family:'Caveat',cursive; font-size:1.3rem;">🕓 Version History</h3>
+        <p style="font-size:0.75rem; color:#7f8c8d;">Pick two versions (from ◉ / to ◉) to compare.</p>
+        <div>${rows}</div>
+        <div style="font-size:0.85rem; line-height:1.5; white-space:pre-wrap; max-height:40vh; overflow-y:auto;
+                    border:1px solid #ddd; border-radius:8px; padding:8px; background:rgba(255,255,255,0.6);">${diffHtml}</div>
+        <button class="tool-btn" style="background:#eee; justify-content:center;" onclick="closeHistoryPanel()">Close</button>`;
+}
+
+window.selectHistoryRevision = (side, revisionId) => {
+    if (!_historyState) return;
+    _historyState[side] = revisionId;
+    renderHistoryPanel();
+};
+
+async function restoreHistoryRevision(revisionId) {
+    const state = _historyState;
+    if (!state) return;
+    if (!confirm('Restore this version? Your current text stays in the history.')) return;
+
+    try {
+        const data = await window.api.notes.restoreRevision(state.noteId, revisionId);
+        const restored = chapterFromNote(data.note);
+        restored.id = state.chapterId;
+        const idx = chapters.findIndex(c => c.id === state.chapterId);
+        if (idx !== -1) chapters[idx] = restored;
+        await putLocalChapter(restored);
+
+        if (state.chapterId === currentId) executeLoadChapterLogic(restored, restored.id);
+        showToast('🕓 Version restored');
+        openHistoryPanel();
+    } catch (err) {
+        showToast('❌ Restore failed: ' + err.message);
+    }
+}
+window.restoreHistoryRevision = restoreHistoryRevision;
+
+function closeHistoryPanel() {
+    const pane = document.getElementById('historyPanel');
+    if (pane) pane.remove();
+    _historyState = null;
+}
+window.closeHistoryPanel = closeHistoryPanel;
+
+// ─────────────────────────────────────────────
+// TRASH — soft-deleted notes (sidebar section)
+// ─────────────────────────────────────────────
+function toggleTrashSection() {
+    toggleSection('trashContent', 'trashArrow', 'trashSectionWrapper');
+    if (!document.getElementById('trashContent').classList.contains('collapsed')) renderTrashSection();
+}
+window.toggleTrashSection = toggleTrashSection;
+
+async function renderTrashSection() {
+    const list = document.getElementById('trashList');
+    if (!list) return;
+
+    if (!window.api || !window.api.auth.isLoggedIn()) {
+        list.innerHTML = '<li style="font-size:0.75rem; opacity:0.7; padding:8px;">Sign in to use the trash.</li>';
+        return;
+    }
+
+    list.innerHTML = '<li style="font-size:0.75rem; opacity:0.7; padding:8px;">Loading…</li>';
+    // Make sure our own queued deletes have landed before listing
+    await window.SYNC_ENGINE.drainOutbox();
+
+    try {
+        const data = await window.api.notes.getTrash();
+        const notes = data.notes || [];
+        if (notes.length === 0) {
+            list.innerHTML = '<li style="font-size:0.75rem; opacity:0.7; padding:8px;">Trash is empty.</li>';
+            return;
+        }
+
+        list.innerHTML = notes.map(n => `
+            <li class="chapter-item" style="display:flex; align-items:center; gap:6px;">
+                <div class="chapter-item-content" style="flex:1; min-width:0;">
+                    <div style="overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${libEscHtml(n.title || 'Untitled')}</div>
+                    <div style="font-size:0.7rem; opacity:0.6;">Deleted ${new Date(n.deletedAt).toLocaleDateString()}</div>
+                </div>
+                <button class="up-btn" title="Restore" onclick="restoreTrashedNote('${n._id}')">♻️</button>
+                <button class="up-btn" title="Delete forever" onclick="purgeTrashedNote('${n._id}')">✕</button>
+            </li>`).join('') + `
+            <li style="padding:6px 8px; font-size:0.7rem; opacity:0.7;">
+                Notes are deleted forever after ${data.retentionDays} days.
+                <button class="btn btn-danger" style="margin-top:6px; font-size:0.75rem;" onclick="emptyTrash()">Empty Trash</button>
+            </li>`;
+    } catch (err) {
+        list.innerHTML = `<li style="font-size:0.75rem; padding:8px;">❌ ${libEscHtml(err.message)}</li>`;
+    }
+}
+
+async function restoreTrashedNote(noteId) {
+    try {
+        const data = await window.api.notes.restoreFromTrash(noteId);
+        const chapter = chapterFromNote(data.note);
+        if (!chapters.some(c => c._id === chapter._id)) chapters.unshift(chapter);
+        await putLocalChapter(chapter);
+        renderSidebar();
+        renderTrashSection();
+        showToast(`♻️ "${chapter.title}" restored`);
+    } catch (err) {
+        showToast('❌ Restore failed: ' + err.message);
+    }
+}
+window.restoreTrashedNote = restoreTrashedNote;
+
+async function purgeTrashedNote(noteId) {
+    if (!confirm('Delete this note forever? This cannot be undone.')) return;
+    try {
+        await window.api.notes.purge(noteId);
+        renderTrashSection();
+    } catch (err) {
+        showToast('❌ Delete failed: ' + err.message);
+    }
+}
+window.purgeTrashedNote = purgeTrashedNote;
+
+async function emptyTrash() {
+    if (!confirm('Permanently delete every note in the trash?')) return;
+    try {
+        const data = await window.api.notes.emptyTrash();
+        showToast(`🗑 ${data.deletedCount} note(s) deleted forever`);
+        renderTrashSection();
+    } catch (err) {
+        showToast('❌ Could not empty trash: ' + err.message);
+    }
+}
+window.emptyTrash = emptyTrash;
+
+// ─────────────────────────────────────────────
+// SHARING — "Shared with me" sidebar section and the per-note share panel
+// ─────────────────────────────────────────────
+const SHARE_ROLE_LABELS = { viewer: 'Can view', commenter: 'Can comment', editor: 'Can edit' };
+
+function toggleSharedSection() {
+    toggleSection('sharedContent', 'sharedArrow', 'sharedSectionWrapper');
+}
+window.toggleSharedSection = toggleSharedSection;
+
+// Shared notes arrive through sync like our own, so this lists the local copies
+function renderSharedSection() {
+    const list = document.getElementById('sharedList');
+    if (!list) return;
+
+    const shared = chapters.filter(ch => ch.share);
+    if (shared.length === 0) {
+        list.innerHTML = '<li style="font-size:0.75rem; opacity:0.7; padding:8px;">Nothing has been shared with you yet.</li>';
+        return;
+    }
+
+    list.innerHTML = shared.map(ch => {
+        const owner = ch.share.owner || {};
+        return `
+            <li class="chapter-item${ch.id === currentId ? ' active' : ''}" style="display:flex; align-items:center; gap:6px;">
+                <div class="chapter-item-content" style="flex:1; min-width:0;" onclick="loadChapter('${ch.id}')">
+                    <div style="overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${libEscHtml(ch.title || 'Untitled')}</div>
+                    <div style="font-size:0.7rem; opacity:0.6;">${libEscHtml(owner.displayName || owner.username || 'Someone')} · ${SHARE_ROLE_LABELS[ch.share.role]}</div>
+                </div>
+            </li>`;
+    }).join('');
+}
+
+let _shareState = null;
+
+async function openSharePanel() {
+    const chapter = chapters.find(c => c.id === currentId);
+    if (!chapter) return;
+
+    let pane = document.getElementById('sharePanel');
+    if (!pane) {
+        pane = document.createElement('div');
+        pane.id = 'sharePanel';
+        pane.className = 'floating-pane';
+        pane.style.cssText = 'display:flex; width:360px; max-height:85vh; overflow-y:auto; z-index:3000; top:50%; left:auto; right:20px; transform:translateY(-50%);';
+        document.body.appendChild(pane);
+    }
+    pane.innerHTML = `<h3 style="font-family:'Caveat',cursive; font-size:1.3rem;">👥 Share</h3>
+        <p style="font-size:0.85rem; color:#7f8c8d;">Loading…</p>`;
+
+    if (!window.api || !window.api.auth.isLoggedIn()) {
+        renderShareMessage('Sign in to share your notes.');
+        return;
+    }
+
+    // The note has to exist on the server before anyone else can open it
+    await window.SYNC_ENGINE.drainOutbox();
+    const synced = await getLocalChapter(chapter.id);
+    if (!synced || !synced._id) {
+        renderShareMessage('This page has not been saved to the cloud yet.');
+        return;
+    }
+
+    try {
+        const [data, discussion] = await Promise.all([
+            window.api.notes.getShares(synced._id),
+            window.api.notes.getComments(synced._id)
+        ]);
+        _shareState = {
+            noteId: synced._id,
+            role: data.role,
+            owner: data.owner,
+            shares: data.shares || [],
+            comments: discussion.comments || [],
+            canComment: discussion.canComment
+        };
+        renderSharePanel();
+    } catch (err) {
+        renderShareMessage('❌ Could not load collaborators: ' + libEscHtml(err.message));
+    }
+}
+window.openSharePanel = openSharePanel;
+
+function renderShareMessage(msg) {
+    const pane = document.getElementById('sharePanel');
+    if (!pane) return;
+    pane.innerHTML = `<h3 style="font-family:'Caveat',cursive; font-size:1.3rem;">👥 Share</h3>
+        <p style="font-size:0.85rem; color:#7f8c8d;">${msg}</p>
+        <button class="tool-btn" style="background:#eee; justify-content:center;" onclick="closeSharePanel()">Close</button>`;
+}
+
+function renderSharePanel() {
+    const state = _shareState;
+    const pane = document.getElementById('sharePanel');
+    if (!state || !pane) return;
+
+    const isOwner = state.role === 'owner';
+    const me = window.api.auth.getCurrentUser() || {};
+    const nameOf = (user) => libEscHtml((user && (user.displayName || user.username)) || 'Unknown user');
+    const roleOptions = (selected) => Object.keys(SHARE_ROLE_LABELS).map(role =>
+        `<option value="${role}" ${role === selected ? 'selected' : ''}>${SHARE_ROLE_LABELS[role]}</option>`).join('');
+
+    const rows = state.shares.map(share => {
+        const isMe = share.user && (share.user._id === me._id || share.user._id === me.id);
+        let controls = `<span style="color:#7f8c8d;">${SHARE_ROLE_LABELS[share.role]}</span>`;
+        if (isOwner) {
+            controls = `<select class="meta-value" style="width:auto; font-size:0.75rem;"
+                        onchange="changeShareRole('${share._id}', this.value)">${roleOptions(share.role)}</select>
+                <button class="up-btn" title="Remove access" onclick="removeShare('${share._id}')">✕</button>`;
+        } else if (isMe) {
+            controls += ` <button class="up-btn" title="Leave" onclick="removeShare('${share._id}')">✕</button>`;
+        }
+        return `
+            <div style="display:flex; align-items:center; gap:6px; font-size:0.8rem; padding:4px 0; border-top:1px dashed #ddd;">
+                <div style="flex:1; min-width:0; overflow:hidden; text-overflow:ellipsis;">${nameOf(share.user)}${isMe ? ' (you)' : ''}</div>
+                ${controls}
+            </div>`;
+    }).join('');
+
+    const inviteForm = isOwner ? `
+        <div style="display:flex; flex-direction:column; gap:6px;">
+            <input type="text" id="shareIdentifier" class="meta-value" placeholder="Username or email">
+            <div style="display:flex; gap:6px;">
+                <select id="shareRole" class="meta-value" style="flex:1;">${roleOptions('viewer')}</select>
+                <button class="tool-btn" style="width:auto; justify-content:center;" onclick="inviteCollaborator()">Invite</button>
+            </div>
+        </div>` : '';
+
+    const linkForm = isOwner ? `
+        <div style="display:flex; flex-direction:column; gap:6px; border-top:1px dashed #ddd; padding-top:8px;">
+            <label class="meta-label">🔗 Read-only link for people without an account</label>
+            <div style="display:flex; gap:6px;">
+                <select id="shareLinkExpiry" class="meta-value" style="flex:1;">
+                    <option value="">Never expires</option>
+                    <option value="1">Expires in 1 day</option>
+                    <option value="7">Expires in 7 days</option>
+                    <option value="30">Expires in 30 days</option>
+                </select>
+                <input type="password" id="shareLinkPassword" class="meta-value" style="flex:1;" placeholder="Password (optional)">
+            </div>
+            <button class="tool-btn" style="justify-content:center;" onclick="createShareLink()">Create link</button>
+            <div id="shareLinkResult"></div>
+            <p style="font-size:0.7rem; color:#7f8c8d;">Revoke links any time from ⚙️ Account settings.</p>
+        </div>` : '';
+
+    const comments = state.comments.map(comment => `
+        <div style="font-size:0.8rem; padding:4px 0; border-top:1px dashed #ddd;">
+            <div style="display:flex; gap:6px; color:#7f8c8d; font-size:0.7rem;">
+                <span style="flex:1;">${libEscHtml(comment.username)} · ${new Date(comment.createdAt).toLocaleString()}</span>
+                ${comment.canDelete ? `<button class="up-btn" title="Delete comment" onclick="deleteNoteComment('${comment._id}')">✕</button>` : ''}
+            </div>
+            <div style="white-space:pre-wrap; word-break:break-word;">${libEscHtml(comment.body)}</div>
+        </div>`).join('');
+    const commentForm = state.canComment ? `
+        <textarea id="noteCommentBody" class="meta-value" rows="2" maxlength="2000" placeholder="Add a comment"></textarea>
+        <button class="tool-btn" style="justify-content:center;" onclick="addNoteComment()">Comment</button>` : '';
+    const discussion = state.shares.length > 0 || state.comments.length > 0 ? `
+        <div style="display:flex; flex-direction:column; gap:6px; border-top:1px dashed #ddd; padding-top:8px;">
+            <label class="meta-label">💬 Comments</label>
+            ${comments || '<p style="font-size:0.8rem; color:#7f8c8d;">No comments yet.</p>'}
+            ${commentForm}
+        </div>` : '';
+
+    pane.innerHTML = `
+        <h3 style="font-family:'Caveat',cursive; font-size:1.3rem;">👥 Share</h3>
+        ${inviteForm}
+        <div style="font-size:0.8rem; padding:4px 0;">${nameOf(state.owner)} <span style="color:#7f8c8d;">· Owner</span></div>
+        <div>${rows || '<p style="font-size:0.8rem; color:#7f8c8d;">Not shared with anyone yet.</p>'}</div>
+        ${discussion}
+        ${linkForm}
+        <button class="tool-btn" style="background:#eee; justify-content:center;" onclick="closeSharePanel()">Close</button>`;
+}
+
+async function inviteCollaborator() {
+    const state = _shareState;
+    const input = document.getElementById('shareIdentifier');
+    const identifier = input ? input.value.trim() : '';
+    if (!state || !identifier) return;
+
+    try {
+        const data = await window.api.notes.share(state.noteId, identifier, document.getElementById('shareRole').value);
+        state.shares.push(data.share);
+        renderSharePanel();
+        showToast('👥 Note shared');
+    } catch (err) {
+        showToast('❌ ' + err.message);
+    }
+}
+window.inviteCollaborator = inviteCollaborator;
+
+async function createShareLink() {
+    const state = _shareState;
+    if (!state) return;
+
+    const expiresInDays = document.getElementById('shareLinkExpiry').value;
+    const password = document.getElementById('shareLinkPassword').value;
+    try {
+        const data = await window.api.notes.createLink(state.noteId, {
+            ...(expiresInDays && { expiresInDays: Number(expiresInDays) }),
+            ...(password && { password })
+        });
+        const url = window.api.share.getViewerUrl(data.link.token);
+        document.getElementById('shareLinkResult').innerHTML = `
+            <input type="text" class="meta-value" readonly value="${libEscHtml(url)}" onclick="this.select()">`;
+        document.getElementById('shareLinkPassword').value = '';
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url).then(() => showToast('🔗 Link copied'), () => {});
+        }
+    } catch (err) {
+        showToast('❌ Could not create link: ' + err.message);
+    }
+}
+window.createShareLink = createShareLink;
+
+async function addNoteComment() {
+    const state = _shareState;
+    const input = document.getElementById('noteCommentBody');
+    const body = input ? input.value.trim() : '';
+    if (!state || !body) return;
+
+    try {
+        const data = await window.api.notes.addComment(state.noteId, body);
+        state.comments.push(data.comment);
+        renderSharePanel();
+    } catch (err) {
+        showToast('❌ Could not add comment: ' + err.message);
+    }
+}
+window.addNoteComment = addNoteComment;
+
+async function deleteNoteComment(commentId) {
+    const state = _shareState;
+    if (!state || !confirm('Delete this comment?')) return;
+
+    try {
+        await window.api.notes.deleteComment(state.noteId, commentId);
+        state.comments = state.comments.filter(c => c._id !== commentId);
+        renderSharePanel();
+    } catch (err) {
+        showToast('❌ Could not delete comment: ' + err.message);
+    }
+}
+window.deleteNoteComment = deleteNoteComment;
+
+async function changeShareRole(shareId, role) {
+    const state = _shareState;
+    if (!state) return;
+    try {
+        const data = await window.api.notes.updateShare(state.noteId, shareId, role);
+        state.shares = state.shares.map(s => s._id === shareId ? data.share : s);
+        renderSharePanel();
+    } catch (err) {
+        showToast('❌ Could not change access: ' + err.message);
+        renderSharePanel();
+    }
+}
+window.changeShareRole = changeShareRole;
+
+async function removeShare(shareId) {
+    const state = _shareState;
+    if (!state) return;
+
+    // A collaborator removing their own share leaves the note
+    if (state.role !== 'owner') {
+        if (!confirm('Leave this shared note? It will disappear from your notebook.')) return;
+        const chapter = chapters.find(c => c._id === state.noteId);
+        closeSharePanel();
+        if (chapter) deleteChapter(chapter.id);
+        return;
+    }
+
+    try {
+        await window.api.notes.revokeShare(state.noteId, shareId);
+        state.shares = state.shares.filter(s => s._id !== shareId);
+        renderSharePanel();
+    } catch (err) {
+        showToast('❌ Could not remove access: ' + err.message);
+    }
+}
+window.removeShare = removeShare;
+
+function closeSharePanel() {
+    const pane = document.getElementById('sharePanel');
+    if (pane) pane.remove();
+    _shareState = null;
+}
+window.closeSharePanel = closeSharePanel;
+
+// ─────────────────────────────────────────────
+// COLLABORATIVE EDITING — live session per open note (WebSocket /api/collab/:noteId)
+// ─────────────────────────────────────────────
+// Text operations over the .content-area HTML, mirroring back-end/realtime/ot.js:
+// a positive number keeps that many characters, a negative one deletes them,
+// a string inserts it.
+const otIsRetain = (c) => typeof c === 'number' && c > 0;
+const otIsDelete = (c) => typeof c === 'number' && c < 0;
+const otIsInsert = (c) => typeof c === 'string';
+
+function otRetain(ops, n) {
+    if (n === 0) return;
+    if (otIsRetain(ops[ops.length - 1])) ops[ops.length - 1] += n;
+    else ops.push(n);
+}
+
+function otInsert(ops, str) {
+    if (str === '') return;
+    const last = ops[ops.length - 1];
+    if (otIsInsert(last)) {
+        ops[ops.length - 1] += str;
+    } else if (otIsDelete(last)) {
+        if (otIsInsert(ops[ops.length - 2])) ops[ops.length - 2] += str;
+        else ops.splice(ops.length - 1, 0, str);
+    } else {
+        ops.push(str);
+    }
+}
+
+function otDelete(ops, n) {
+    if (n === 0) return;
+    if (otIsDelete(ops[ops.length - 1])) ops[ops.length - 1] -= n;
+    else ops.push(-n);
+}
+
+function otApply(doc, op) {
+    let index = 0;
+    const parts = [];
+    op.forEach(c => {
+        if (otIsRetain(c)) {
+            parts.push(doc.slice(index, index + c));
+            index += c;
+        } else if (otIsDelete(c)) {
+            index -= c;
+        } else {
+            parts.push(c);
+        }
+    });
+    if (index !== doc.length) throw new Error('Operation does not match the document length');
+    return parts.join('');
+}
+
+// [a', b'] with apply(apply(doc, a), b') === apply(apply(doc, b), a'); `a` wins insert ties
+function otTransform(a, b) {
+    const aPrime = [];
+    const bPrime = [];
+    let i = 0, j = 0;
+    let c1 = a[i++], c2 = b[j++];
+
+    while (c1 !== undefined || c2 !== undefined) {
+        if (otIsInsert(c1)) {
+            otInsert(aPrime, c1);
+            otRetain(bPrime, c1.length);
+            c1 = a[i++];
+            continue;
+        }
+        if (otIsInsert(c2)) {
+            otRetain(aPrime, c2.length);
+            otInsert(bPrime, c2);
+            c2 = b[j++];
+            continue;
+        }
+        if (c1 === undefined || c2 === undefined) throw new Error('Operations are not compatible');
+
+        let min;
+        if (otIsRetain(c1) && otIsRetain(c2)) {
+            min = Math.min(c1, c2);
+            otRetain(aPrime, min);
+            otRetain(bPrime, min);
+            c1 = c1 === min ? a[i++] : c1 - min;
+            c2 = c2 === min ? b[j++] : c2 - min;
+        } else if (otIsDelete(c1) && otIsDelete(c2)) {
+            min = Math.min(-c1, -c2);
+            c1 = -c1 === min ? a[i++] : c1 + min;
+            c2 = -c2 === min ? b[j++] : c2 + min;
+        } else if (otIsDelete(c1) && otIsRetain(c2)) {
+            min = Math.min(-c1, c2);
+            otDelete(aPrime, min);
+            c1 = -c1 === min ? a[i++] : c1 + min;
+            c2 = c2 === min ? b[j++] : c2 - min;
+        } else {
+            min = Math.min(c1, -c2);
+            otDelete(bPrime, min);
+            c1 = c1 === min ? a[i++] : c1 - min;
+            c2 = -c2 === min ? b[j++] : c2 + min;
+        }
+    }
+    return [aPrime, bPrime];
+}
+
+// One op with the effect of `a` followed by `b`
+function otCompose(a, b) {
+    const result = [];
+    let i = 0, j = 0;
+    let c1 = a[i++], c2 = b[j++];
+
+    while (c1 !== undefined || c2 !== undefined) {
+        if (otIsDelete(c1)) {
+            otDelete(result, -c1);
+            c1 = a[i++];
+            continue;
+        }
+        if (otIsInsert(c2)) {
+            otInsert(result, c2);
+            c2 = b[j++];
+            continue;
+        }
+        if (c1 === undefined || c2 === undefined) throw new Error('Operations are not compatible');
+
+        if (otIsRetain(c1) && otIsRetain(c2)) {
+            const min = Math.min(c1, c2);
+            otRetain(result, min);
+            c1 = c1 === min ? a[i++] : c1 - min;
+            c2 = c2 === min ? b[j++] : c2 - min;
+        } else if (otIsInsert(c1) && otIsDelete(c2)) {
+            // Inserted then deleted: the two cancel out
+            const min = Math.min(c1.length, -c2);
+            c1 = c1.length === min ? a[i++] : c1.slice(min);
+            c2 = -c2 === min ? b[j++] : c2 + min;
+        } else if (otIsInsert(c1) && otIsRetain(c2)) {
+            const min = Math.min(c1.length, c2);
+            otInsert(result, c1.slice(0, min));
+            c1 = c1.length === min ? a[i++] : c1.slice(min);
+            c2 = c2 === min ? b[j++] : c2 - min;
+        } else {
+            const min = Math.min(c1, -c2);
+            otDelete(result, min);
+            c1 = c1 === min ? a[i++] : c1 - min;
+            c2 = -c2 === min ? b[j++] : c2 + min;
+        }
+    }
+    return result;
+}
+
+// Single-splice op turning `before` into `after`
+function otFromDiff(before, after) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+    let endB = before.length, endA = after.length;
+    while (endB > start && endA > start && before[endB - 1] === after[endA - 1]) { endB--; endA--; }
+
+    const op = [];
+    otRetain(op, start);
+    otInsert(op, after.slice(start, endA));
+    otDelete(op, endB - start);
+    otRetain(op, before.length - endB);
+    return op;
+}
+
+// Where a text offset lands after `before` became `after`
+function shiftTextOffset(offset, before, after) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+    if (offset <= start) return offset;
+    let endB = before.length, endA = after.length;
+    while (endB > start && endA > start && before[endB - 1] === after[endA - 1]) { endB--; endA--; }
+    if (offset >= endB) return offset + (endA - endB);
+    return endA; // Inside the replaced text — park at its end
+}
+
+const COLLAB_RETRY_BASE_MS = 2000;
+const COLLAB_RETRY_MAX_MS = 30 * 1000;
+const COLLAB_CACHE_DEBOUNCE_MS = 1000;
+// The server's message limit; a bigger edit (a large pasted image) ends the
+// live session and is saved the regular way
+const COLLAB_MAX_MESSAGE = 4 * 1024 * 1024;
+
+class CollabClient {
+    constructor() {
+        this.socket = null;
+        this.chapterId = null;
+        this.noteId = null;
+        this.area = null;
+        this.joined = false;
+        this.clientId = null;
+        this.role = null;
+        this.doc = '';           // Server content at `version` plus our unacknowledged ops
+        this.version = 0;
+        this.outstanding = null; // Sent, waiting for the server's ack
+        this.buffer = null;      // Made while waiting; sent after the ack
+        this.unsent = false;     // Lost a connection with ops still in flight
+        this.peers = new Map();  // clientId → { displayName, avatarColor, selection }
+        this.lastSelection = null;
+        this.observer = null;
+        this.cacheTimer = null;
+        this.retryMs = 0;
+        this.retryTimer = null;
+        this.failures = 0;
+        this.everJoined = false;
+        this.unavailable = false; // No WebSocket server (e.g. the serverless deployment)
+
+        document.addEventListener('selectionchange', () => this.sendSelection());
+        document.addEventListener('scroll', () => this.renderCursors(), true);
+        window.addEventListener('resize', () => this.renderCursors());
+    }
+
+    // True while edits to this chapter's content are merged live by the server
+    isActive(chapterId) {
+        return this.joined && this.chapterId === chapterId;
+    }
+
+    canEdit() {
+        return this.role === 'owner' || this.role === 'editor';
+    }
+
+    open(chapter) {
+        if (this.chapterId === chapter.id && (this.socket || this.retryTimer)) return;
+        this.close();
+        if (this.unavailable || !chapter._id || !('WebSocket' in window)) return;
+        if (!window.api || !window.api.auth.isLoggedIn()) return;
+
+        this.chapterId = chapter.id;
+        this.noteId = chapter._id;
+        this.connect();
+    }
+
+    async connect() {
+        // Queued saves mean our copy is ahead of the server's; merge it in once joined
+        const entries = await getOutboxEntries().catch(() => []);
+        const chapterId = this.chapterId;
+        if (!chapterId || this.socket) return;
+        this.unsent = this.unsent || entries.some(e => e.chapterId === chapterId && !e.failed);
+
+        const socket = new WebSocket(window.api.getCollabUrl(this.noteId));
+        this.socket = socket;
+        socket.onopen = async () => {
+            const token = await window.api.auth.getFreshToken();
+            if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: 'auth', token }));
+        };
+        socket.onmessage = (e) => {
+            if (socket !== this.socket) return;
+            try {
+                this.handleMessage(JSON.parse(e.data));
+            } catch (err) {
+                console.error('Collab message failed:', err);
+                this.reconnect();
+            }
+        };
+        socket.onclose = (e) => this.handleClose(socket, e);
+    }
+
+    handleMessage(msg) {
+        switch (msg.type) {
+            case 'joined': return this.handleJoined(msg);
+            case 'ack': return this.handleAck(msg);
+            case 'op': return this.handleRemoteOp(msg);
+            case 'presence':
+                this.setPeers(msg.peers);
+                return;
+            case 'selection': {
+                const peer = this.peers.get(msg.clientId);
+                if (peer) peer.selection = msg.selection;
+                this.renderCursors();
+                return;
+            }
+            case 'saved':
+                // Keep our outbox based on the revision the session just wrote
+                window.SYNC_ENGINE.recordServerRevision(this.chapterId, { _id: this.noteId, revision: msg.revision });
+                return;
+            case 'resync':
+                this.unsent = this.unsent || !!(this.outstanding || this.buffer);
+                this.reconnect();
+                return;
+        }
+    }
+
+    handleJoined(msg) {
+        this.area = document.querySelector(`.content-area[data-chapter-id="${this.chapterId}"]`);
+        if (!this.area) return this.close();
+
+        this.clientId = msg.clientId;
+        this.role = msg.role;
+        this.version = msg.version;
+        this.outstanding = null;
+        this.buffer = null;
+        this.doc = msg.content;
+        this.joined = true;
+        this.everJoined = true;
+        this.failures = 0;
+        this.retryMs = 0;
+
+        if (!this.canEdit()) this.area.contentEditable = 'false';
+
+        const local = this.area.innerHTML;
+        if (!(this.unsent && this.canEdit()) || local === msg.content) {
+            this.writeArea(msg.content);
+        }
+        this.unsent = false;
+        // Anything the area holds beyond the server copy goes up as our first op
+        this.captureLocalChange();
+
+        this.observer = new MutationObserver(() => this.captureLocalChange());
+        this.observer.observe(this.area, { childList: true, subtree: true, characterData: true, attributes: true });
+
+        this.lastSelection = null;
+        this.setPeers(msg.peers);
+        this.sendSelection();
+    }
+
+    handleAck(msg) {
+        this.version = msg.version;
+        this.outstanding = this.buffer;
+        this.buffer = null;
+        if (this.outstanding) this.sendOp(this.outstanding);
+    }
+
+    handleRemoteOp(msg) {
+        // Fold any not-yet-observed typing into our pending ops before transforming
+        this.captureLocalChange();
+
+        let op = msg.op;
+        if (this.outstanding) [this.outstanding, op] = otTransform(this.outstanding, op);
+        if (this.buffer) [this.buffer, op] = otTransform(this.buffer, op);
+        this.version = msg.version;
+
+        const hadFocus = this.area.contains(document.activeElement);
+        const caret = hadFocus ? this.getSelectionOffsets() : null;
+        const textBefore = this.area.textContent;
+
+        this.doc = otApply(this.doc, op);
+        this.writeArea(this.doc);
+
+        if (caret) {
+            const textAfter = this.area.textContent;
+            this.setSelectionOffsets(
+                shiftTextOffset(caret.start, textBefore, textAfter),
+                shiftTextOffset(caret.end, textBefore, textAfter)
+            );
+        }
+        this.renderCursors();
+    }
+
+    // Replace the area's HTML; the browser may normalise it, which the next capture sends back
+    writeArea(html) {
+        if (this.area.innerHTML !== html) this.area.innerHTML = html;
+
+        const chapter = chapters.find(c => c.id === this.chapterId);
+        if (chapter) chapter.content = html;
+        // The session saves to the server; only the local cache needs the new content
+        if (this.cacheTimer) clearTimeout(this.cacheTimer);
+        this.cacheTimer = setTimeout(() => {
+            this.cacheTimer = null;
+            patchLocalChapter(this.chapterId, { content: html }).catch(console.error);
+        }, COLLAB_CACHE_DEBOUNCE_MS);
+    }
+
+    captureLocalChange() {
+        if (!this.joined || !this.canEdit()) return;
+        const current = this.area.innerHTML;
+        if (current === this.doc) return;
+
+        const op = otFromDiff(this.doc, current);
+        this.doc = current;
+        if (this.outstanding) {
+            this.buffer = this.buffer ? otCompose(this.buffer, op) : op;
+        } else {
+            this.outstanding = op;
+            this.sendOp(op);
+        }
+    }
 
-// ─────────────────────────────────────────────
-//  OAUTH CONFIGURATION — Google only
-// ─────────────────────────────────────────────
-window.OAUTH_CONFIG = {};
+    sendOp(op) {
+        const message = { type: 'op', version: this.version, op };
+        if (JSON.stringify(message).length > COLLAB_MAX_MESSAGE) return this.close();
+        this.send(message);
+    }
 
-// ─────────────────────────────────────────────
-window.AUTH = new AuthManager();
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
 
-// ─────────────────────────────────────────────
-// REAL-TIME CLOUD SYNC ENGINE
-// ─────────────────────────────────────────────
-class SyncEngine {
-    constructor() {
-        this.lastSync = new Date().toISOString();
-        this.intervalId = null;
-        this.isEnabled = true;
-        
-        window.addEventListener('online', () => {
-            this.updateStatus('☁️ Back online, syncing...');
-            this.forceSync();
-        });
-        
-        window.addEventListener('offline', () => {
-            this.updateStatus('🔴 Offline (Saving locally)');
-        });
-        
-        document.addEventListener('visibilitychange', () => {
-            if (document.visibilityState === 'visible') {
-                this.forceSync();
-            }
-        });
+    // ── Selections, as character offsets into the area's text ──
+    getSelectionOffsets() {
+        const sel = window.getSelection();
+        if (!sel.rangeCount || !this.area.contains(sel.anchorNode) || !this.area.contains(sel.focusNode)) return null;
+
+        const range = sel.getRangeAt(0);
+        const offsetOf = (node, offset) => {
+            const r = document.createRange();
+            r.setStart(this.area, 0);
+            r.setEnd(node, offset);
+            return r.toString().length;
+        };
+        return { start: offsetOf(range.startContainer, range.startOffset), end: offsetOf(range.endContainer, range.endOffset) };
     }
 
-    start(intervalMs = 5000) {
-        if (!window.api || !window.api.auth.isLoggedIn()) return;
-        this.updateStatus('🟢 Synced');
-        this.intervalId = setInterval(() => this.performSync(), intervalMs);
+    pointAt(offset) {
+        const walker = document.createTreeWalker(this.area, NodeFilter.SHOW_TEXT);
+        let remaining = offset;
+        let node;
+        while ((node = walker.nextNode())) {
+            if (remaining <= node.length) return { node, offset: remaining };
+            remaining -= node.length;
+        }
+        return { node: this.area, offset: this.area.childNodes.length };
     }
 
-    stop() {
-        if (this.intervalId) clearInterval(this.intervalId);
+    rangeFor(start, end) {
+        const range = document.createRange();
+        const from = this.pointAt(start);
+        const to = this.pointAt(end);
+        range.setStart(from.node, from.offset);
+        range.setEnd(to.node, to.offset);
+        return range;
     }
 
-    updateStatus(msg) {
-        const statusEl = document.getElementById('saveStatus');
-        if (statusEl) statusEl.textContent = msg;
+    setSelectionOffsets(start, end) {
+        const sel = window.getSelection();
+        sel.removeAllRanges();
+        sel.addRange(this.rangeFor(start, end));
     }
-    
-    forceSync() {
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = setInterval(() => this.performSync(), 5000);
-        }
-        this.performSync();
+
+    sendSelection() {
+        if (!this.joined) return;
+        const selection = this.getSelectionOffsets();
+        const key = JSON.stringify(selection);
+        if (key === this.lastSelection) return;
+        this.lastSelection = key;
+        this.send({ type: 'selection', selection });
     }
 
-    async performSync() {
-        if (!navigator.onLine || !this.isEnabled || !window.api || !window.api.auth.isLoggedIn()) return;
-        
-        try {
-            const data = await window.api.sync(this.lastSync);
-            this.lastSync = data.syncTime || new Date().toISOString();
-            
-            if (data.notes && data.notes.length > 0) {
-                this.processIncomingUpdates(data.notes);
-            }
-        } catch (err) {
-            console.warn('Background sync failed:', err);
-        }
+    // ── Presence ──
+    setPeers(peers) {
+        this.peers = new Map(peers.filter(p => p.clientId !== this.clientId).map(p => [p.clientId, p]));
+        this.renderPresence();
+        this.renderCursors();
     }
 
-    processIncomingUpdates(incomingNotes) {
-        let needsSidebarRender = false;
+    renderPresence() {
+        let bar = document.getElementById('collabPresence');
+        if (this.peers.size === 0) {
+            if (bar) bar.remove();
+            return;
+        }
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.id = 'collabPresence';
+            bar.style.cssText = 'position:fixed; top:14px; right:20px; display:flex; gap:4px; align-items:center; z-index:9001; font-size:0.75rem;';
+            document.body.appendChild(bar);
+        }
+        bar.innerHTML = [...this.peers.values()].map(p => `
+            <span title="${libEscHtml(p.displayName)} is here" style="width:26px; height:26px; border-radius:50%; background:${libEscHtml(p.avatarColor || '#2c3e50')}; color:white; display:flex; align-items:center; justify-content:center; font-weight:bold; border:2px solid white; box-shadow:0 1px 4px rgba(0,0,0,0.2);">
+                ${libEscHtml((p.displayName || '?').charAt(0).toUpperCase())}
+            </span>`).join('');
+    }
 
-        incomingNotes.forEach(serverNote => {
-            const incomingData = serverNote.frontEndData || serverNote;
-            const existingIndex = chapters.findIndex(c => c.id === incomingData.id);
-            
-            if (existingIndex === -1) {
-                // New note from another device
-                chapters.push(incomingData);
-                needsSidebarRender = true;
-            } else {
-                // Update existing note
-                // ONLY update if server timestamp is strictly newer
-                const localDate = new Date(chapters[existingIndex].updatedAt || 0);
-                const serverDate = new Date(incomingData.updatedAt || 0);
-                
-                if (serverDate > localDate) {
-                    chapters[existingIndex] = incomingData;
-                    needsSidebarRender = true;
-                    
-                    // If the updated note is CURRENTLY open on screen
-                    if (incomingData.id === currentId) {
-                        this.handleActiveDocumentUpdate(incomingData);
-                    }
-                }
+    renderCursors() {
+        let layer = document.getElementById('collabCursors');
+        if (!this.joined || this.peers.size === 0) {
+            if (layer) layer.remove();
+            return;
+        }
+        if (!layer) {
+            layer = document.createElement('div');
+            layer.id = 'collabCursors';
+            layer.style.cssText = 'position:fixed; inset:0; pointer-events:none; z-index:9000;';
+            document.body.appendChild(layer);
+        }
+
+        const textLength = this.area.textContent.length;
+        layer.innerHTML = '';
+        this.peers.forEach(peer => {
+            if (!peer.selection) return;
+            const color = peer.avatarColor || '#2c3e50';
+            const start = Math.min(peer.selection.start, textLength);
+            const end = Math.min(peer.selection.end, textLength);
+            const range = this.rangeFor(start, end);
+
+            if (start !== end) {
+                [...range.getClientRects()].forEach(rect => {
+                    const mark = document.createElement('div');
+                    mark.style.cssText = `position:absolute; left:${rect.left}px; top:${rect.top}px; width:${rect.width}px; height:${rect.height}px; background:${color}; opacity:0.2;`;
+                    layer.appendChild(mark);
+                });
             }
+
+            range.collapse(false);
+            const rect = range.getClientRects()[0] || range.getBoundingClientRect();
+            if (!rect || (!rect.height && !rect.top)) return;
+            const caret = document.createElement('div');
+            caret.style.cssText = `position:absolute; left:${rect.left}px; top:${rect.top}px; width:2px; height:${rect.height || 18}px; background:${color};`;
+            const label = document.createElement('span');
+            label.textContent = peer.displayName;
+            label.style.cssText = `position:absolute; bottom:100%; left:0; background:${color}; color:white; font-size:0.65rem; padding:1px 4px; border-radius:3px 3px 3px 0; white-space:nowrap;`;
+            caret.appendChild(label);
+            layer.appendChild(caret);
         });
+    }
 
-        if (needsSidebarRender) {
-            renderSidebar();
-            renderTagCloud();
-        }
+    // ── Connection lifecycle ──
+    reconnect() {
+        const socket = this.socket;
+        this.teardown();
+        this.socket = null;
+        if (socket) socket.close(1000);
+        this.connect();
     }
-    
-    handleActiveDocumentUpdate(newData) {
-        const contentArea = document.querySelector(`.content-area[data-chapter-id="${newData.id}"]`) || document.querySelector('.content-area');
-        if (!contentArea) return;
-        
-        // Check if user is actively typing in it
-        const isTyping = document.activeElement && contentArea.contains(document.activeElement);
-        
-        if (isTyping) {
-            // Unobtrusive banner (avoid Edit Wars)
-            this.showConflictBanner();
-        } else {
-            // Safe to hot-swap content
-            contentArea.innerHTML = newData.content || '<p>Start typing...</p>';
-            
-            // Brief visual flash
-            contentArea.style.transition = 'background 0.3s';
-            contentArea.style.background = 'rgba(46, 204, 113, 0.15)';
-            setTimeout(() => contentArea.style.background = 'transparent', 300);
-            
-            this.updateStatus('✨ Remote changes applied');
-            setTimeout(() => this.updateStatus('🟢 Synced'), 3000);
+
+    handleClose(socket, event) {
+        if (socket !== this.socket) return; // Closed on purpose or replaced
+        const wasJoined = this.joined;
+        this.unsent = this.unsent || !!(this.outstanding || this.buffer);
+        this.teardown();
+        this.socket = null;
+
+        // Not allowed in, or the note went to the trash — keep editing on our own
+        if (event.code === 4401 || event.code === 4403 || event.code === 4410) return;
+        // Never got in at all: most likely no WebSocket server behind this API
+        if (!this.everJoined && ++this.failures >= 2) {
+            this.unavailable = true;
+            return;
         }
+
+        this.retryMs = wasJoined ? COLLAB_RETRY_BASE_MS : Math.min((this.retryMs || COLLAB_RETRY_BASE_MS / 2) * 2, COLLAB_RETRY_MAX_MS);
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            if (this.chapterId) this.connect();
+        }, this.retryMs);
     }
-    
-    showConflictBanner() {
-        let banner = document.getElementById('syncConflictBanner');
-        if (!banner) {
-            banner = document.createElement('div');
-            banner.id = 'syncConflictBanner';
-            banner.style.cssText = 'position:fixed; top:20px; left:50%; transform:translateX(-50%); background:var(--primary); color:white; padding:10px 20px; border-radius:20px; box-shadow:0 4px 15px rgba(0,0,0,0.2); z-index:9999; display:flex; gap:15px; align-items:center; animation: popIn 0.3s ease-out;';
-            banner.innerHTML = `
-                <span>✨ Note updated remotely.</span>
-                <button onclick="location.reload()" style="background:white; color:var(--primary); border:none; padding:4px 10px; border-radius:12px; cursor:pointer; font-weight:bold;">Refresh</button>
-                <button onclick="this.parentElement.remove()" style="background:transparent; color:white; border:1px solid white; padding:4px 10px; border-radius:12px; cursor:pointer;">Ignore</button>
-            `;
-            document.body.appendChild(banner);
-        }
+
+    teardown() {
+        if (this.observer) this.observer.disconnect();
+        this.observer = null;
+        const chapter = chapters.find(c => c.id === this.chapterId);
+        if (this.area && !this.canEdit() && !isReadOnlyChapter(chapter)) this.area.contentEditable = 'true';
+        this.joined = false;
+        this.role = null;
+        this.outstanding = null;
+        this.buffer = null;
+        this.peers.clear();
+        this.renderPresence();
+        this.renderCursors();
+    }
+
+    close() {
+        if (this.retryTimer) clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        const socket = this.socket;
+        this.socket = null;
+        this.teardown();
+        if (socket) socket.close(1000);
+        this.chapterId = null;
+        this.noteId = null;
+        this.area = null;
+        this.unsent = false;
     }
 }
 
-window.SYNC_ENGINE = new SyncEngine();
-window.SYNC_ENGINE.start(5000);
+window.COLLAB = new CollabClient();
 /**
  * SharedLibrary — Local shared notes library
  *
@@ -259,9 +2153,10 @@ window.SYNC_ENGINE.start(5000);
  *
  * API (exposed as window.LIBRARY):
  *   LIBRARY.publish(chapter, user)     → {ok, error, entry}
- *   LIBRARY.getAll()                   → entry[]
- *   LIBRARY.search(query)              → entry[]
- *   LIBRARY.getById(id)                → entry | null
+ *   LIBRARY.browse(options)            → {entries, nextCursor, total, facets}
+ *   LIBRARY.getAll()                   → entry[]  (first page)
+ *   LIBRARY.search(query, category)    → entry[]  (first page)
+ *   LIBRARY.getById(id)                → entry | null  (with content)
  *   LIBRARY.deleteEntry(id, userId)    → {ok, error}
  *   LIBRARY.exportNote(id)             → void  (triggers download)
  *   LIBRARY.importFromFile(file)       → Promise<{ok, error, entry}>
@@ -306,70 +2201,95 @@ class SharedLibrary {
         }
     }
 
-    async getAll() {
-        if (!window.api) return [];
+    // Card-shaped entry from a SharedNote; listings leave out frontEndData and
+    // content, the single-entry fetch includes them
+    fromSharedNote(sn) {
+        return {
+            ...sn.frontEndData, // Extract the original note structure
+            id: sn._id, // the library item ID
+            originalId: sn.originalNoteId,
+            author: sn.username,
+            authorId: sn.userId,
+            title: sn.title,
+            snippet: sn.description || sn.excerpt || (sn.content || '').substring(0, 100),
+            highlight: sn.highlight || null, // server-escaped HTML, matches in <mark>
+            tags: sn.tags,
+            category: sn.frontEndData?.category || 'General',
+            discipline: sn.discipline,
+            template: sn.template,
+            cloneCount: sn.cloneCount || 0,
+            viewCount: sn.viewCount || 0,
+            ratingAverage: sn.ratingAverage || 0,
+            ratingCount: sn.ratingCount || 0,
+            hiddenAt: sn.hiddenAt || null,
+            publishedAt: sn.createdAt
+        };
+    }
+
+    // One page of the library. options: { query, category, template, tag, sort, cursor }
+    // query takes words, "exact phrases", tag:name (or #name) and by:author;
+    // with words in it results come best match first unless another sort is asked for.
+    // → { entries, nextCursor, total, facets } — total and facets on the first page only
+    async browse(options = {}) {
+        const empty = { entries: [], nextCursor: null, total: 0, facets: null };
+        if (!window.api) return empty;
+
+        const filters = {};
+        const query = (options.query || '').trim();
+        if (query) filters.search = query;
+        if (options.sort) filters.sort = options.sort;
+        if (options.category && options.category !== 'all') filters.discipline = options.category;
+        if (options.template && options.template !== 'all') filters.template = options.template;
+        if (options.tag) filters.tag = options.tag;
+        if (options.cursor) filters.cursor = options.cursor;
+
         try {
-            const data = await window.api.library.getAll();
-            return data.sharedNotes.map(sn => ({
-                ...sn.frontEndData, // Extract the original note structure
-                id: sn._id, // the library item ID
-                originalId: sn.originalNoteId,
-                author: sn.username,
-                authorId: sn.userId,
-                title: sn.title,
-                snippet: sn.description || sn.content.substring(0, 100),
-                tags: sn.tags,
-                category: sn.frontEndData?.category || 'General',
-                publishedAt: sn.createdAt
-            }));
+            const data = await window.api.library.getAll(filters);
+            return {
+                entries: data.sharedNotes.map(sn => this.fromSharedNote(sn)),
+                nextCursor: data.nextCursor || null,
+                total: data.total,
+                facets: data.facets || null
+            };
         } catch (err) {
-            return [];
+            console.error('Library browse failed:', err);
+            return { ...empty, error: err.message };
         }
     }
 
+    // First page only — use browse() to page through
+    async getAll() {
+        return (await this.browse()).entries;
+    }
+
     async getById(id) {
-        const all = await this.getAll();
-        return all.find(e => e.id === id) || null;
+        if (!window.api) return null;
+        try {
+            const data = await window.api.library.getOne(id);
+            return {
+                ...this.fromSharedNote(data.sharedNote),
+                myRating: data.myRating || null,
+                reported: Boolean(data.reported)
+            };
+        } catch (err) {
+            return null;
+        }
     }
 
     async getByChapterId(chapterId) {
-        // First check cache for speed
-        if (this.myPublishedCache.has(chapterId)) {
-            const sn = this.myPublishedCache.get(chapterId);
-            return { id: sn._id, originalId: sn.originalNoteId, title: sn.title };
-        }
-        const all = await this.getAll();
-        return all.find(e => e.originalId === chapterId) || null;
+        // Published entries are all in the cache once it has loaded
+        if (!this.myPublishedCache.has(chapterId)) await this.loadMyPublished();
+        const sn = this.myPublishedCache.get(chapterId);
+        return sn ? { id: sn._id, originalId: sn.originalNoteId, title: sn.title } : null;
     }
 
     isPublished(chapterId) {
         return this.myPublishedCache.has(chapterId);
     }
 
+    // First page of matches for a search query — use browse() to page through
     async search(query, category) {
-        if (!window.api) return [];
-        try {
-            // Backend search isn't fully mapped to category in the fast route,
-            // so we'll fetch and filter client-side for now
-            const all = await this.getAll();
-            const q = (query || '').toLowerCase().trim();
-
-            let filtered = all;
-            if (category && category !== 'all') {
-                filtered = filtered.filter(e =>
-                    (e.category || '').toLowerCase() === category.toLowerCase() ||
-                    (e.metadata?.discipline || '').toLowerCase() === category.toLowerCase()
-                );
-            }
-            if (!q) return filtered;
-
-            return filtered.filter(e => {
-                const inTitle = (e.title || '').toLowerCase().includes(q);
-                const inTags = (e.tags || []).some(t => t.toLowerCase().includes(q.replace('#', '')));
-                const inAuthor = (e.author || '').toLowerCase().includes(q);
-                return inTitle || inTags || inAuthor;
-            });
-        } catch (err) { return []; }
+        return (await this.browse({ query, category })).entries;
     }
 
     async deleteEntry(id, userId) {
@@ -663,6 +2583,7 @@ ${JSON.stringify(shareData)}
 // ═══════════════════════════════════════════════════════════════════════
 
 let _libCurrentEntryId = null;
+let _libCurrentStats = null;  // aggregates of the entry open in the modal
 let _libToastTimer = null;
 
 // ── Open / close ─────────────────────────────────────────────────────────────
@@ -686,40 +2607,72 @@ function closeLibraryPanel() {
 window.closeLibraryPanel = closeLibraryPanel;
 
 // ── Render cards ──────────────────────────────────────────────────────────────
+// The first page renders here; later pages are appended by libLoadMoreCards as
+// the panel scrolls. `seq` drops responses to searches that were superseded.
+const _libBrowse = { seq: 0, nextCursor: null, loading: false, tag: null };
+const LIB_LOAD_MORE_MARGIN = 400; // px from the bottom that triggers the next page
+
+function libBrowseOptions() {
+    return {
+        query: (document.getElementById('libSearchInput') || {}).value || '',
+        category: (document.getElementById('libCategoryFilter') || {}).value || 'all',
+        template: (document.getElementById('libTemplateFilter') || {}).value || 'all',
+        sort: (document.getElementById('libSortSelect') || {}).value || 'relevance',
+        tag: _libBrowse.tag
+    };
+}
+
 async function libRenderCards() {
     if (!window.LIBRARY) return;
-    const query = (document.getElementById('libSearchInput') || {}).value || '';
-    const category = (document.getElementById('libCategoryFilter') || {}).value || 'all';
-
     const grid = document.getElementById('libCardsGrid');
-    if (grid) grid.innerHTML = '<div class="loading" style="padding: 20px; text-align: center; color: #7f8c8d;">Loading library...</div>';
-
-    const entries = await window.LIBRARY.search(query, category);
-
     const empty = document.getElementById('libEmptyState');
     const count = document.getElementById('libResultCount');
     if (!grid || !empty || !count) return;
 
+    const seq = ++_libBrowse.seq;
+    _libBrowse.nextCursor = null;
+    _libBrowse.loading = false;
+    libUpdateLoadMore();
+    const body = document.getElementById('libBody');
+    if (body) body.scrollTop = 0;
+    grid.innerHTML = '<div class="loading" style="padding: 20px; text-align: center; color: #7f8c8d;">Loading library...</div>';
+
+    const options = libBrowseOptions();
+    const result = await window.LIBRARY.browse(options);
+    if (seq !== _libBrowse.seq) return;
+
     grid.innerHTML = '';
+    libRenderFacets(result.facets);
 
-    if (entries.length === 0) {
+    if (result.entries.length === 0) {
         grid.style.display = 'none';
         empty.style.display = 'block';
-        const allNotesList = await window.LIBRARY.getAll();
-        const hasAny = allNotesList.length > 0;
+        const filtered = options.query.trim() || options.category !== 'all' ||
+            options.template !== 'all' || options.tag;
         document.getElementById('libEmptyTitle').textContent =
-            hasAny ? 'No results found' : 'The library is empty';
-        document.getElementById('libEmptySub').innerHTML = hasAny
-            ? 'Try a different search term or category.'
-            : 'Click the 📤 share icon next to any note to publish it here.<br>Or import a shared .json file using the button above.';
+            result.error ? 'Could not load the library' : filtered ? 'No results found' : 'The library is empty';
+        document.getElementById('libEmptySub').innerHTML = result.error
+            ? libEscHtml(result.error)
+            : filtered
+                ? 'Try a different search term or filter.'
+                : 'Click the 📤 share icon next to any note to publish it here.<br>Or import a shared .json file using the button above.';
         count.textContent = '';
         return;
     }
 
     grid.style.display = 'grid';
     empty.style.display = 'none';
-    count.textContent = entries.length + ' note' + (entries.length !== 1 ? 's' : '');
+    count.textContent = result.total + ' note' + (result.total !== 1 ? 's' : '');
+
+    libAppendCards(result.entries);
+    _libBrowse.nextCursor = result.nextCursor;
+    libUpdateLoadMore();
+    libMaybeLoadMore();
+}
+window.libRenderCards = libRenderCards;
 
+function libAppendCards(entries) {
+    const grid = document.getElementById('libCardsGrid');
     const libUser = window.api && window.api.auth.isLoggedIn() ? window.api.auth.getCurrentUser() : null;
 
     entries.forEach((entry, i) => {
@@ -728,7 +2681,97 @@ async function libRenderCards() {
         grid.appendChild(card);
     });
 }
-window.libRenderCards = libRenderCards;
+
+async function libLoadMoreCards() {
+    if (_libBrowse.loading || !_libBrowse.nextCursor) return;
+    const seq = _libBrowse.seq;
+    _libBrowse.loading = true;
+
+    const result = await window.LIBRARY.browse({ ...libBrowseOptions(), cursor: _libBrowse.nextCursor });
+    if (seq !== _libBrowse.seq) return;
+    _libBrowse.loading = false;
+
+    if (result.error) {
+        // Keep the cursor so scrolling again retries
+        showToast('❌ ' + result.error);
+        return;
+    }
+    libAppendCards(result.entries);
+    _libBrowse.nextCursor = result.nextCursor;
+    libUpdateLoadMore();
+    libMaybeLoadMore();
+}
+
+// Load the next page once the panel is scrolled near the end — or straight
+// away when the cards so far don't fill it
+function libMaybeLoadMore() {
+    const body = document.getElementById('libBody');
+    if (!body || !_libBrowse.nextCursor) return;
+    if (body.scrollTop + body.clientHeight >= body.scrollHeight - LIB_LOAD_MORE_MARGIN) {
+        libLoadMoreCards();
+    }
+}
+
+function libUpdateLoadMore() {
+    const el = document.getElementById('libLoadMore');
+    if (el) el.style.display = _libBrowse.nextCursor ? 'block' : 'none';
+}
+
+// ── Facets ────────────────────────────────────────────────────────────────────
+function libFacetLabel(value) {
+    const text = String(value || '').replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function libRenderFacets(facets) {
+    if (!facets) return;
+
+    // Category options keep their names and gain counts
+    const categoryEl = document.getElementById('libCategoryFilter');
+    if (categoryEl) {
+        const counts = new Map(facets.discipline.map(f => [f.value, f.count]));
+        Array.from(categoryEl.options).forEach(opt => {
+            if (!opt.dataset.label) opt.dataset.label = opt.textContent;
+            opt.textContent = opt.value === 'all'
+                ? opt.dataset.label
+                : `${opt.dataset.label} (${counts.get(opt.value) || 0})`;
+        });
+    }
+
+    // Template options come from what has been published
+    const templateEl = document.getElementById('libTemplateFilter');
+    if (templateEl) {
+        const selected = templateEl.value;
+        const options = facets.template.map(f =>
+            `<option value="${libEscHtml(f.value)}">${libEscHtml(libFacetLabel(f.value))} (${f.count})</option>`);
+        if (selected !== 'all' && !facets.template.some(f => f.value === selected)) {
+            options.push(`<option value="${libEscHtml(selected)}">${libEscHtml(libFacetLabel(selected))} (0)</option>`);
+        }
+        templateEl.innerHTML = '<option value="all">All templates</option>' + options.join('');
+        templateEl.value = selected;
+    }
+
+    const tagsEl = document.getElementById('libTagFacets');
+    if (tagsEl) {
+        const tags = facets.tags.slice();
+        if (_libBrowse.tag && !tags.some(f => f.value === _libBrowse.tag)) {
+            tags.unshift({ value: _libBrowse.tag, count: 0 });
+        }
+        tagsEl.innerHTML = '';
+        tags.forEach(f => {
+            const chip = document.createElement('button');
+            chip.className = 'lib-facet-chip' + (f.value === _libBrowse.tag ? ' active' : '');
+            chip.innerHTML = `#${libEscHtml(f.value)}<span class="lib-facet-count">${f.count}</span>`;
+            chip.addEventListener('click', () => libToggleTag(f.value));
+            tagsEl.appendChild(chip);
+        });
+    }
+}
+
+function libToggleTag(tag) {
+    _libBrowse.tag = _libBrowse.tag === tag ? null : tag;
+    libRenderCards();
+}
 
 // ── Build card ────────────────────────────────────────────────────────────────
 function libBuildCard(entry, libUser) {
@@ -762,31 +2805,325 @@ function libBuildCard(entry, libUser) {
     body.className = 'lib-card-body';
     body.innerHTML = `
         <div class="lib-card-title">${libEscHtml(entry.title)}</div>
-        <div class="lib-card-snippet">${libEscHtml(entry.snippet || '(no preview)')}</div>
+        <div class="lib-card-snippet">${entry.highlight || libEscHtml(entry.snippet || '(no preview)')}</div>
         ${tagsHtml}
         <div class="lib-card-meta">
             <span class="lib-card-meta-author">✏️ ${libEscHtml(entry.author || 'Unknown')}</span>
             ${date ? `<span>📅 ${date}</span>` : ''}
+        </div>
+        <div class="lib-card-meta lib-card-stats">${libStatsHtml(entry)}</div>`;
+    card.appendChild(body);
+
+    const actions = document.createElement('div');
+    actions.className = 'lib-card-actions';
+    actions.innerHTML = `
+        <button class="lib-card-btn"              onclick="libOpenModal('${entry.id}')">👁 View</button>
+        <button class="lib-card-btn lib-btn-clone"    onclick="libCloneEntry('${entry.id}')">📋 Clone</button>
+        <button class="lib-card-btn lib-btn-download" onclick="libDownloadEntry('${entry.id}')">⬇ Download</button>
+        ${isOwner ? `<button class="lib-card-btn lib-btn-delete"
+                        onclick="libDeleteEntry('${entry.id}')" title="Remove from library">🗑</button>` : ''}`;
+    card.appendChild(actions);
+    return card;
+}
+
+// ── Engagement ────────────────────────────────────────────────────────────────
+function libStatsHtml(entry) {
+    const rating = entry.ratingCount > 0
+        ? `⭐ ${entry.ratingAverage.toFixed(1)} (${entry.ratingCount})`
+        : '☆ not rated yet';
+    return `<span title="Average rating">${rating}</span>
+        <span title="Times cloned">📋 ${entry.cloneCount || 0}</span>
+        <span title="Views">👁 ${entry.viewCount || 0}</span>`;
+}
+
+// Show the open entry's latest aggregates in the modal and on its card
+function libRefreshStats(id) {
+    const statsHtml = libStatsHtml(_libCurrentStats);
+    const statsEl = document.getElementById('libModalStats');
+    const cardStatsEl = document.querySelector(`.lib-note-card[data-id="${id}"] .lib-card-stats`);
+    if (statsEl) statsEl.innerHTML = statsHtml;
+    if (cardStatsEl) cardStatsEl.innerHTML = statsHtml;
+}
+
+// Star picker for the details modal; clicking your current rating takes it back
+function libRatingHtml(myRating) {
+    const stars = [1, 2, 3, 4, 5].map(n => `
+        <button class="lib-star${myRating && n <= myRating ? ' on' : ''}" onclick="libRateCurrentEntry(${n})"
+            title="${myRating === n ? 'Remove your rating' : `Rate ${n} star${n > 1 ? 's' : ''}`}">★</button>`).join('');
+    return `<span class="lib-rating-label">${myRating ? 'Your rating' : 'Rate this note'}</span>${stars}`;
+}
+
+async function libRateCurrentEntry(stars) {
+    const id = _libCurrentEntryId;
+    const ratingEl = document.getElementById('libModalRating');
+    if (!id || !ratingEl) return;
+
+    const current = ratingEl.querySelectorAll('.lib-star.on').length || null;
+    try {
+        const result = current === stars
+            ? await window.api.library.unrate(id)
+            : await window.api.library.rate(id, stars);
+        if (_libCurrentEntryId !== id) return;
+        ratingEl.innerHTML = libRatingHtml(result.myRating);
+
+        Object.assign(_libCurrentStats, { ratingAverage: result.ratingAverage, ratingCount: result.ratingCount });
+        libRefreshStats(id);
+    } catch (err) {
+        showToast('❌ ' + err.message);
+    }
+}
+window.libRateCurrentEntry = libRateCurrentEntry;
+
+// ── Comments ──────────────────────────────────────────────────────────────────
+// Loaded when the modal opens; the list is re-rendered from _libComments after
+// every change. Only one reply or edit form is open at a time.
+let _libComments = [];
+let _libCommentForm = null; // { type: 'reply' | 'edit', id }
+
+// Light markdown for comments: `code`, **bold**, *italic*, [text](https://…)
+// and line breaks. Everything is escaped first, so no HTML gets through.
+function libRenderMarkdown(text) {
+    const codes = [];
+    let html = libEscHtml(text).replace(/`([^`\n]+)`/g, (m, code) => {
+        codes.push(code);
+        return `\u0000${codes.length - 1}\u0000`;
+    });
+    html = html
+        .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\n]+)\*/g, '$1<em>$2</em>')
+        .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g,
+            '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+        .replace(/\n/g, '<br>');
+    return html.replace(/\u0000(\d+)\u0000/g, (m, i) => `<code>${codes[i]}</code>`);
+}
+
+async function libLoadComments(id) {
+    const body = document.getElementById('libCommentsBody');
+    if (!body) return;
+    _libComments = [];
+    _libCommentForm = null;
+    body.innerHTML = '<div class="lib-comment-head">Loading comments…</div>';
+    libUpdateCommentsToggle();
+
+    try {
+        const data = await window.api.library.getComments(id);
+        if (_libCurrentEntryId !== id) return;
+        _libComments = data.comments;
+        libRenderComments();
+    } catch (err) {
+        if (_libCurrentEntryId === id) {
+            body.innerHTML = `<div class="lib-comment-head">❌ ${libEscHtml(err.message)}</div>`;
+        }
+    }
+}
+
+function libToggleComments() {
+    const section = document.getElementById('libModalComments');
+    if (section) section.classList.toggle('open');
+    libUpdateCommentsToggle();
+}
+window.libToggleComments = libToggleComments;
+
+function libUpdateCommentsToggle() {
+    const toggle = document.getElementById('libCommentsToggle');
+    const section = document.getElementById('libModalComments');
+    if (!toggle || !section) return;
+    const live = _libComments.filter(c => !c.deleted).length;
+    toggle.textContent = `${section.classList.contains('open') ? '▾' : '▸'} 💬 Comments (${live})`;
+}
+
+function libCommentFormHtml(value, submitLabel, onSubmit, onCancel) {
+    return `
+        <div class="lib-comment-form">
+            <textarea maxlength="2000" placeholder="Ask a question or leave a comment…">${libEscHtml(value)}</textarea>
+            <div class="lib-comment-form-actions">
+                <button class="lib-comment-submit" onclick="${onSubmit}">${submitLabel}</button>
+                ${onCancel ? `<button onclick="${onCancel}">Cancel</button>` : ''}
+                <span class="lib-comment-hint">**bold** *italic* \`code\` [link](https://…)</span>
+            </div>
+        </div>`;
+}
+
+function libCommentHtml(comment, childrenOf) {
+    const date = new Date(comment.createdAt).toLocaleDateString(undefined,
+        { month: 'short', day: 'numeric', year: 'numeric' });
+    const replies = (childrenOf.get(comment._id) || []).map(c => libCommentHtml(c, childrenOf)).join('');
+    const form = _libCommentForm && _libCommentForm.id === comment._id ? _libCommentForm.type : null;
+    const loggedIn = window.api && window.api.auth.isLoggedIn();
+
+    let main;
+    if (comment.deleted) {
+        main = '<div class="lib-comment-text lib-comment-deleted">[deleted]</div>';
+    } else if (form === 'edit') {
+        main = libCommentFormHtml(comment.body, 'Save', `libSubmitComment(this, '${comment._id}', 'edit')`,
+            'libCloseCommentForm()');
+    } else {
+        main = `
+            <div class="lib-comment-head">
+                <span class="lib-comment-author">${libEscHtml(comment.username)}</span>
+                · ${date}${comment.editedAt ? ' · edited' : ''}
+            </div>
+            <div class="lib-comment-text">${libRenderMarkdown(comment.body)}</div>
+            <div class="lib-comment-actions">
+                ${loggedIn ? `<button onclick="libOpenCommentForm('reply', '${comment._id}')">Reply</button>` : ''}
+                ${comment.canEdit ? `<button onclick="libOpenCommentForm('edit', '${comment._id}')">Edit</button>` : ''}
+                ${comment.canDelete ? `<button onclick="libDeleteComment('${comment._id}')">Delete</button>` : ''}
+            </div>`;
+    }
+
+    const replyForm = form === 'reply'
+        ? libCommentFormHtml('', 'Reply', `libSubmitComment(this, '${comment._id}', 'reply')`, 'libCloseCommentForm()')
+        : '';
+
+    return `<div class="lib-comment">${main}${replyForm}${replies}</div>`;
+}
+
+function libRenderComments() {
+    const body = document.getElementById('libCommentsBody');
+    if (!body) return;
+
+    const childrenOf = new Map();
+    _libComments.forEach(c => {
+        const key = c.parentId || 'root';
+        if (!childrenOf.has(key)) childrenOf.set(key, []);
+        childrenOf.get(key).push(c);
+    });
+
+    const threads = (childrenOf.get('root') || []).map(c => libCommentHtml(c, childrenOf)).join('');
+    const loggedIn = window.api && window.api.auth.isLoggedIn();
+
+    body.innerHTML = (threads || '<div class="lib-comment-head">No comments yet.</div>') +
+        (loggedIn
+            ? libCommentFormHtml('', 'Post', 'libSubmitComment(this, null, \'new\')', null)
+            : '<div class="lib-comment-head" style="margin-top:8px;">Sign in to join the discussion.</div>');
+    libUpdateCommentsToggle();
+}
+
+function libOpenCommentForm(type, id) {
+    _libCommentForm = { type, id };
+    libRenderComments();
+    const textarea = document.querySelector('#libCommentsBody .lib-comment .lib-comment-form textarea');
+    if (textarea) textarea.focus();
+}
+window.libOpenCommentForm = libOpenCommentForm;
+
+function libCloseCommentForm() {
+    _libCommentForm = null;
+    libRenderComments();
+}
+window.libCloseCommentForm = libCloseCommentForm;
+
+// mode: 'new' (top-level), 'reply' (to commentId) or 'edit' (commentId)
+async function libSubmitComment(button, commentId, mode) {
+    const entryId = _libCurrentEntryId;
+    const textarea = button.closest('.lib-comment-form').querySelector('textarea');
+    const text = textarea.value.trim();
+    if (!entryId || !text) return;
+
+    button.disabled = true;
+    try {
+        if (mode === 'edit') {
+            const data = await window.api.library.editComment(entryId, commentId, text);
+            _libComments = _libComments.map(c => c._id === commentId ? data.comment : c);
+        } else {
+            const data = await window.api.library.addComment(entryId, text, mode === 'reply' ? commentId : null);
+            _libComments.push(data.comment);
+        }
+        if (_libCurrentEntryId !== entryId) return;
+        _libCommentForm = null;
+        libRenderComments();
+    } catch (err) {
+        button.disabled = false;
+        showToast('❌ ' + err.message);
+    }
+}
+window.libSubmitComment = libSubmitComment;
+
+async function libDeleteComment(commentId) {
+    const entryId = _libCurrentEntryId;
+    if (!entryId || !confirm('Delete this comment?')) return;
+    try {
+        await window.api.library.deleteComment(entryId, commentId);
+        // Reload so replies to it keep their place under a [deleted] marker
+        await libLoadComments(entryId);
+    } catch (err) {
+        showToast('❌ ' + err.message);
+    }
+}
+window.libDeleteComment = libDeleteComment;
+
+// ── Reporting ─────────────────────────────────────────────────────────────────
+// Same reasons the server accepts (LibraryReport.REASONS)
+const LIB_REPORT_REASONS = {
+    spam: 'Spam or advertising',
+    inappropriate: 'Inappropriate content',
+    harassment: 'Harassment or hate',
+    copyright: 'Copyright or plagiarism',
+    other: 'Something else'
+};
+
+function libOpenReportForm() {
+    const form = document.getElementById('libReportForm');
+    if (!form || !_libCurrentEntryId) return;
+    const options = Object.entries(LIB_REPORT_REASONS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    form.innerHTML = `
+        <div class="lib-comment-form">
+            <label>What's wrong with this note? <select id="libReportReason">${options}</select></label>
+            <textarea id="libReportDetails" maxlength="500" placeholder="Anything the moderators should know (optional)"></textarea>
+            <div class="lib-comment-form-actions">
+                <button class="lib-comment-submit" onclick="libSubmitReport(this)">Send report</button>
+                <button onclick="libCloseReportForm()">Cancel</button>
+            </div>
         </div>`;
-    card.appendChild(body);
+    form.classList.add('open');
+}
+window.libOpenReportForm = libOpenReportForm;
 
-    const actions = document.createElement('div');
-    actions.className = 'lib-card-actions';
-    actions.innerHTML = `
-        <button class="lib-card-btn"              onclick="libOpenModal('${entry.id}')">👁 View</button>
-        <button class="lib-card-btn lib-btn-clone"    onclick="libCloneEntry('${entry.id}')">📋 Clone</button>
-        <button class="lib-card-btn lib-btn-download" onclick="libDownloadEntry('${entry.id}')">⬇ Download</button>
-        ${isOwner ? `<button class="lib-card-btn lib-btn-delete"
-                        onclick="libDeleteEntry('${entry.id}')" title="Remove from library">🗑</button>` : ''}`;
-    card.appendChild(actions);
-    return card;
+function libCloseReportForm() {
+    const form = document.getElementById('libReportForm');
+    if (!form) return;
+    form.classList.remove('open');
+    form.innerHTML = '';
 }
+window.libCloseReportForm = libCloseReportForm;
+
+async function libSubmitReport(button) {
+    const id = _libCurrentEntryId;
+    const reason = document.getElementById('libReportReason').value;
+    const details = document.getElementById('libReportDetails').value.trim();
+    if (!id) return;
+
+    button.disabled = true;
+    try {
+        const result = await window.api.library.report(id, reason, details);
+        showToast('🚩 ' + result.message);
+        if (result.hidden) {
+            // Enough reports: the entry has left the public library
+            libCloseModal();
+            libRenderCards();
+        } else if (_libCurrentEntryId === id) {
+            libCloseReportForm();
+            document.getElementById('libModalReport').textContent = '🚩 Reported';
+        }
+    } catch (err) {
+        button.disabled = false;
+        showToast('❌ ' + err.message);
+    }
+}
+window.libSubmitReport = libSubmitReport;
 
 // ── Open details modal ────────────────────────────────────────────────────────
 async function libOpenModal(id) {
     const entry = await window.LIBRARY.getById(id);
     if (!entry) return;
     _libCurrentEntryId = id;
+    _libCurrentStats = {
+        ratingAverage: entry.ratingAverage,
+        ratingCount: entry.ratingCount,
+        cloneCount: entry.cloneCount,
+        viewCount: entry.viewCount
+    };
 
     const libUser = window.api && window.api.auth.isLoggedIn() ? window.api.auth.getCurrentUser() : null;
     const isOwner = libUser && (entry.authorId === libUser.id || entry.authorId === libUser._id);
@@ -805,7 +3142,17 @@ async function libOpenModal(id) {
         ${date ? `<span style="font-family:'Kalam',cursive;font-size:0.8rem;color:#718096;">📅 ${date}</span>` : ''}
         ${tagsHtml}
         ${isOwner ? `<span style="font-family:'Kalam',cursive;font-size:0.75rem;
-                          background:#2c3e50;color:#fff;padding:2px 8px;border-radius:8px;">✏️ mine</span>` : ''}`;
+                          background:#2c3e50;color:#fff;padding:2px 8px;border-radius:8px;">✏️ mine</span>` : ''}
+        <div class="lib-card-meta lib-card-stats" id="libModalStats" style="width:100%;">${libStatsHtml(entry)}</div>
+        ${libUser && !isOwner ? `<div class="lib-rating" id="libModalRating">${libRatingHtml(entry.myRating)}</div>` : ''}`;
+
+    libRefreshStats(id); // the card picks up the view just counted
+    libLoadComments(id);
+
+    libCloseReportForm();
+    const reportBtn = document.getElementById('libModalReport');
+    reportBtn.style.display = libUser && !isOwner ? '' : 'none';
+    reportBtn.textContent = entry.reported ? '🚩 Reported' : '🚩 Report';
 
     const overlay = document.getElementById('libViewModal');
     const contentArea = document.getElementById('libModalContent');
@@ -817,9 +3164,7 @@ async function libOpenModal(id) {
         contentArea.innerHTML = libRenderCheatSheet(entry);
     } else {
         overlay.classList.remove('lib-cheatsheet');
-        contentArea.innerHTML = (entry.content || '<p>(empty)</p>')
-            .replace(/<script[\s\S]*?<\/script>/gi, '')
-            .replace(/on\w+\s*=\s*"[^"]*"/gi, '');
+        contentArea.innerHTML = libSanitizeHtml(entry.content || '<p>(empty)</p>');
     }
 
     overlay.classList.add('open');
@@ -830,6 +3175,9 @@ function libCloseModal() {
     const overlay = document.getElementById('libViewModal');
     if (overlay) overlay.classList.remove('open', 'lib-cheatsheet');
     _libCurrentEntryId = null;
+    _libComments = [];
+    _libCommentForm = null;
+    libCloseReportForm();
 }
 window.libCloseModal = libCloseModal;
 
@@ -843,11 +3191,82 @@ function libDownloadCurrentEntry() { if (_libCurrentEntryId) libDownloadEntry(_l
 window.libCloneCurrentEntry = libCloneCurrentEntry;
 window.libDownloadCurrentEntry = libDownloadCurrentEntry;
 
+// ── HTML sanitizer ────────────────────────────────────────────────────────────
+// Other people's notes (library entries, share links) render on the app's own
+// origin, next to our tokens in localStorage. Only allowlisted elements and
+// attributes survive, and links and images only with a safe URL scheme.
+const LIB_SAFE_TAGS = new Set([
+    'p', 'br', 'div', 'span', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr',
+    'strong', 'b', 'em', 'i', 'u', 's', 'strike', 'del', 'ins', 'sub', 'sup', 'mark', 'small',
+    'font', 'abbr', 'q', 'cite', 'code', 'pre', 'kbd', 'samp', 'blockquote',
+    'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'details', 'summary',
+    'table', 'caption', 'colgroup', 'col', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+    'a', 'img', 'figure', 'figcaption'
+]);
+// Dropped with everything inside them; other unknown elements keep their content
+const LIB_DROP_TAGS = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'link', 'meta', 'base',
+    'form', 'input', 'button', 'textarea', 'select', 'option', 'template', 'noscript', 'svg', 'math'
+]);
+const LIB_SAFE_ATTRS = new Set([
+    'class', 'style', 'title', 'alt', 'colspan', 'rowspan', 'width', 'height',
+    'align', 'valign', 'color', 'face', 'size', 'start', 'type', 'open'
+]);
+const LIB_URL_ATTRS = { a: 'href', img: 'src' };
+
+function libIsSafeUrl(value, isImage) {
+    try {
+        const url = new URL(value, window.location.href);
+        if (url.protocol === 'http:' || url.protocol === 'https:') return true;
+        if (!isImage) return url.protocol === 'mailto:';
+        return /^data:image\/(png|jpe?g|gif|webp|bmp);/i.test(String(value).trim());
+    } catch (e) {
+        return false;
+    }
+}
+
+function libSanitizeHtml(html) {
+    // A DOMParser document is inert: nothing in it runs or loads while we clean it
+    const doc = new DOMParser().parseFromString(`<body>${html || ''}</body>`, 'text/html');
+    const clean = (parent) => {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove(); // Comments and the like
+                return;
+            }
+
+            const tag = node.localName;
+            if (!LIB_SAFE_TAGS.has(tag)) {
+                if (LIB_DROP_TAGS.has(tag)) {
+                    node.remove();
+                } else {
+                    clean(node);
+                    node.replaceWith(...node.childNodes);
+                }
+                return;
+            }
+
+            Array.from(node.attributes).forEach(attr => {
+                const name = attr.name.toLowerCase();
+                const allowed = LIB_SAFE_ATTRS.has(name) ||
+                    (LIB_URL_ATTRS[tag] === name && libIsSafeUrl(attr.value, tag === 'img'));
+                if (!allowed) node.removeAttribute(attr.name);
+            });
+            if (tag === 'a' && node.hasAttribute('href')) {
+                node.setAttribute('target', '_blank');
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+            clean(node);
+        });
+    };
+    clean(doc.body);
+    return doc.body.innerHTML;
+}
+window.libSanitizeHtml = libSanitizeHtml;
+
 // ── Cheat-sheet renderer ──────────────────────────────────────────────────────
 function libRenderCheatSheet(entry) {
-    const sanitize = (html) => (html || '')
-        .replace(/<script[\s\S]*?<\/script>/gi, '')
-        .replace(/on\w+\s*=\s*["'][^"']*["']/gi, '');
 
     let html = `
         <div class="cs-note-header">
@@ -869,7 +3288,7 @@ function libRenderCheatSheet(entry) {
             <div class="cs-tag-box">${tagBoxInner}</div>
             <span class="cs-section-title">${libEscHtml(section.title || 'Untitled Page')}</span>
             <div class="cs-section-body">
-                ${hasBody ? sanitize(section.content)
+                ${hasBody ? libSanitizeHtml(section.content)
                 : '<p style="color:#aaa;font-style:italic;">No content</p>'}
             </div>
         </div>`;
@@ -953,7 +3372,7 @@ async function libHandleImport(e) {
                 libRenderCards();
                 if (typeof renderSidebar === 'function') renderSidebar();
             } catch (err) {
-                showToast('❌ Failed to import HTML to Library');
+                showToast('❌ Failed to import HTML to Library: ' + err.message);
                 console.error(err);
             }
         } else {
@@ -999,11 +3418,21 @@ function libEscHtml(str) {
 document.addEventListener('DOMContentLoaded', () => {
     const searchEl = document.getElementById('libSearchInput');
     const filterEl = document.getElementById('libCategoryFilter');
+    const templateEl = document.getElementById('libTemplateFilter');
+    const sortEl = document.getElementById('libSortSelect');
+    const bodyEl = document.getElementById('libBody');
     const importEl = document.getElementById('libImportFileInput');
     const panel = document.getElementById('libraryPanel');
 
-    if (searchEl) searchEl.addEventListener('input', libRenderCards);
+    let searchTimer = null;
+    if (searchEl) searchEl.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(libRenderCards, 250);
+    });
     if (filterEl) filterEl.addEventListener('change', libRenderCards);
+    if (templateEl) templateEl.addEventListener('change', libRenderCards);
+    if (sortEl) sortEl.addEventListener('change', libRenderCards);
+    if (bodyEl) bodyEl.addEventListener('scroll', libMaybeLoadMore, { passive: true });
     if (importEl) importEl.addEventListener('change', libHandleImport);
 
     // Close panel on Escape (only when panel is open)
@@ -3196,8 +5625,10 @@ class WidgetRailManager {
 (function () {
     const p = window.location.pathname.toLowerCase();
     const isLoginPage = p.endsWith('login.html') || p.endsWith('/login') || p.endsWith('/login/');
+    // Unlisted share links are opened by people without an account
+    const isSharePage = p.endsWith('share.html') || p.endsWith('/share') || p.endsWith('/share/');
 
-    if (window.AUTH && !window.AUTH.isAuthenticated() && !isLoginPage) {
+    if (window.AUTH && !window.AUTH.isAuthenticated() && !isLoginPage && !isSharePage) {
         window.location.replace('/login');
     }
 })();
@@ -3272,13 +5703,162 @@ const BRAIN_SVG = `
             </svg>
         `;
 
-// --- API STORAGE ENGINE (DB v3) ---
-const DB_NAME = 'NotebookDB_vSeq_api_migrated';
+// --- LOCAL-FIRST STORAGE ENGINE (DB v6) ---
+// Every write lands in a per-user IndexedDB first. Cloud mutations are queued
+// in the `outbox` store and drained by SYNC_ENGINE.drainOutbox() whenever we
+// are online and logged in, so nothing is lost across reloads or offline spells.
+// The `meta` store keeps the sync cursor next to the data it describes.
 const STORE_NAME = 'chapters';
-let db = null; // Removed IndexedDB local reference
+const OUTBOX_STORE = 'outbox';
+const META_STORE = 'meta';
+let db = null;
 
 async function initDB() {
-    return Promise.resolve(null);
+    if (db) return db;
+    const dbName = window.AUTH ? window.AUTH.getDbName() : 'NotebookDB_vSeq_anonymous';
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 6);
+        request.onupgradeneeded = (e) => {
+            const upgradeDb = e.target.result;
+            if (!upgradeDb.objectStoreNames.contains(STORE_NAME)) {
+                upgradeDb.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            }
+            if (!upgradeDb.objectStoreNames.contains(OUTBOX_STORE)) {
+                const outbox = upgradeDb.createObjectStore(OUTBOX_STORE, { keyPath: 'seq', autoIncrement: true });
+                outbox.createIndex('chapterId', 'chapterId', { unique: false });
+            }
+            if (!upgradeDb.objectStoreNames.contains(META_STORE)) {
+                upgradeDb.createObjectStore(META_STORE);
+            }
+        };
+        request.onsuccess = (e) => { db = e.target.result; resolve(db); };
+        request.onerror = () => reject(request.error || new Error('DB Error'));
+    });
+}
+
+// Small promise wrapper around a single-store IndexedDB transaction
+async function idbRequest(storeName, mode, fn) {
+    await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const result = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function getLocalChapter(id) {
+    return idbRequest(STORE_NAME, 'readonly', store => store.get(id));
+}
+
+function putLocalChapter(chapter) {
+    return idbRequest(STORE_NAME, 'readwrite', store => store.put(chapter));
+}
+
+function getSyncMeta(key) {
+    return idbRequest(META_STORE, 'readonly', store => store.get(key));
+}
+
+function setSyncMeta(key, value) {
+    return idbRequest(META_STORE, 'readwrite', store => store.put(value, key));
+}
+
+// Outbox entries: { seq, op: 'create'|'update'|'delete'|'bulk-delete', chapterId,
+// noteId, noteIds, queuedAt, attempts, nextAttemptAt, lastError, failed }
+const OUTBOX_BACKOFF_BASE_MS = 2000;
+const OUTBOX_BACKOFF_MAX_MS = 5 * 60 * 1000;
+const OUTBOX_PUSH_MAX_CHANGES = 100; // Matches the server's per-push limit
+const OUTBOX_PUSH_MAX_BYTES = 4 * 1024 * 1024; // Stay under serverless request body limits
+const outboxInFlight = new Set(); // Entries currently being pushed — never merged into
+
+// Queue a cloud mutation. Creates/updates read the chapter at push time, so a
+// repeated save of the same chapter merges into the entry already waiting.
+// A delete cancels that chapter's waiting saves instead of queuing behind them.
+function enqueueOutbox(entry) {
+    const record = {
+        ...entry,
+        queuedAt: new Date().toISOString(),
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: null,
+        failed: false
+    };
+
+    return idbRequest(OUTBOX_STORE, 'readwrite', store => {
+        if (!entry.chapterId) {
+            store.add(record);
+            return;
+        }
+        const req = store.index('chapterId').getAll(entry.chapterId);
+        req.onsuccess = () => {
+            const waiting = req.result.filter(e =>
+                (e.op === 'create' || e.op === 'update') && !outboxInFlight.has(e.seq));
+
+            if (entry.op === 'create' || entry.op === 'update') {
+                if (waiting.length > 0) {
+                    const target = waiting[0];
+                    store.put({ ...target, mergedCount: (target.mergedCount || 0) + 1 });
+                    return;
+                }
+                store.add(record);
+                return;
+            }
+
+            waiting.forEach(e => store.delete(e.seq));
+            const inFlight = req.result.some(e => outboxInFlight.has(e.seq));
+            // A chapter that never reached the server has nothing to delete there
+            if (record.noteId || inFlight) store.add(record);
+        };
+    });
+}
+
+function patchOutboxEntry(seq, patch) {
+    return idbRequest(OUTBOX_STORE, 'readwrite', store => {
+        const req = store.get(seq);
+        req.onsuccess = () => {
+            if (req.result) store.put({ ...req.result, ...patch });
+        };
+        return req;
+    });
+}
+
+function getOutboxEntries() {
+    return idbRequest(OUTBOX_STORE, 'readonly', store => store.getAll());
+}
+
+function removeOutboxEntry(seq) {
+    return idbRequest(OUTBOX_STORE, 'readwrite', store => store.delete(seq));
+}
+
+// Read-modify-write inside one transaction so a concurrent save isn't clobbered
+function patchLocalChapter(id, patch) {
+    return idbRequest(STORE_NAME, 'readwrite', store => {
+        const req = store.get(id);
+        req.onsuccess = () => {
+            if (req.result) store.put({ ...req.result, ...patch });
+        };
+        return req;
+    });
+}
+
+// Convert a server note into the front-end chapter shape
+function chapterFromNote(n) {
+    const chapter = n.frontEndData || {};
+    chapter._id = n._id;
+    chapter.id = n._id; // Enforce mongo ID for chapters first seen on the server
+    chapter.title = n.title;
+    chapter.content = n.content;
+    chapter.tags = n.tags;
+    chapter.revision = n.revision || 0;
+    chapter.share = n.share || null; // Set on notes other users shared with us
+    return chapter;
+}
+
+// Viewers and commenters of a shared note can read it but not change it
+// (commenters comment from the share panel)
+function isReadOnlyChapter(chapter) {
+    return !!(chapter && chapter.share && chapter.share.role !== 'editor');
 }
 
 async function saveChapterToDB(chapter) {
@@ -3287,81 +5867,63 @@ async function saveChapterToDB(chapter) {
     }
     chapter.updatedAt = new Date().toISOString();
 
+    await putLocalChapter(chapter);
+    if (isReadOnlyChapter(chapter)) return; // The server would refuse it anyway
+    await enqueueOutbox({ op: chapter._id ? 'update' : 'create', chapterId: chapter.id });
+
     if (!window.api || !window.api.auth.isLoggedIn()) {
-        if (window.SYNC_ENGINE) window.SYNC_ENGINE.updateStatus('🔴 Saved locally (Not logged in)');
+        if (window.SYNC_ENGINE) window.SYNC_ENGINE.updateStatus('💾 Saved locally (Not logged in)');
         return;
     }
 
-    if (window.SYNC_ENGINE) window.SYNC_ENGINE.updateStatus('⏳ Saving to cloud...');
-
-    try {
-        if (chapter._id) {
-            await window.api.notes.update(chapter._id, {
-                title: chapter.title,
-                content: chapter.content,
-                tags: chapter.tags,
-                frontEndData: chapter
-            });
-        } else {
-            const data = await window.api.notes.create({
-                title: chapter.title,
-                content: chapter.content || '',
-                tags: chapter.tags,
-                frontEndData: chapter
-            });
-            chapter._id = data.note._id;
-            chapter.id = data.note._id; // Make the frontend ID match the backend _id
-        }
-        
-        // Keep sync horizon updated so we don't fetch our own save
-        if (window.SYNC_ENGINE) {
-            window.SYNC_ENGINE.updateStatus('🟢 Synced');
-            window.SYNC_ENGINE.lastSync = new Date().toISOString();
-        }
-    } catch (err) {
-        console.error('Failed to save chapter to API:', err);
-        if (window.SYNC_ENGINE) window.SYNC_ENGINE.updateStatus('🔴 Sync failed - Will retry');
-    }
+    // Callers (e.g. publish) rely on chapter._id being set once this resolves
+    if (window.SYNC_ENGINE) await window.SYNC_ENGINE.drainOutbox();
 }
 
+// Local copy first, then whatever changed on the server since our cursor
 async function loadAllChapters() {
-    if (!window.api || !window.api.auth.isLoggedIn()) return [];
+    chapters = (await idbRequest(STORE_NAME, 'readonly', store => store.getAll())) || [];
+    if (!window.SYNC_ENGINE || !window.api || !window.api.auth.isLoggedIn() || !navigator.onLine) return chapters;
+
     try {
-        const data = await window.api.notes.getAll();
-        return data.notes.map(n => {
-            const chapter = n.frontEndData || {};
-            chapter._id = n._id;
-            chapter.id = n._id; // Enforce mongo ID
-            chapter.title = n.title;
-            chapter.content = n.content;
-            chapter.tags = n.tags;
-            return chapter;
-        });
+        await window.SYNC_ENGINE.pullChanges();
     } catch (err) {
-        console.error('Failed to load chapters from API:', err);
-        return [];
+        console.error('Failed to pull changes from API, using local copy:', err);
     }
+
+    window.SYNC_ENGINE.drainOutbox();
+    return chapters;
 }
 
 async function deleteChapterFromDB(id) {
-    if (!window.api || !window.api.auth.isLoggedIn()) return;
-    try {
-        await window.api.notes.delete(id);
-    } catch (err) {
-        console.error('Failed to delete chapter via API:', err);
+    const existing = await getLocalChapter(id);
+
+    // Deleting a note someone shared with us just leaves it; theirs stays intact
+    if (existing && existing.share) {
+        await idbRequest(STORE_NAME, 'readwrite', store => store.delete(id));
+        if (!window.api || !window.api.auth.isLoggedIn()) return;
+        try {
+            await window.api.notes.revokeShare(existing._id, existing.share._id);
+        } catch (err) {
+            showToast('❌ Could not leave shared note: ' + err.message);
+        }
+        return;
     }
+
+    await idbRequest(STORE_NAME, 'readwrite', store => store.delete(id));
+    await enqueueOutbox({ op: 'delete', chapterId: id, noteId: existing ? existing._id : undefined });
+    if (window.SYNC_ENGINE) await window.SYNC_ENGINE.drainOutbox();
 }
 
 async function clearDB() {
-    if (!window.api || !window.api.auth.isLoggedIn()) return;
-    try {
-        const data = await window.api.notes.getAll();
-        for (const n of data.notes) {
-            await window.api.notes.delete(n._id);
-        }
-    } catch (err) {
-        console.error('Failed to clear DB via API:', err);
-    }
+    const local = (await idbRequest(STORE_NAME, 'readonly', store => store.getAll())) || [];
+    await idbRequest(STORE_NAME, 'readwrite', store => store.clear());
+    const noteIds = local.filter(c => !c.share).map(c => c._id).filter(Boolean);
+    // Chunked so each entry fits in a single push
+    for (let i = 0; i < noteIds.length; i += OUTBOX_PUSH_MAX_CHANGES) {
+        await enqueueOutbox({ op: 'bulk-delete', noteIds: noteIds.slice(i, i + OUTBOX_PUSH_MAX_CHANGES) });
+    }
+    if (window.SYNC_ENGINE) await window.SYNC_ENGINE.drainOutbox();
 }
 
 async function updateStorageQuota() {
@@ -5033,7 +7595,7 @@ window.toggleTopTools = () => {
 };
 
 window.wipeAllData = async () => {
-    if (confirm("DANGER: This will delete ALL notes forever. Are you sure?")) {
+    if (confirm("This will move ALL notes to the Trash. Are you sure?")) {
         await clearDB();
         location.reload();
     }
@@ -6293,7 +8855,7 @@ window.importData = (input) => {
                             showToast("✅ HTML imported to Library!");
                             if (typeof openLibraryPanel === 'function') openLibraryPanel();
                         } catch (err) {
-                            showToast("❌ Failed to import HTML to Library");
+                            showToast("❌ Failed to import HTML to Library: " + err.message);
                             console.error(err);
                         }
                     } else {
@@ -6695,7 +9257,7 @@ window.deleteChapter = async (id, event) => {
     } else {
         renderSidebar();
     }
-    showToast("Page Deleted");
+    showToast("Page moved to Trash");
 };
 
 // ==================== RESIZABLE + DRAGGABLE IMAGE WRAPPER ====================
@@ -7212,7 +9774,8 @@ function debounceSave(chapter) {
             saveQueue.delete(chapter.id);
             try {
                 await saveChapterToDB(chapter);
-                document.getElementById('saveStatus').innerText = 'All changes saved';
+                const pending = window.SYNC_ENGINE ? await window.SYNC_ENGINE.updatePendingStatus() : 0;
+                if (!pending) document.getElementById('saveStatus').innerText = 'All changes saved';
                 document.getElementById('saveStatus').style.color = 'var(--save-color)';
             } catch (error) {
                 console.error('Save error:', error);
@@ -8065,28 +10628,61 @@ function openAccountModal() {
 
     const user = window.AUTH.getCurrentUser();
     if (!user) return;
+    // Users stored before providers were reported all had passwords
+    const hasPassword = !user.providers || user.providers.includes('password');
 
     const modal = document.createElement('div');
     modal.id = 'accountModal';
     modal.className = 'floating-pane';
-    modal.style.cssText = 'display:block; width:310px; z-index:3000; top:260px; right:20px;';
+    modal.style.cssText = 'display:block; width:310px; max-height:80vh; overflow-y:auto; z-index:3000; top:260px; right:20px;';
     modal.innerHTML = `
         <h3 style="margin-bottom:15px; font-family:'Caveat',cursive; font-size:1.3rem;">👤 Account</h3>
 
+        <div style="display:flex; gap:6px; margin-bottom:12px;">
+            <button class="tool-btn acc-tab" data-tab="Account" style="justify-content:center;"
+                    onclick="switchAccountTab('Account')">⚙️ Settings</button>
+            <button class="tool-btn acc-tab" data-tab="Devices" style="justify-content:center;"
+                    onclick="switchAccountTab('Devices')">💻 Devices</button>
+            <button class="tool-btn acc-tab" data-tab="Activity" style="justify-content:center;"
+                    onclick="switchAccountTab('Activity')">🕑 Activity</button>
+        </div>
+
+        <div id="accTabAccount">
         <div class="meta-group" style="margin-bottom:12px;">
             <label class="meta-label">Display Name</label>
             <div style="display:flex; gap:6px; align-items:center;">
                 <input class="meta-value" id="accName" type="text" value="${user.displayName}" placeholder="Your name"/>
+                <input id="accColor" type="color" value="${user.avatarColor || '#2c3e50'}" title="Avatar color"
+                       style="width:32px; height:28px; padding:0; border:none; background:none; cursor:pointer;"/>
                 <button class="tool-btn" id="accNameSave"
                         style="width:auto; padding:4px 10px; font-size:0.8rem; background:var(--save-color); color:white;"
                         onclick="saveDisplayName()">Save</button>
             </div>
         </div>
 
+        <div class="meta-group" style="margin-bottom:12px; font-size:0.8rem;">
+            <label class="meta-label">Email</label>
+            <div>${libEscHtml(user.email || '')}
+                ${user.emailVerified
+                    ? '<span style="color:var(--save-color);">· ✓ confirmed</span>'
+                    : `<span style="color:#e67e22;">· not confirmed</span>
+                       <button class="tool-btn" style="width:auto; padding:2px 8px; font-size:0.75rem; margin-top:4px;"
+                               onclick="resendVerificationEmail(this)">✉️ Resend link</button>
+                       <div style="font-size:0.7rem; opacity:0.7; margin-top:2px;">Confirm it to publish to the public library.</div>`}
+            </div>
+        </div>
+
+        <div class="meta-group" style="border-top:1px dashed #ddd; padding-top:12px; margin-top:4px;">
+            <label class="meta-label" style="margin-bottom:8px; display:block;">🔑 Sign-in Methods</label>
+            <ul id="accProviders" style="list-style:none; font-size:0.8rem;"></ul>
+        </div>
+
         <div class="meta-group" style="border-top:1px dashed #ddd; padding-top:12px; margin-top:4px;">
-            <label class="meta-label" style="margin-bottom:8px; display:block;">Change Password</label>
-            <input class="meta-value" id="accOldPw" type="password" placeholder="Current password" style="margin-bottom:6px;"/>
-            <input class="meta-value" id="accNewPw" type="password" placeholder="New password (min 6)" style="margin-bottom:6px;"/>
+            <label class="meta-label" style="margin-bottom:8px; display:block;">${hasPassword ? 'Change Password' : 'Set a Password'}</label>
+            ${hasPassword ? '' : '<p style="font-size:0.75rem; color:#7f8c8d; margin-bottom:6px;">You sign in with Google. Add a password to sign in with your email too.</p>'}
+            <input class="meta-value" id="accOldPw" type="password" placeholder="Current password"
+                   style="margin-bottom:6px; ${hasPassword ? '' : 'display:none;'}"/>
+            <input class="meta-value" id="accNewPw" type="password" placeholder="New password" style="margin-bottom:6px;"/>
             <input class="meta-value" id="accConfPw" type="password" placeholder="Confirm new password" style="margin-bottom:8px;"/>
             <button class="tool-btn" style="background:var(--save-color); color:white; justify-content:center;"
                     onclick="savePassword()">🔒 Update Password</button>
@@ -8094,24 +10690,364 @@ function openAccountModal() {
         </div>
 
         <div class="meta-group" style="border-top:1px dashed #ddd; padding-top:12px; margin-top:4px;">
+            <label class="meta-label" style="margin-bottom:8px; display:block;">🛡️ Two-Factor Authentication</label>
+            <div id="acc2fa" style="font-size:0.8rem;"></div>
+        </div>
+
+        <div class="meta-group" style="border-top:1px dashed #ddd; padding-top:12px; margin-top:4px;">
+            <label class="meta-label" style="margin-bottom:8px; display:block;">🔗 Share Links</label>
+            <ul id="accLinks" style="list-style:none; max-height:180px; overflow-y:auto;"></ul>
+        </div>
+
+        <div class="meta-group" style="border-top:1px dashed #ddd; padding-top:12px; margin-top:4px;">
+            <button class="tool-btn" style="justify-content:center; margin-bottom:8px;"
+                    onclick="confirmLogoutAll()">↩️ Sign Out All Devices</button>
             <button class="tool-btn btn-danger" style="justify-content:center;"
                     onclick="confirmDeleteAccount()">⚠ Delete Account & All Notes</button>
         </div>
+        </div>
+
+        <div id="accTabDevices" style="display:none;">
+            <p style="font-size:0.75rem; color:#7f8c8d; margin-bottom:8px;">Devices signed in to your account.
+                Sign out any you don't recognise or no longer use.</p>
+            <ul id="accDevices" style="list-style:none;"></ul>
+        </div>
+
+        <div id="accTabActivity" style="display:none;">
+            <p style="font-size:0.75rem; color:#7f8c8d; margin-bottom:8px;">Recent sign-in attempts on your account.
+                If something looks wrong, change your password and sign out other devices.</p>
+            <ul id="accActivity" style="list-style:none;"></ul>
+        </div>
 
         <button class="tool-btn" style="margin-top:10px; background:#eee;"
                 onclick="document.getElementById('accountModal').remove()">Close</button>
     `;
 
     document.body.appendChild(modal);
+    switchAccountTab('Account');
+    renderAccountProviders();
+    renderAccountTwoFactor();
+    renderAccountShareLinks();
+}
+
+function switchAccountTab(tab) {
+    ['Account', 'Devices', 'Activity'].forEach(name => {
+        const panel = document.getElementById('accTab' + name);
+        if (panel) panel.style.display = name === tab ? '' : 'none';
+    });
+    document.querySelectorAll('#accountModal .acc-tab').forEach(btn => {
+        btn.style.background = btn.dataset.tab === tab ? 'var(--save-color)' : '#eee';
+        btn.style.color = btn.dataset.tab === tab ? 'white' : '';
+    });
+    if (tab === 'Devices') renderAccountDevices();
+    if (tab === 'Activity') renderAccountActivity();
+}
+window.switchAccountTab = switchAccountTab;
+
+// "Chrome on Windows" from a user-agent string; good enough to tell devices apart
+function describeUserAgent(ua) {
+    if (!ua) return 'Unknown device';
+    const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+        .find(([token]) => ua.includes(token));
+    const os = [['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['CrOS', 'ChromeOS'], ['Linux', 'Linux']]
+        .find(([token]) => ua.includes(token));
+    if (!browser && !os) return ua.slice(0, 40);
+    return `${browser ? browser[1] : 'Browser'} on ${os ? os[1] : 'unknown OS'}`;
+}
+
+async function renderAccountDevices() {
+    const list = document.getElementById('accDevices');
+    if (!list) return;
+
+    list.innerHTML = '<li style="font-size:0.75rem; opacity:0.7;">Loading…</li>';
+    try {
+        const { sessions } = await window.api.auth.getSessions();
+        list.innerHTML = sessions.map(s => `
+            <li style="display:flex; align-items:center; gap:6px; font-size:0.75rem; padding:6px 0; border-top:1px dashed #eee;">
+                <div style="flex:1; min-width:0;">
+                    <div title="${libEscHtml(s.userAgent)}"><strong>${libEscHtml(describeUserAgent(s.userAgent))}</strong>
+                        ${s.current ? '<span style="color:var(--save-color);">· this device</span>' : ''}</div>
+                    <div style="opacity:0.6;">${libEscHtml(s.ip || 'Unknown IP')}</div>
+                    <div style="opacity:0.6;">Signed in ${new Date(s.createdAt).toLocaleString()}</div>
+                    <div style="opacity:0.6;">Last seen ${new Date(s.lastUsedAt).toLocaleString()}</div>
+                </div>
+                <button class="up-btn" title="Sign out this device"
+                        onclick="revokeAccountDevice('${s._id}', ${s.current})">✕</button>
+            </li>`).join('') || '<li style="font-size:0.75rem; opacity:0.7;">No active sessions.</li>';
+    } catch (err) {
+        list.innerHTML = `<li style="font-size:0.75rem;">❌ ${libEscHtml(err.message)}</li>`;
+    }
+}
+
+const LOGIN_OUTCOME_LABELS = {
+    success: '✓ Signed in',
+    challenge: '… Password OK, awaiting 2FA code',
+    bad_password: '✕ Wrong password',
+    bad_code: '✕ Wrong 2FA code',
+    locked: '🔒 Refused — account locked'
+};
+const LOGIN_METHOD_LABELS = { password: 'password', google: 'Google', two_factor: '2FA code' };
+
+async function renderAccountActivity() {
+    const list = document.getElementById('accActivity');
+    if (!list) return;
+
+    list.innerHTML = '<li style="font-size:0.75rem; opacity:0.7;">Loading…</li>';
+    try {
+        const { events } = await window.api.auth.getLoginHistory();
+        list.innerHTML = events.map(e => `
+            <li style="font-size:0.75rem; padding:6px 0; border-top:1px dashed #eee;">
+                <div style="color:${e.outcome === 'success' ? 'var(--save-color)' : e.outcome === 'challenge' ? 'inherit' : '#e74c3c'};">
+                    <strong>${LOGIN_OUTCOME_LABELS[e.outcome] || libEscHtml(e.outcome)}</strong>
+                    <span style="opacity:0.7;">with ${LOGIN_METHOD_LABELS[e.method] || libEscHtml(e.method)}</span></div>
+                <div style="opacity:0.6;" title="${libEscHtml(e.userAgent)}">${libEscHtml(describeUserAgent(e.userAgent))} · ${libEscHtml(e.ip || 'Unknown IP')}</div>
+                <div style="opacity:0.6;">${new Date(e.createdAt).toLocaleString()}</div>
+            </li>`).join('') || '<li style="font-size:0.75rem; opacity:0.7;">No sign-in attempts recorded yet.</li>';
+    } catch (err) {
+        list.innerHTML = `<li style="font-size:0.75rem;">❌ ${libEscHtml(err.message)}</li>`;
+    }
+}
+
+async function revokeAccountDevice(sessionId, isCurrent) {
+    if (isCurrent) {
+        if (confirm('Sign out of this device?')) window.AUTH.logout();
+        return;
+    }
+    try {
+        await window.api.auth.revokeSession(sessionId);
+        showToast('💻 Device signed out');
+        renderAccountDevices();
+    } catch (err) {
+        showToast('❌ Could not sign device out: ' + err.message);
+    }
+}
+window.revokeAccountDevice = revokeAccountDevice;
+
+// Unlisted read-only links on the user's notes, each revocable
+async function renderAccountShareLinks() {
+    const list = document.getElementById('accLinks');
+    if (!list) return;
+
+    if (!window.api || !window.api.auth.isLoggedIn()) {
+        list.innerHTML = '<li style="font-size:0.75rem; opacity:0.7;">Sign in to share links to your notes.</li>';
+        return;
+    }
+
+    list.innerHTML = '<li style="font-size:0.75rem; opacity:0.7;">Loading…</li>';
+    try {
+        const { links } = await window.api.notes.getLinks();
+        if (links.length === 0) {
+            list.innerHTML = '<li style="font-size:0.75rem; opacity:0.7;">No share links. Create one from a note\'s 👥 Share panel.</li>';
+            return;
+        }
+
+        list.innerHTML = links.map(link => {
+            const expired = link.expiresAt && new Date(link.expiresAt) < new Date();
+            const expiry = link.expiresAt
+                ? `${expired ? 'expired' : 'expires'} ${new Date(link.expiresAt).toLocaleDateString()}`
+                : 'never expires';
+            return `
+                <li style="display:flex; align-items:center; gap:6px; font-size:0.75rem; padding:4px 0; border-top:1px dashed #eee;">
+                    <div style="flex:1; min-width:0;">
+                        <a href="${libEscHtml(window.api.share.getViewerUrl(link.token))}" target="_blank" rel="noopener"
+                           style="display:block; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${libEscHtml(link.noteTitle || 'Untitled')}</a>
+                        <div style="opacity:0.6;">${link.views} view${link.views === 1 ? '' : 's'} · ${expiry}${link.hasPassword ? ' · 🔒' : ''}</div>
+                    </div>
+                    <button class="up-btn" title="Revoke link" onclick="revokeAccountShareLink('${link.noteId}', '${link._id}')">✕</button>
+                </li>`;
+        }).join('');
+    } catch (err) {
+        list.innerHTML = `<li style="font-size:0.75rem;">❌ ${libEscHtml(err.message)}</li>`;
+    }
+}
+
+async function revokeAccountShareLink(noteId, linkId) {
+    if (!confirm('Revoke this link? Anyone using it will lose access.')) return;
+    try {
+        await window.api.notes.revokeLink(noteId, linkId);
+        showToast('🔗 Link revoked');
+        renderAccountShareLinks();
+    } catch (err) {
+        showToast('❌ Could not revoke link: ' + err.message);
+    }
+}
+window.revokeAccountShareLink = revokeAccountShareLink;
+
+async function resendVerificationEmail(btn) {
+    btn.disabled = true;
+    try {
+        const { message } = await window.api.auth.resendVerification();
+        showToast('✉️ ' + message);
+    } catch (err) {
+        showToast('❌ ' + err.message);
+        btn.disabled = false;
+    }
+}
+
+// Sign-in methods: password and Google, each removable while another remains
+function renderAccountProviders() {
+    const list = document.getElementById('accProviders');
+    if (!list) return;
+    const user = window.AUTH.getCurrentUser() || {};
+    const providers = user.providers || ['password'];
+    const canRemove = providers.length > 1;
+
+    const row = (label, detail, action) => `
+        <li style="display:flex; align-items:center; gap:6px; padding:4px 0;">
+            <div style="flex:1; min-width:0;"><strong>${label}</strong>
+                <span style="opacity:0.6;">${detail}</span></div>
+            ${action}
+        </li>`;
+    const removeBtn = (provider) => canRemove
+        ? `<button class="up-btn" title="Remove" onclick="unlinkAccountProvider('${provider}')">✕</button>`
+        : '';
+
+    list.innerHTML =
+        row('Password', providers.includes('password') ? '· set' : '· not set',
+            providers.includes('password') ? removeBtn('password') : '') +
+        row('Google', providers.includes('google') ? '· ' + libEscHtml(user.googleEmail || 'linked') : '· not linked',
+            providers.includes('google')
+                ? removeBtn('google')
+                : `<button class="tool-btn" style="width:auto; padding:2px 8px; font-size:0.75rem;"
+                           onclick="window.api.auth.startGoogleSignIn('link')">Link</button>`);
+}
+
+async function unlinkAccountProvider(provider) {
+    let password;
+    if (provider === 'password') {
+        password = prompt('Enter your password to stop signing in with it. You will sign in with Google only.');
+        if (password === null) return;
+    } else if (!confirm('Unlink Google? You will sign in with your email and password only.')) {
+        return;
+    }
+    try {
+        await window.api.auth.unlinkProvider(provider, password);
+        showToast(provider === 'google' ? '🔑 Google unlinked' : '🔑 Password removed');
+        openAccountModal();
+    } catch (err) {
+        showToast('❌ ' + err.message);
+    }
+}
+
+// Two-factor section of the account modal: off → setup (QR + first code) → on
+function renderAccountTwoFactor() {
+    const box = document.getElementById('acc2fa');
+    if (!box) return;
+    const user = window.AUTH.getCurrentUser() || {};
+
+    if (!user.twoFactorEnabled) {
+        box.innerHTML = `
+            <p style="color:#7f8c8d; margin-bottom:8px;">Off. Ask for a code from an authenticator app when signing in.</p>
+            <button class="tool-btn" style="justify-content:center;" onclick="startTwoFactorSetup()">🛡️ Set Up 2FA</button>`;
+        return;
+    }
+
+    box.innerHTML = `
+        <p style="color:var(--save-color); margin-bottom:8px;">✓ On — sign-ins ask for an authenticator code.</p>
+        <input class="meta-value" id="acc2faCode" type="text" inputmode="numeric" autocomplete="one-time-code"
+               placeholder="Code from your app" style="margin-bottom:6px;"/>
+        <div style="display:flex; gap:6px;">
+            <button class="tool-btn" style="justify-content:center;" onclick="regenerateTwoFactorCodes()">New Recovery Codes</button>
+            <button class="tool-btn btn-danger" style="justify-content:center;" onclick="disableTwoFactor()">Turn Off</button>
+        </div>`;
+}
+
+async function startTwoFactorSetup() {
+    const box = document.getElementById('acc2fa');
+    try {
+        const { secret, otpauthUrl, qrCode } = await window.api.auth.setupTwoFactor();
+        box.innerHTML = `
+            <p style="color:#7f8c8d; margin-bottom:8px;">Scan this with your authenticator app, then enter the code it shows.</p>
+            <img src="${qrCode}" alt="QR code for your authenticator app"
+                 style="display:block; width:160px; height:160px; margin:0 auto 6px;"/>
+            <p style="font-size:0.7rem; opacity:0.7; word-break:break-all; margin-bottom:8px;">
+                Can't scan? Enter this key: <code>${libEscHtml(secret)}</code>
+                or <a href="${libEscHtml(otpauthUrl)}">open it in your app</a>.</p>
+            <div style="display:flex; gap:6px;">
+                <input class="meta-value" id="acc2faCode" type="text" inputmode="numeric" autocomplete="one-time-code"
+                       placeholder="123456"/>
+                <button class="tool-btn" style="width:auto; padding:4px 10px; background:var(--save-color); color:white;"
+                        onclick="confirmTwoFactorSetup()">Turn On</button>
+            </div>
+            <button class="tool-btn" style="justify-content:center; margin-top:6px; background:#eee;"
+                    onclick="renderAccountTwoFactor()">Cancel</button>`;
+        document.getElementById('acc2faCode').focus();
+    } catch (err) {
+        showToast('❌ Could not start 2FA setup: ' + err.message);
+    }
+}
+
+async function confirmTwoFactorSetup() {
+    const code = document.getElementById('acc2faCode').value.trim();
+    if (!code) return;
+    try {
+        const { recoveryCodes } = await window.api.auth.enableTwoFactor(code);
+        showToast('🛡️ Two-factor authentication is on');
+        showRecoveryCodes(recoveryCodes);
+    } catch (err) {
+        showToast('❌ ' + err.message);
+    }
+}
+
+// Recovery codes are shown once; each signs in a single time without the app
+function showRecoveryCodes(codes) {
+    const box = document.getElementById('acc2fa');
+    box.innerHTML = `
+        <p style="margin-bottom:6px;"><strong>Save these recovery codes.</strong> Each one works once if you lose your
+            authenticator. They won't be shown again.</p>
+        <pre id="acc2faRecovery" style="background:#f7f7f7; padding:8px; border-radius:4px; font-size:0.8rem; columns:2;">${codes.map(libEscHtml).join('\n')}</pre>
+        <div style="display:flex; gap:6px; margin-top:6px;">
+            <button class="tool-btn" style="justify-content:center;"
+                    onclick="navigator.clipboard.writeText(document.getElementById('acc2faRecovery').textContent).then(() => showToast('📋 Codes copied'))">📋 Copy</button>
+            <button class="tool-btn" style="justify-content:center; background:var(--save-color); color:white;"
+                    onclick="renderAccountTwoFactor()">Done</button>
+        </div>`;
+}
+
+async function regenerateTwoFactorCodes() {
+    const code = document.getElementById('acc2faCode').value.trim();
+    if (!code) {
+        showToast('Enter a code from your authenticator app first');
+        return;
+    }
+    try {
+        const { recoveryCodes } = await window.api.auth.regenerateRecoveryCodes(code);
+        showRecoveryCodes(recoveryCodes);
+    } catch (err) {
+        showToast('❌ ' + err.message);
+    }
+}
+
+async function disableTwoFactor() {
+    const code = document.getElementById('acc2faCode').value.trim();
+    if (!code) {
+        showToast('Enter a code from your authenticator app (or a recovery code) first');
+        return;
+    }
+    if (!confirm('Turn off two-factor authentication? Signing in will only need your password.')) return;
+    try {
+        await window.api.auth.disableTwoFactor(code);
+        showToast('🛡️ Two-factor authentication is off');
+        renderAccountTwoFactor();
+    } catch (err) {
+        showToast('❌ ' + err.message);
+    }
 }
 
 async function saveDisplayName() {
     const input = document.getElementById('accName');
     const name = (input.value || '').trim();
     if (!name) return;
-    window.AUTH.updateDisplayName(name);
+    const result = await window.AUTH.updateProfile({
+        displayName: name,
+        avatarColor: document.getElementById('accColor').value
+    });
+    if (!result.ok) {
+        showToast('❌ ' + result.error);
+        return;
+    }
     renderUserProfile();
-    showToast('✓ Name updated');
+    showToast('✓ Profile updated');
 }
 
 async function savePassword() {
@@ -8134,16 +11070,45 @@ async function savePassword() {
     if (result.ok) {
         msgEl.textContent = '✓ Password updated!';
         msgEl.style.color = '#27ae60';
+        const wasFirstPassword = document.getElementById('accOldPw').style.display === 'none';
         ['accOldPw', 'accNewPw', 'accConfPw'].forEach(id => document.getElementById(id).value = '');
+        // A first password turns the form into a change-password one
+        if (wasFirstPassword) openAccountModal();
     } else {
         msgEl.textContent = '❌ ' + result.error;
         msgEl.style.color = '#e74c3c';
     }
 }
 
+async function confirmLogoutAll() {
+    if (!confirm('Sign out everywhere, including this device?')) return;
+    const result = await window.AUTH.logoutAll(); // redirects to login on success
+    if (!result.ok) showToast('❌ Could not sign out: ' + result.error);
+}
+
 async function confirmDeleteAccount() {
     if (!confirm('⚠️ This will permanently delete your account and ALL notes. This cannot be undone.\n\nAre you sure?')) return;
-    await window.AUTH.deleteAccount(); // redirects to login
+
+    // The server wants proof it's really you: the password, else a code from
+    // the authenticator app, else a fresh Google sign-in
+    const user = window.AUTH.getCurrentUser() || {};
+    const providers = user.providers || ['password'];
+    let proof;
+    if (providers.includes('password')) {
+        const password = prompt('Enter your password to delete the account:');
+        if (!password) return;
+        proof = { password };
+    } else if (user.twoFactorEnabled) {
+        const code = prompt('Enter a code from your authenticator app (or a recovery code) to delete the account:');
+        if (!code) return;
+        proof = { code: code.trim() };
+    } else {
+        window.api.auth.startGoogleSignIn('delete'); // finishes on the login page
+        return;
+    }
+
+    const result = await window.AUTH.deleteAccount(proof); // redirects to login on success
+    if (!result.ok) showToast('❌ Could not delete account: ' + result.error);
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -11775,8 +14740,9 @@ window.renderSidebar = () => {
     // Use the global full-text search engine to get matches with snippets
     const searchResults = window.searchNotes ? window.searchNotes(searchStr) : chapters;
 
-    // Further filter by category
+    // Further filter by category; notes shared with us get their own section
     const filtered = searchResults.filter(ch => {
+        if (ch.share) return false;
         if (categoryFilter === 'all') return true;
 
         const disc = ch.metadata?.discipline;
@@ -11842,6 +14808,7 @@ window.renderSidebar = () => {
 
     // Update tag cloud
     renderTagCloud();
+    renderSharedSection();
 };
 
 // Helper function to render a single chapter item
@@ -12161,7 +15128,7 @@ window.deleteChapter = async (id) => {
         requestAnimationFrame(() => renderSidebar());
     }
 
-    showToast('✓ Page deleted');
+    showToast('🗑 Page moved to Trash');
 };
 
 
@@ -12234,9 +15201,9 @@ function executeLoadChapterLogic(chapter, id, highlightQuery = '') {
     // Get the primary tag of this chapter
     const primaryTag = chapter.tags && chapter.tags.length > 0 ? chapter.tags[0] : null;
 
-    // Find all chapters with the same primary tag
-    const relatedChapters = primaryTag
-        ? chapters.filter(ch => ch.tags && ch.tags.includes(primaryTag))
+    // Find all chapters with the same primary tag; a shared note stands on its own
+    const relatedChapters = primaryTag && !chapter.share
+        ? chapters.filter(ch => !ch.share && ch.tags && ch.tags.includes(primaryTag))
         : [chapter];
 
     // Sort by creation date
@@ -12244,6 +15211,7 @@ function executeLoadChapterLogic(chapter, id, highlightQuery = '') {
 
     // Update title
     document.getElementById('pageTitle').value = chapter.title || 'Untitled';
+    document.getElementById('pageTitle').readOnly = isReadOnlyChapter(chapter);
 
     // Clear and recreate DOM with all related pages
     const stream = document.getElementById('sequentialStream');
@@ -12303,7 +15271,7 @@ function executeLoadChapterLogic(chapter, id, highlightQuery = '') {
             // Add content area
             const contentArea = document.createElement('div');
             contentArea.className = 'content-area';
-            contentArea.contentEditable = 'true';
+            contentArea.contentEditable = isReadOnlyChapter(ch) ? 'false' : 'true';
             contentArea.innerHTML = ch.content || '<p>Start typing...</p>';
             contentArea.dataset.chapterId = ch.id;
 
@@ -12379,6 +15347,9 @@ function executeLoadChapterLogic(chapter, id, highlightQuery = '') {
     if (typeof window.renderBacklinks === 'function') {
         setTimeout(window.renderBacklinks, 50);
     }
+
+    // Join (or switch) the live editing session for this page
+    if (window.COLLAB) window.COLLAB.open(chapter);
 };
 
 // Save current chapter to database
@@ -12402,8 +15373,9 @@ window.saveCurrentToCloud = async () => {
 
     // Update status
     const status = document.getElementById('saveStatus');
+    const pending = window.SYNC_ENGINE ? await window.SYNC_ENGINE.updatePendingStatus() : 0;
     if (status) {
-        status.textContent = 'All changes saved';
+        if (!pending) status.textContent = 'All changes saved';
         status.style.color = 'var(--save-color)';
     }
 };